@@ -0,0 +1,66 @@
+/**
+ * Sport feed registry
+ * Each entry is polled by the sport feed engine and served over Socket.IO as
+ * `<sport>_matches_snapshot` / `<sport>_matches_delta` and
+ * `<sport>_event_<eventId>_snapshot` / `<sport>_event_<eventId>_delta`, or as the legacy
+ * full-payload `<sport>_matches` and `<sport>_event_<eventId>` to clients that opt in. To add a sport,
+ * add an entry with its feed providers; bets, events and stake limits accept every
+ * sport listed here.
+ *
+ * - label: Name used in logs
+ * - providers: Feed providers in order of preference; the first one available serves the feed
+ *   - name: Name recorded on the data it serves and used for admin overrides
+ *   - listUrl: Feed returning the match list
+ *   - eventUrl: Feed returning the markets of one event (called with ?eventId=)
+ *   - adapter: Adapter mapping the feed into the canonical model (services/feedAdapters)
+ * - fancyMarkets: Whether the event feed carries session (fancy) lines to sync
+ */
+
+/**
+ * Build a feed provider from `<prefix>_MATCHES_API_URL`, `<prefix>_EVENT_API_URL`
+ * and `<prefix>_FEED_PROVIDER`
+ */
+const feedProvider = (name, prefix) => ({
+  name,
+  listUrl: process.env[`${prefix}_MATCHES_API_URL`],
+  eventUrl: process.env[`${prefix}_EVENT_API_URL`],
+  adapter: process.env[`${prefix}_FEED_PROVIDER`] || 'default'
+});
+
+/**
+ * Drop providers that are not configured, always keeping the primary
+ */
+const configured = (providers) => providers.filter((provider, index) => (
+  index === 0 || provider.listUrl || provider.eventUrl
+));
+
+const SPORT_FEEDS = {
+  cricket: {
+    label: 'Cricket',
+    providers: configured([
+      feedProvider('primary', 'CRICKET'),
+      feedProvider('backup', 'CRICKET_BACKUP')
+    ]),
+    fancyMarkets: true
+  },
+  soccer: {
+    label: 'Soccer',
+    providers: configured([
+      feedProvider('primary', 'SOCCER'),
+      feedProvider('backup', 'SOCCER_BACKUP')
+    ]),
+    fancyMarkets: false
+  },
+  tennis: {
+    label: 'Tennis',
+    providers: configured([
+      feedProvider('primary', 'TENNIS'),
+      feedProvider('backup', 'TENNIS_BACKUP')
+    ]),
+    fancyMarkets: false
+  }
+};
+
+module.exports = {
+  SPORT_FEEDS
+};
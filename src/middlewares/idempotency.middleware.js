@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const WalletTransaction = require('../models/WalletTransaction');
+
+const { IDEMPOTENCY_STATUS } = IdempotencyKey;
+
+// How long a key is remembered
+const IDEMPOTENCY_KEY_TTL = parseInt(process.env.IDEMPOTENCY_KEY_TTL) || 24 * 60 * 60 * 1000;
+
+// 1 to 255 visible ASCII characters, e.g. a UUID
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+/**
+ * Hash what makes two requests the same: method, path and body
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path: `${req.baseUrl}${req.path}`, body: req.body || {} }))
+    .digest('hex');
+};
+
+/**
+ * Store the response of a key, or free the key after a server error so the request can be retried
+ */
+const storeResponse = (record, statusCode, body) => {
+  if (statusCode >= 500) {
+    return IdempotencyKey.deleteOne({ _id: record._id });
+  }
+
+  return IdempotencyKey.updateOne({ _id: record._id }, {
+    $set: {
+      status: IDEMPOTENCY_STATUS.COMPLETED,
+      responseStatus: statusCode,
+      // Store exactly what was sent
+      responseBody: JSON.parse(JSON.stringify(body))
+    }
+  });
+};
+
+/**
+ * Middleware to make a money-moving route idempotent
+ * With an Idempotency-Key header, the first response for a key is stored.
+ * Repeating the same request with the key replays that response instead of
+ * running it again; using the key for a different request is rejected.
+ * Requests without the header run as usual. Must come after authenticate,
+ * and after validation so rejected requests do not use up the key.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key must be 1 to 255 visible ASCII characters'
+    });
+  }
+
+  const requestHash = hashRequest(req);
+  let record;
+
+  try {
+    record = await IdempotencyKey.create({
+      user: req.userId,
+      key,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+      expiresAt: new Date(Date.now() + IDEMPOTENCY_KEY_TTL)
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      return next(error);
+    }
+
+    // The key was used before
+    const existing = await IdempotencyKey.findOne({ user: req.userId, key });
+
+    if (existing && existing.requestHash !== requestHash) {
+      return res.status(422).json({
+        success: false,
+        message: 'Idempotency-Key was already used for a different request'
+      });
+    }
+
+    if (!existing || existing.status === IDEMPOTENCY_STATUS.PROCESSING) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed. Retry later.'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // A key that expired may already have created a transaction, which it can never create
+  // again: refuse it rather than fail on the duplicate reference ID
+  try {
+    const alreadyProcessed = await WalletTransaction.exists({
+      referenceId: WalletTransaction.getClientReferenceId(req.userId, key)
+    });
+    if (alreadyProcessed) {
+      await IdempotencyKey.deleteOne({ _id: record._id });
+      return res.status(409).json({
+        success: false,
+        message: 'Idempotency-Key was already used for a request that has been processed. Use a new key.'
+      });
+    }
+  } catch (error) {
+    await IdempotencyKey.deleteOne({ _id: record._id }).catch(() => {});
+    return next(error);
+  }
+
+  req.idempotencyKey = key;
+
+  // Send the response only once it is stored, so a retry after it always gets the replay
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.json = json;
+    storeResponse(record, res.statusCode, body)
+      .catch(error => {
+        console.error('❌ Error storing idempotent response:', error.message);
+      })
+      .finally(() => json(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  idempotent
+};
@@ -0,0 +1,68 @@
+const { verifyAccessToken } = require('../utils/jwt');
+const { User } = require('../models/User');
+
+/**
+ * Get the access token of a socket handshake
+ * Clients send it as `auth: { token }`, or as an `Authorization: Bearer` header.
+ */
+const getHandshakeToken = (socket) => {
+  const { auth = {}, headers = {} } = socket.handshake;
+
+  if (auth.token && typeof auth.token === 'string') {
+    return auth.token;
+  }
+
+  const authHeader = headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7);
+  }
+
+  return null;
+};
+
+/**
+ * Socket.IO authentication middleware - verifies the handshake JWT token
+ * Sockets without a token connect anonymously and can only subscribe to odds.
+ * An invalid or expired token, or a deactivated account, refuses the connection.
+ */
+const socketAuthenticate = async (socket, next) => {
+  const token = getHandshakeToken(socket);
+
+  if (!token) {
+    socket.data.userId = null;
+    return next();
+  }
+
+  try {
+    // Verify token
+    const decoded = verifyAccessToken(token);
+
+    // Get user from database
+    const user = await User.findById(decoded.userId).select('role isActive');
+
+    if (!user) {
+      return next(new Error('User not found. Token is invalid.'));
+    }
+
+    if (!user.isActive) {
+      return next(new Error('Account is deactivated. Please contact administrator.'));
+    }
+
+    // Attach user to socket
+    socket.data.userId = user._id.toString();
+    socket.data.role = user.role;
+    next();
+  } catch (error) {
+    if (error.message === 'Token expired') {
+      return next(new Error('Token expired. Please refresh your token.'));
+    } else if (error.message === 'Invalid token') {
+      return next(new Error('Invalid token. Please login again.'));
+    }
+
+    return next(new Error('Authentication failed.'));
+  }
+};
+
+module.exports = {
+  socketAuthenticate
+};
@@ -9,7 +9,10 @@ const activityLogSchema = new mongoose.Schema({
   },
   activityType: {
     type: String,
-    enum: ['login', 'logout', 'login_failed', 'password_change', 'profile_update', 'token_refresh'],
+    enum: [
+      'login', 'logout', 'login_failed', 'password_change', 'profile_update', 'token_refresh',
+      'bet_void', 'market_void', 'event_void'
+    ],
     required: true
   },
   loginStatus: {
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const { SPORT_FEEDS } = require('../config/sports');
+
+// Supported sports, one per sport feed (e.g. CRICKET: 'cricket')
+const SPORTS = Object.fromEntries(Object.keys(SPORT_FEEDS).map(sport => [sport.toUpperCase(), sport]));
+
+// Market types
+const MARKET_TYPES = {
+  MATCH_ODDS: 'match_odds',
+  BOOKMAKER: 'bookmaker',
+  FANCY: 'fancy'          // Session market with YES/NO run lines
+};
+
+// Bet types
+const BET_TYPES = {
+  BACK: 'back',   // Betting for a selection to win
+  LAY: 'lay',     // Betting against a selection
+  YES: 'yes',     // Fancy: final runs reach the line
+  NO: 'no'        // Fancy: final runs stay below the line
+};
+
+// Bet status
+const BET_STATUS = {
+  PENDING: 'pending',     // Waiting out the bet delay before being rechecked
+  OPEN: 'open',           // Placed but not yet matched
+  MATCHED: 'matched',     // Accepted and waiting for result
+  CANCELLED: 'cancelled', // Cancelled before being matched
+  REJECTED: 'rejected',   // Failed the recheck after the bet delay
+  SETTLED: 'settled',     // Result declared and paid out
+  VOID: 'void'            // Voided, stake returned
+};
+
+// Bets that still hold exposure on their market
+const UNSETTLED_STATUSES = [BET_STATUS.PENDING, BET_STATUS.OPEN, BET_STATUS.MATCHED];
+
+// Bet result (set on settlement)
+const BET_RESULTS = {
+  WON: 'won',
+  LOST: 'lost'
+};
+
+const roundAmount = function(value) {
+  return value === null || value === undefined ? value : Math.round(value * 100) / 100;
+};
+
+const betSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sport: {
+    type: String,
+    enum: Object.values(SPORTS),
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true
+  },
+  eventName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  marketId: {
+    type: String,
+    required: [true, 'Market ID is required'],
+    trim: true
+  },
+  marketName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  marketType: {
+    type: String,
+    enum: Object.values(MARKET_TYPES),
+    default: MARKET_TYPES.MATCH_ODDS
+  },
+  selectionId: {
+    type: String,
+    required: [true, 'Selection ID is required'],
+    trim: true
+  },
+  selectionName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  betType: {
+    type: String,
+    enum: Object.values(BET_TYPES),
+    required: true
+  },
+  odds: {
+    type: Number,
+    required: [function() { return this.marketType !== MARKET_TYPES.FANCY; }, 'Odds are required'],
+    min: [1.01, 'Odds must be at least 1.01'],
+    default: null
+  },
+  requestedOdds: {
+    type: Number,
+    default: null
+  },
+  line: {
+    type: Number,
+    required: [function() { return this.marketType === MARKET_TYPES.FANCY; }, 'Run line is required for fancy bets'],
+    min: [0, 'Run line cannot be negative'],
+    default: null
+  },
+  rate: {
+    type: Number,
+    required: [function() { return this.marketType === MARKET_TYPES.FANCY; }, 'Rate is required for fancy bets'],
+    min: [0.01, 'Rate must be greater than 0'],
+    default: null
+  },
+  stake: {
+    type: Number,
+    required: [true, 'Stake is required'],
+    min: [0.01, 'Stake must be greater than 0'],
+    get: roundAmount
+  },
+  potentialProfit: {
+    type: Number,
+    required: true,
+    default: 0,
+    get: roundAmount
+  },
+  liability: {
+    type: Number,
+    required: true,
+    default: 0,
+    get: roundAmount
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['INR', 'USD', 'EUR'],
+    default: 'INR',
+    uppercase: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(BET_STATUS),
+    default: BET_STATUS.MATCHED
+  },
+  result: {
+    type: String,
+    enum: [...Object.values(BET_RESULTS), null],
+    default: null
+  },
+  profitLoss: {
+    type: Number,
+    default: 0,
+    get: roundAmount
+  },
+  matchedAt: {
+    type: Date,
+    default: null
+  },
+  // When a pending bet is due to be rechecked against the feed
+  acceptAt: {
+    type: Date,
+    default: null
+  },
+  rejectedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Settlement that settled or voided the bet
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement',
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  voidReason: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    getters: true
+  },
+  toObject: {
+    virtuals: true,
+    getters: true
+  }
+});
+
+// Indexes for faster queries
+betSchema.index({ user: 1, createdAt: -1 });
+betSchema.index({ user: 1, status: 1, createdAt: -1 });
+betSchema.index({ eventId: 1, marketId: 1, status: 1 });
+betSchema.index({ marketId: 1, status: 1 });
+betSchema.index({ status: 1, createdAt: -1 });
+betSchema.index({ status: 1, acceptAt: 1 });
+betSchema.index({ settlement: 1 });
+
+// Method to check if bet is still waiting for a result
+betSchema.methods.isUnsettled = function() {
+  return UNSETTLED_STATUSES.includes(this.status);
+};
+
+// Method to check if bet can still be cancelled by the user (not matched yet)
+betSchema.methods.isCancellable = function() {
+  return this.status === BET_STATUS.OPEN || this.status === BET_STATUS.PENDING;
+};
+
+// Method to describe the bet for wallet transactions (e.g. "India @ 1.85" or "6 over runs @ 45/100")
+betSchema.methods.describe = function() {
+  const price = this.marketType === MARKET_TYPES.FANCY ? `${this.line}/${this.rate}` : this.odds;
+  return `${this.selectionName || this.selectionId} @ ${price}`;
+};
+
+// Static method to calculate potential profit and liability for a bet
+// Back: risk the stake to win stake * (odds - 1)
+// Lay: risk stake * (odds - 1) to win the backer's stake
+betSchema.statics.calculatePayout = function(betType, odds, stake) {
+  const winAmount = stake * (odds - 1);
+
+  if (betType === BET_TYPES.LAY) {
+    return {
+      potentialProfit: roundAmount(stake),
+      liability: roundAmount(winAmount)
+    };
+  }
+
+  return {
+    potentialProfit: roundAmount(winAmount),
+    liability: roundAmount(stake)
+  };
+};
+
+// Static method to calculate potential profit and liability for a fancy bet
+// Rate is per 100 of stake (e.g. rate 90 pays 90 on a stake of 100)
+// Yes: risk the stake to win stake * rate / 100
+// No: risk stake * rate / 100 to win the stake
+betSchema.statics.calculateFancyPayout = function(betType, rate, stake) {
+  const rateAmount = stake * rate / 100;
+
+  if (betType === BET_TYPES.NO) {
+    return {
+      potentialProfit: roundAmount(stake),
+      liability: roundAmount(rateAmount)
+    };
+  }
+
+  return {
+    potentialProfit: roundAmount(rateAmount),
+    liability: roundAmount(stake)
+  };
+};
+
+const Bet = mongoose.model('Bet', betSchema);
+
+// Export constants
+Bet.SPORTS = SPORTS;
+Bet.MARKET_TYPES = MARKET_TYPES;
+Bet.BET_TYPES = BET_TYPES;
+Bet.BET_STATUS = BET_STATUS;
+Bet.UNSETTLED_STATUSES = UNSETTLED_STATUSES;
+Bet.BET_RESULTS = BET_RESULTS;
+
+module.exports = Bet;
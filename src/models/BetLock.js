@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const betLockSchema = new mongoose.Schema({
+  // User whose betting is locked
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  // Lock the user's whole downline as well
+  includeDownline: {
+    type: Boolean,
+    default: false
+  },
+  // Null locks betting on every event
+  eventId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  unlockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  unlockedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+betLockSchema.index({ user: 1, isActive: 1 });
+betLockSchema.index({ eventId: 1, isActive: 1 });
+
+const BetLock = mongoose.model('BetLock', betLockSchema);
+
+module.exports = BetLock;
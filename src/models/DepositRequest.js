@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('./User');
+
+// Request status
+const REQUEST_STATUS = {
+  PENDING: 'pending',     // Waiting for the upline to review it
+  APPROVED: 'approved',   // Upline approved it and the amount was transferred
+  REJECTED: 'rejected',   // Upline rejected it
+  CANCELLED: 'cancelled'  // Requester withdrew it before it was reviewed
+};
+
+// How the money was paid (deposits) or should be paid out (withdrawals)
+const PAYMENT_METHODS = {
+  UPI: 'upi',
+  BANK_TRANSFER: 'bank_transfer',
+  CASH: 'cash',
+  CRYPTO: 'crypto',
+  OTHER: 'other'
+};
+
+/**
+ * Status history entry, shared by deposit and withdrawal requests
+ */
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: Object.values(REQUEST_STATUS),
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+/**
+ * A user's request to have their wallet credited for money paid outside the platform
+ * Routed to the user's direct upline, who approves it by transferring the amount
+ * from their own wallet.
+ */
+const depositRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Direct upline (createdBy) of the user, who reviews the request
+  upline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  currency: {
+    type: String,
+    enum: Object.values(CURRENCIES),
+    required: true
+  },
+  method: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    required: [true, 'Payment method is required']
+  },
+  // Payment reference, e.g. the UTR of a bank or UPI transfer
+  reference: {
+    type: String,
+    required: [true, 'Reference is required'],
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  // File ID of the payment screenshot
+  attachment: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: Object.values(REQUEST_STATUS),
+    default: REQUEST_STATUS.PENDING
+  },
+  statusHistory: [statusHistorySchema],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Credit transaction of the user's wallet, set on approval
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+depositRequestSchema.index({ user: 1, status: 1, createdAt: -1 });
+depositRequestSchema.index({ upline: 1, status: 1, createdAt: -1 });
+
+// A payment reference can only be claimed by one pending or approved request
+depositRequestSchema.index(
+  { method: 1, reference: 1 },
+  {
+    unique: true,
+    name: 'active_deposit_reference',
+    partialFilterExpression: { status: { $in: [REQUEST_STATUS.PENDING, REQUEST_STATUS.APPROVED] } }
+  }
+);
+
+const DepositRequest = mongoose.model('DepositRequest', depositRequestSchema);
+
+// Export constants
+DepositRequest.REQUEST_STATUS = REQUEST_STATUS;
+DepositRequest.PAYMENT_METHODS = PAYMENT_METHODS;
+DepositRequest.statusHistorySchema = statusHistorySchema;
+
+module.exports = DepositRequest;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Bet = require('./Bet');
+
+// Event status, only ever moves forward: upcoming -> in_play -> closed
+const EVENT_STATUS = {
+  UPCOMING: 'upcoming', // Listed by the feed, not started
+  IN_PLAY: 'in_play',   // Reported in play by the feed
+  CLOSED: 'closed'      // Finished, or all markets closed
+};
+
+const EVENT_STATUS_ORDER = [EVENT_STATUS.UPCOMING, EVENT_STATUS.IN_PLAY, EVENT_STATUS.CLOSED];
+
+const eventSchema = new mongoose.Schema({
+  sport: {
+    type: String,
+    enum: Object.values(Bet.SPORTS),
+    required: [true, 'Sport is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  teams: {
+    type: [String],
+    default: []
+  },
+  competition: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  startTime: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: Object.values(EVENT_STATUS),
+    default: EVENT_STATUS.UPCOMING
+  },
+  // Every status change, oldest first
+  statusHistory: [{
+    _id: false,
+    status: {
+      type: String,
+      enum: Object.values(EVENT_STATUS)
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Last time the event was seen in the feed
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+eventSchema.index({ sport: 1, eventId: 1 }, { unique: true });
+eventSchema.index({ status: 1, startTime: 1 });
+
+/**
+ * Get the status an event moves to
+ * Statuses never move backwards; an in-play event that is no longer in play is closed.
+ */
+eventSchema.statics.getNextStatus = function(currentStatus, { inPlay = false, closed = false }) {
+  let nextStatus = EVENT_STATUS.UPCOMING;
+  if (closed) {
+    nextStatus = EVENT_STATUS.CLOSED;
+  } else if (inPlay) {
+    nextStatus = EVENT_STATUS.IN_PLAY;
+  } else if (currentStatus === EVENT_STATUS.IN_PLAY) {
+    nextStatus = EVENT_STATUS.CLOSED;
+  }
+
+  if (!currentStatus) {
+    return nextStatus;
+  }
+
+  return EVENT_STATUS_ORDER.indexOf(nextStatus) > EVENT_STATUS_ORDER.indexOf(currentStatus)
+    ? nextStatus
+    : currentStatus;
+};
+
+const Event = mongoose.model('Event', eventSchema);
+
+// Export constants
+Event.EVENT_STATUS = EVENT_STATUS;
+
+module.exports = Event;
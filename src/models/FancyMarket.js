@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Fancy market status
+const FANCY_STATUS = {
+  ACTIVE: 'active',       // Open for betting
+  SUSPENDED: 'suspended', // Temporarily closed (ball running, suspended by feed)
+  CLOSED: 'closed',       // No longer offered by the feed, waiting for result
+  SETTLED: 'settled'      // Result declared
+};
+
+const fancyMarketSchema = new mongoose.Schema({
+  sport: {
+    type: String,
+    enum: ['cricket'],
+    default: 'cricket'
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true
+  },
+  marketId: {
+    type: String,
+    required: [true, 'Market ID is required'],
+    unique: true,
+    trim: true
+  },
+  selectionId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Market name is required'],
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: 'fancy'
+  },
+  status: {
+    type: String,
+    enum: Object.values(FANCY_STATUS),
+    default: FANCY_STATUS.ACTIVE
+  },
+  // NO line: wins when the final run value is below runsNo
+  runsNo: {
+    type: Number,
+    default: null
+  },
+  rateNo: {
+    type: Number,
+    default: null
+  },
+  // YES line: wins when the final run value is runsYes or more
+  runsYes: {
+    type: Number,
+    default: null
+  },
+  rateYes: {
+    type: Number,
+    default: null
+  },
+  minStake: {
+    type: Number,
+    default: null
+  },
+  maxStake: {
+    type: Number,
+    default: null
+  },
+  finalRuns: {
+    type: Number,
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: null
+  },
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastUpdatedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+// Note: marketId field already has unique: true which creates an index automatically
+fancyMarketSchema.index({ eventId: 1, status: 1 });
+fancyMarketSchema.index({ status: 1, updatedAt: -1 });
+
+// Method to check if market is open for betting
+fancyMarketSchema.methods.isBettable = function() {
+  return this.status === FANCY_STATUS.ACTIVE;
+};
+
+// Method to get the current run line and rate for a side (yes/no)
+fancyMarketSchema.methods.getLine = function(side) {
+  if (side === 'yes') {
+    return { runs: this.runsYes, rate: this.rateYes };
+  }
+  return { runs: this.runsNo, rate: this.rateNo };
+};
+
+// Static method to build the market ID of a fancy line within an event
+fancyMarketSchema.statics.buildMarketId = function(eventId, selectionId) {
+  return `${eventId}_F${selectionId}`;
+};
+
+const FancyMarket = mongoose.model('FancyMarket', fancyMarketSchema);
+
+// Export constants
+FancyMarket.FANCY_STATUS = FANCY_STATUS;
+
+module.exports = FancyMarket;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// Status of the request a key was first used for
+const IDEMPOTENCY_STATUS = {
+  PROCESSING: 'processing', // Request is still running
+  COMPLETED: 'completed'    // Response stored, repeats get it replayed
+};
+
+const idempotencyKeySchema = new mongoose.Schema({
+  // Keys are scoped to the user that sent them
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required']
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // SHA-256 of method, path and body, to tell a repeat from another request with the same key
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: Object.values(IDEMPOTENCY_STATUS),
+    default: IDEMPOTENCY_STATUS.PROCESSING
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Keys are removed after this time and can then be used again
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+// Export constants
+IdempotencyKey.IDEMPOTENCY_STATUS = IDEMPOTENCY_STATUS;
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+// Ledger accounts. User accounts belong to one user; the others are system accounts, one per currency
+const ACCOUNT_TYPES = {
+  USER_WALLET: 'user_wallet',                   // A user's spendable balance
+  USER_EXPOSURE: 'user_exposure',               // A user's balance held as liability for open bets
+  USER_WITHDRAWAL_HOLD: 'user_withdrawal_hold', // A user's balance held for pending withdrawal requests
+  HOUSE: 'house',                               // Counterparty of bet profit and loss
+  COMMISSION_PAYABLE: 'commission_payable',     // Commission owed to uplines
+  SYSTEM_MINT: 'system_mint'                    // Source of money added, and sink of money deducted, by admins
+};
+
+const USER_ACCOUNT_TYPES = [ACCOUNT_TYPES.USER_WALLET, ACCOUNT_TYPES.USER_EXPOSURE, ACCOUNT_TYPES.USER_WITHDRAWAL_HOLD];
+
+/**
+ * One line of a double-entry journal
+ * Every journal debits one or more accounts and credits others by the same
+ * total, so the entries of a journal (and of the whole ledger) sum to zero.
+ * Amounts are signed: credits are positive, debits negative, so an account's
+ * balance is the sum of its entries. A user's wallet balance is their
+ * user_wallet, user_exposure and user_withdrawal_hold balances together.
+ */
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  accountType: {
+    type: String,
+    enum: Object.values(ACCOUNT_TYPES),
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    validate: {
+      validator: function(value) {
+        return USER_ACCOUNT_TYPES.includes(this.accountType) ? Boolean(value) : value === null;
+      },
+      message: 'User accounts require a user; system accounts cannot have one'
+    }
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    enum: ['INR', 'USD', 'EUR'],
+    uppercase: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Wallet transaction the journal was posted for
+  walletTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ledgerEntrySchema.index({ journalId: 1 });
+ledgerEntrySchema.index({ accountType: 1, user: 1, currency: 1 });
+ledgerEntrySchema.index({ user: 1, createdAt: -1 });
+
+// Journals are append-only; corrections are posted as new, reversing journals
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function() {
+    throw new Error('Ledger entries cannot be changed. Post a reversing journal instead.');
+  }
+);
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+// Export constants
+LedgerEntry.ACCOUNT_TYPES = ACCOUNT_TYPES;
+LedgerEntry.USER_ACCOUNT_TYPES = USER_ACCOUNT_TYPES;
+
+module.exports = LedgerEntry;
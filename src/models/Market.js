@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const Bet = require('./Bet');
+const { MARKET_TYPES, MARKET_STATUS, RUNNER_STATUS } = require('../utils/feedModel');
+
+const marketSchema = new mongoose.Schema({
+  sport: {
+    type: String,
+    enum: Object.values(Bet.SPORTS),
+    required: [true, 'Sport is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true
+  },
+  marketId: {
+    type: String,
+    required: [true, 'Market ID is required'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  type: {
+    type: String,
+    enum: Object.values(MARKET_TYPES),
+    default: MARKET_TYPES.OTHER
+  },
+  // Last status reported by the feed
+  status: {
+    type: String,
+    enum: Object.values(MARKET_STATUS),
+    default: MARKET_STATUS.OPEN
+  },
+  inPlay: {
+    type: Boolean,
+    default: false
+  },
+  runners: [{
+    _id: false,
+    selectionId: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      default: null
+    },
+    status: {
+      type: String,
+      enum: Object.values(RUNNER_STATUS),
+      default: RUNNER_STATUS.ACTIVE
+    }
+  }],
+  // Last time the market was seen in the feed
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+marketSchema.index({ sport: 1, eventId: 1 });
+
+// Method to check if a selection is a runner of the market
+marketSchema.methods.hasRunner = function(selectionId) {
+  return this.runners.some(runner => runner.selectionId === String(selectionId));
+};
+
+// Method to check if the market can no longer take bets
+marketSchema.methods.isClosed = function() {
+  return this.status === MARKET_STATUS.CLOSED || this.status === MARKET_STATUS.VOID;
+};
+
+const Market = mongoose.model('Market', marketSchema);
+
+module.exports = Market;
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+/**
+ * One document per market, bumped inside every transaction that reads and
+ * changes the market's bets (placement, acceptance, cancellation, voiding,
+ * settlement). Two such transactions on the same market write the same
+ * document, so the later one conflicts and is retried with fresh reads
+ * instead of working from a stale market book.
+ */
+const marketGuardSchema = new mongoose.Schema({
+  marketId: {
+    type: String,
+    required: [true, 'Market ID is required'],
+    unique: true,
+    trim: true
+  },
+  // Number of transactions that changed the market
+  sequence: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to claim a market for the rest of a transaction
+marketGuardSchema.statics.claim = async function(marketId, session) {
+  const key = String(marketId);
+
+  // Created outside the transaction, so concurrent first claims do not fail on the unique index
+  try {
+    await this.updateOne({ marketId: key }, { $setOnInsert: { marketId: key } }, { upsert: true });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  await this.updateOne({ marketId: key }, { $inc: { sequence: 1 } }, { session });
+};
+
+const MarketGuard = mongoose.model('MarketGuard', marketGuardSchema);
+
+module.exports = MarketGuard;
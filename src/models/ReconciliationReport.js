@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// What started a reconciliation run
+const RECONCILIATION_TRIGGERS = {
+  SCHEDULED: 'scheduled', // Periodic job in the server
+  MANUAL: 'manual',       // Run by an admin through the API
+  COMMAND: 'command'      // Run from the command line
+};
+
+// Kinds of problems a run can find
+const ISSUE_TYPES = {
+  BALANCE_MISMATCH: 'balance_mismatch', // Stored balance, exposure or withdrawal hold differs from the transaction history
+  BROKEN_CHAIN: 'broken_chain',         // A transaction does not start where the previous one ended
+  ORPHANED_TRANSACTION: 'orphaned_transaction' // Transaction without a (matching) wallet or related transaction
+};
+
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: Object.values(RECONCILIATION_TRIGGERS),
+    required: true
+  },
+  // Admin who ran it (null for scheduled and command runs)
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Whether wallets with drift were locked
+  freeze: {
+    type: Boolean,
+    default: false
+  },
+  startedAt: {
+    type: Date,
+    required: true
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  walletsChecked: {
+    type: Number,
+    default: 0
+  },
+  transactionsChecked: {
+    type: Number,
+    default: 0
+  },
+  // Issue counts per type; these count every issue, even past the stored limit
+  counts: {
+    balanceMismatches: { type: Number, default: 0 },
+    brokenChains: { type: Number, default: 0 },
+    orphanedTransactions: { type: Number, default: 0 }
+  },
+  // Issues found, up to RECONCILIATION_MAX_ISSUES
+  issues: [{
+    _id: false,
+    issueType: {
+      type: String,
+      enum: Object.values(ISSUE_TYPES),
+      required: true
+    },
+    wallet: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    message: {
+      type: String,
+      required: true
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    }
+  }],
+  // Users whose wallets were locked by this run
+  frozenWallets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set when the run stopped early
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+reconciliationReportSchema.index({ createdAt: -1 });
+
+// Virtual for whether the run found anything
+reconciliationReportSchema.virtual('hasIssues').get(function() {
+  const { balanceMismatches, brokenChains, orphanedTransactions } = this.counts || {};
+  return Boolean(balanceMismatches || brokenChains || orphanedTransactions);
+});
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+// Export constants
+ReconciliationReport.RECONCILIATION_TRIGGERS = RECONCILIATION_TRIGGERS;
+ReconciliationReport.ISSUE_TYPES = ISSUE_TYPES;
+
+module.exports = ReconciliationReport;
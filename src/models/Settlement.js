@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Result types a market can be settled with
+const RESULT_TYPES = {
+  WINNER: 'winner', // Winning runner (match odds, bookmaker)
+  RUNS: 'runs',     // Final run value (fancy)
+  VOID: 'void'      // Market voided, no winner
+};
+
+// Settlement status
+const SETTLEMENT_STATUS = {
+  SETTLED: 'settled',         // Result applied to bets and wallets
+  ROLLED_BACK: 'rolled_back'  // Result reversed, bets open for settlement again
+};
+
+// Where the result came from
+const SETTLEMENT_SOURCES = {
+  MANUAL: 'manual', // Entered by an admin
+  FEED: 'feed'      // Read from the event feed
+};
+
+const settlementSchema = new mongoose.Schema({
+  sport: {
+    type: String,
+    default: null
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true
+  },
+  marketId: {
+    type: String,
+    required: [true, 'Market ID is required'],
+    trim: true
+  },
+  marketType: {
+    type: String,
+    default: null
+  },
+  resultType: {
+    type: String,
+    enum: Object.values(RESULT_TYPES),
+    required: true
+  },
+  winningSelectionId: {
+    type: String,
+    default: null
+  },
+  finalRuns: {
+    type: Number,
+    default: null
+  },
+  // Why the market was voided (void results)
+  reason: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: Object.values(SETTLEMENT_STATUS),
+    default: SETTLEMENT_STATUS.SETTLED
+  },
+  source: {
+    type: String,
+    enum: Object.values(SETTLEMENT_SOURCES),
+    default: SETTLEMENT_SOURCES.MANUAL
+  },
+  // Admin who entered the result (null for feed settlements)
+  settledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  settledAt: {
+    type: Date,
+    default: Date.now
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rollbackReason: {
+    type: String,
+    default: null
+  },
+  summary: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// A market can only have one active settlement, which makes settling idempotent
+settlementSchema.index(
+  { marketId: 1 },
+  { unique: true, partialFilterExpression: { status: SETTLEMENT_STATUS.SETTLED } }
+);
+settlementSchema.index({ eventId: 1, createdAt: -1 });
+settlementSchema.index({ status: 1, createdAt: -1 });
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+// Export constants
+Settlement.RESULT_TYPES = RESULT_TYPES;
+Settlement.SETTLEMENT_STATUS = SETTLEMENT_STATUS;
+Settlement.SETTLEMENT_SOURCES = SETTLEMENT_SOURCES;
+
+module.exports = Settlement;
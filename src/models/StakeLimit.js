@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Bet = require('./Bet');
+
+const stakeLimitSchema = new mongoose.Schema({
+  // User the limit applies to (and their downline); null for a global limit
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Scope of the limit; null matches any sport, market type or event
+  sport: {
+    type: String,
+    enum: [...Object.values(Bet.SPORTS), null],
+    default: null
+  },
+  marketType: {
+    type: String,
+    enum: ['match_odds', 'bookmaker', 'fancy', null],
+    default: null
+  },
+  eventId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Limits; null means no limit
+  minStake: {
+    type: Number,
+    min: [0, 'Minimum stake cannot be negative'],
+    default: null
+  },
+  maxStake: {
+    type: Number,
+    min: [0, 'Maximum stake cannot be negative'],
+    default: null
+  },
+  maxProfit: {
+    type: Number,
+    min: [0, 'Maximum profit cannot be negative'],
+    default: null
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// One limit per user and scope
+stakeLimitSchema.index({ user: 1, sport: 1, marketType: 1, eventId: 1 }, { unique: true });
+
+// Method to get how specific the scope is (event > market type > sport)
+stakeLimitSchema.methods.getSpecificity = function() {
+  return (this.eventId ? 4 : 0) + (this.marketType ? 2 : 0) + (this.sport ? 1 : 0);
+};
+
+// Method to check if the limit applies to a bet
+stakeLimitSchema.methods.appliesTo = function({ sport, marketType, eventId }) {
+  return (!this.sport || this.sport === sport)
+    && (!this.marketType || this.marketType === marketType)
+    && (!this.eventId || this.eventId === String(eventId));
+};
+
+const StakeLimit = mongoose.model('StakeLimit', stakeLimitSchema);
+
+// Export constants
+StakeLimit.LIMIT_FIELDS = ['minStake', 'maxStake', 'maxProfit'];
+
+module.exports = StakeLimit;
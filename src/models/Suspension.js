@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Bet = require('./Bet');
+
+// What a suspension covers
+const SUSPENSION_LEVELS = {
+  EVENT: 'event',   // Every market of the event
+  MARKET: 'market', // One market
+  RUNNER: 'runner'  // One runner (selection) of a market
+};
+
+const suspensionSchema = new mongoose.Schema({
+  sport: {
+    type: String,
+    enum: Object.values(Bet.SPORTS),
+    required: [true, 'Sport is required']
+  },
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    trim: true
+  },
+  // Null for event suspensions
+  marketId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Set for runner suspensions only
+  selectionId: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  resumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resumedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+suspensionSchema.index({ sport: 1, eventId: 1, isActive: 1 });
+suspensionSchema.index({ isActive: 1, createdAt: -1 });
+
+// Virtual for the suspension level
+suspensionSchema.virtual('level').get(function() {
+  if (!this.marketId) {
+    return SUSPENSION_LEVELS.EVENT;
+  }
+  return this.selectionId ? SUSPENSION_LEVELS.RUNNER : SUSPENSION_LEVELS.MARKET;
+});
+
+const Suspension = mongoose.model('Suspension', suspensionSchema);
+
+// Export constants
+Suspension.SUSPENSION_LEVELS = SUSPENSION_LEVELS;
+
+module.exports = Suspension;
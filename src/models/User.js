@@ -289,6 +289,24 @@ userSchema.statics.getCurrencies = function() {
   return CURRENCIES;
 };
 
+// Static method to get a user's ID followed by the IDs of their uplines (createdBy chain)
+userSchema.statics.getUplineIds = async function(userId, maxDepth = 10) {
+  const ids = [userId.toString()];
+  let current = await this.findById(userId).select('createdBy');
+
+  // maxDepth guards against createdBy cycles
+  while (current && current.createdBy && ids.length <= maxDepth) {
+    const uplineId = current.createdBy.toString();
+    if (ids.includes(uplineId)) {
+      break;
+    }
+    ids.push(uplineId);
+    current = await this.findById(uplineId).select('createdBy');
+  }
+
+  return ids;
+};
+
 // Remove sensitive data from JSON output
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
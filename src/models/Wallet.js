@@ -17,6 +17,26 @@ const walletSchema = new mongoose.Schema({
       return Math.round(value * 100) / 100;
     }
   },
+  exposure: {
+    type: Number,
+    required: true,
+    default: 0,
+    min: [0, 'Exposure cannot be negative'],
+    get: function(value) {
+      // Round to 2 decimal places for display
+      return Math.round(value * 100) / 100;
+    }
+  },
+  // Part of the balance held for pending withdrawal requests
+  withdrawalHold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Withdrawal hold cannot be negative'],
+    get: function(value) {
+      // Round to 2 decimal places for display
+      return Math.round((value || 0) * 100) / 100;
+    }
+  },
   currency: {
     type: String,
     required: true,
@@ -64,6 +84,11 @@ walletSchema.virtual('formattedBalance').get(function() {
   return this.balance.toFixed(2);
 });
 
+// Virtual for balance not reserved as exposure for open bets or held for pending withdrawals
+walletSchema.virtual('availableBalance').get(function() {
+  return Math.round((this.balance - (this.exposure || 0) - (this.withdrawalHold || 0)) * 100) / 100;
+});
+
 // Method to check if wallet is active and not locked
 walletSchema.methods.isAvailable = function() {
   return this.isActive && !this.isLocked;
@@ -2,12 +2,16 @@ const mongoose = require('mongoose');
 
 // Transaction types
 const TRANSACTION_TYPES = {
-  CREDIT: 'credit',           // Money added to wallet
-  DEBIT: 'debit',             // Money deducted from wallet
-  TRANSFER: 'transfer',       // Transfer between wallets
-  REFUND: 'refund',           // Refund transaction
-  COMMISSION: 'commission',   // Commission earned
-  ADJUSTMENT: 'adjustment'    // Manual adjustment by admin
+  CREDIT: 'credit',                        // Money added to wallet
+  DEBIT: 'debit',                          // Money deducted from wallet
+  TRANSFER: 'transfer',                    // Transfer between wallets
+  REFUND: 'refund',                        // Refund transaction
+  COMMISSION: 'commission',                // Commission earned
+  ADJUSTMENT: 'adjustment',                // Manual adjustment by admin
+  BET_HOLD: 'bet_hold',                    // Liability of a bet moved into exposure
+  BET_RELEASE: 'bet_release',              // Liability of a bet released from exposure
+  WITHDRAWAL_HOLD: 'withdrawal_hold',      // Amount of a withdrawal request held until it is reviewed
+  WITHDRAWAL_RELEASE: 'withdrawal_release' // Held amount released when the request is approved, rejected or cancelled
 };
 
 // Transaction status
@@ -58,6 +62,20 @@ const walletTransactionSchema = new mongoose.Schema({
       return Math.round(value * 100) / 100;
     }
   },
+  exposureBefore: {
+    type: Number,
+    default: null,
+    get: function(value) {
+      return value === null || value === undefined ? value : Math.round(value * 100) / 100;
+    }
+  },
+  exposureAfter: {
+    type: Number,
+    default: null,
+    get: function(value) {
+      return value === null || value === undefined ? value : Math.round(value * 100) / 100;
+    }
+  },
   currency: {
     type: String,
     required: true,
@@ -140,8 +158,15 @@ walletTransactionSchema.statics.generateReferenceId = function() {
   return `TXN${timestamp}${random}`;
 };
 
+// Method to get the reference ID of a transaction made with a client's Idempotency-Key
+// A retried request can then never create a second transaction, even after its key expired
+walletTransactionSchema.statics.getClientReferenceId = function(userId, idempotencyKey) {
+  return `IDEM-${userId}-${idempotencyKey}`;
+};
+
 // Pre-save hook to generate reference ID if not provided
-walletTransactionSchema.pre('save', async function(next) {
+// Use promise-based middleware without `next` (not supported by Mongoose 9)
+walletTransactionSchema.pre('save', async function() {
   if (!this.referenceId && this.status === TRANSACTION_STATUS.COMPLETED) {
     let referenceId;
     let isUnique = false;
@@ -156,7 +181,6 @@ walletTransactionSchema.pre('save', async function(next) {
     
     this.referenceId = referenceId;
   }
-  next();
 });
 
 const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
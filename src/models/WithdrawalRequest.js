@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { CURRENCIES } = require('./User');
+const DepositRequest = require('./DepositRequest');
+
+const { REQUEST_STATUS, PAYMENT_METHODS, statusHistorySchema } = DepositRequest;
+
+/**
+ * A user's request to be paid out part of their wallet balance outside the platform
+ * Routed to the user's direct upline. The amount is held in the wallet while the
+ * request is pending; approval transfers it to the upline's wallet.
+ */
+const withdrawalRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Direct upline (createdBy) of the user, who reviews the request
+  upline: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than 0']
+  },
+  currency: {
+    type: String,
+    enum: Object.values(CURRENCIES),
+    required: true
+  },
+  method: {
+    type: String,
+    enum: Object.values(PAYMENT_METHODS),
+    required: [true, 'Payment method is required']
+  },
+  // Where to pay out, e.g. a UPI ID or bank account
+  reference: {
+    type: String,
+    required: [true, 'Reference is required'],
+    trim: true,
+    maxlength: [100, 'Reference cannot exceed 100 characters']
+  },
+  // File ID of a supporting screenshot (e.g. a QR code)
+  attachment: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+    default: null
+  },
+  status: {
+    type: String,
+    enum: Object.values(REQUEST_STATUS),
+    default: REQUEST_STATUS.PENDING
+  },
+  statusHistory: [statusHistorySchema],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  rejectionReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Transaction that held the amount when the request was made
+  holdTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  },
+  // Debit transaction of the user's wallet, set on approval
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WalletTransaction',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Indexes for faster queries
+withdrawalRequestSchema.index({ user: 1, status: 1, createdAt: -1 });
+withdrawalRequestSchema.index({ upline: 1, status: 1, createdAt: -1 });
+
+const WithdrawalRequest = mongoose.model('WithdrawalRequest', withdrawalRequestSchema);
+
+// Export constants
+WithdrawalRequest.REQUEST_STATUS = REQUEST_STATUS;
+WithdrawalRequest.PAYMENT_METHODS = PAYMENT_METHODS;
+
+module.exports = WithdrawalRequest;
@@ -4,6 +4,8 @@ const { createActivityLog } = require('../../services/activityLog.service');
 const Wallet = require('../../models/Wallet');
 const PasswordChangeHistory = require('../../models/PasswordChangeHistory');
 const { getClientIp, parseUserAgent } = require('../../utils/ipLocation');
+const { assertValidUserStakeLimits, setUserStakeLimits } = require('../bet/stakeLimit.service');
+const { forceLogout } = require('../../services/userNotification.service');
 
 /**
  * Register a new user
@@ -21,6 +23,7 @@ const register = async (userData, createdBy = null) => {
     agentRollingCommission,
     currency = CURRENCIES.INR,
     exposureLimit,
+    stakeLimits,
     role = ROLES.USER 
   } = userData;
 
@@ -49,6 +52,12 @@ const register = async (userData, createdBy = null) => {
     }
   }
 
+  // Stake limits given by the upline are checked before the user is created
+  const hasStakeLimits = Boolean(createdBy) && Array.isArray(stakeLimits) && stakeLimits.length > 0;
+  if (hasStakeLimits) {
+    assertValidUserStakeLimits(stakeLimits);
+  }
+
   // Default commission structures
   const defaultRollingCommission = {
     fancy: 0,
@@ -97,6 +106,11 @@ const register = async (userData, createdBy = null) => {
     console.error('Error creating wallet for user:', error);
   }
 
+  // Stake limits given by the upline creating the user
+  if (hasStakeLimits) {
+    await setUserStakeLimits(user._id, stakeLimits, createdBy);
+  }
+
   return {
     user: user.toJSON()
   };
@@ -252,6 +266,9 @@ const logout = async (userId, req = null) => {
     $unset: { refreshToken: 1, refreshTokenExpiry: 1 }
   });
 
+  // The refresh token is gone, so end the user's socket sessions as well
+  forceLogout(userId, 'Logged out');
+
   // Log logout activity
   if (req) {
     const user = await User.findById(userId);
@@ -387,6 +404,8 @@ const adminChangePassword = async (targetUserId, newPassword, adminId, req = nul
   targetUser.password = newPassword;
   await targetUser.save();
 
+  forceLogout(targetUser._id, 'Password changed by administrator');
+
   // Log password change in history
   if (req) {
     const ipAddress = getClientIp(req);
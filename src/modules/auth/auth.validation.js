@@ -1,5 +1,6 @@
 const { body } = require('express-validator');
 const { ROLES, CURRENCIES } = require('../../models/User');
+const Bet = require('../../models/Bet');
 
 // Password confirmation validation (for sensitive operations)
 // Uses 'adminPassword' field to avoid conflict with new user's 'password' field
@@ -9,6 +10,42 @@ const validatePasswordConfirmation = [
     .withMessage('Admin password confirmation is required for this operation. Please provide your password in the "adminPassword" field.')
 ];
 
+// Stake limits given to a user at creation
+const validateStakeLimits = [
+  body('stakeLimits')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Stake limits must be an array of at most 50 limits')
+    .custom((value) => {
+      const validSports = Object.values(Bet.SPORTS);
+      const validMarketTypes = Object.values(Bet.MARKET_TYPES);
+      const limitFields = ['minStake', 'maxStake', 'maxProfit'];
+      value.forEach((limit, index) => {
+        if (!limit || typeof limit !== 'object') {
+          throw new Error(`Stake limit ${index} must be an object`);
+        }
+        if (limit.sport && !validSports.includes(limit.sport)) {
+          throw new Error(`Stake limit ${index} has an invalid sport. Valid sports are: ${validSports.join(', ')}`);
+        }
+        if (limit.marketType && !validMarketTypes.includes(limit.marketType)) {
+          throw new Error(`Stake limit ${index} has an invalid market type. Valid market types are: ${validMarketTypes.join(', ')}`);
+        }
+        if (!limitFields.some(field => limit[field] !== undefined && limit[field] !== null)) {
+          throw new Error(`Stake limit ${index} must set at least one of: ${limitFields.join(', ')}`);
+        }
+        limitFields.forEach(field => {
+          if (limit[field] !== undefined && limit[field] !== null && (typeof limit[field] !== 'number' || limit[field] < 0)) {
+            throw new Error(`Stake limit ${index} ${field} must be a non-negative number`);
+          }
+        });
+        if (typeof limit.minStake === 'number' && typeof limit.maxStake === 'number' && limit.minStake > limit.maxStake) {
+          throw new Error(`Stake limit ${index} minStake cannot be greater than maxStake`);
+        }
+      });
+      return true;
+    })
+];
+
 // Register validation
 const validateRegister = [
   body('username')
@@ -104,7 +141,9 @@ const validateRegister = [
   body('role')
     .optional()
     .isIn(Object.values(ROLES))
-    .withMessage('Invalid role specified')
+    .withMessage('Invalid role specified'),
+  
+  ...validateStakeLimits
 ];
 
 // Login validation - username can be username, name, or email
@@ -271,6 +310,7 @@ const validateAdminChangePassword = [
 
 module.exports = {
   validatePasswordConfirmation,
+  validateStakeLimits,
   validateRegister,
   validateLogin,
   validateChangePassword,
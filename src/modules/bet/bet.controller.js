@@ -0,0 +1,501 @@
+const betService = require('./bet.service');
+const settlementService = require('./settlement.service');
+const stakeLimitService = require('./stakeLimit.service');
+const marketControlService = require('./marketControl.service');
+const Bet = require('../../models/Bet');
+const { validationResult } = require('express-validator');
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Place a bet
+ */
+const placeBet = async (req, res, next) => {
+  try {
+    const result = await betService.placeBet(req.userId, req.body, req);
+
+    res.status(201).json({
+      success: true,
+      message: result.betDelay > 0
+        ? `Bet placed and pending for ${result.betDelay} seconds`
+        : 'Bet placed successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to place bet'
+    });
+  }
+};
+
+/**
+ * Get bets for current user, or for a specific user (admin only)
+ */
+const getUserBets = async (req, res, next) => {
+  try {
+    const userId = req.params.userId || req.userId;
+    const result = await betService.getUserBets(userId, {
+      ...req.query,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch bets'
+    });
+  }
+};
+
+/**
+ * Get bet by ID
+ */
+const getBetById = async (req, res, next) => {
+  try {
+    const bet = await betService.getBetById(req.params.betId, req.user);
+
+    res.json({
+      success: true,
+      data: { bet }
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Bet not found'
+    });
+  }
+};
+
+/**
+ * Cancel a bet
+ */
+const cancelBet = async (req, res, next) => {
+  try {
+    const bet = await betService.cancelBet(req.params.betId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Bet cancelled successfully',
+      data: { bet }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel bet'
+    });
+  }
+};
+
+/**
+ * Get profit/loss book for current user on a market
+ */
+const getMarketBook = async (req, res, next) => {
+  try {
+    const book = await betService.getMarketBook(req.userId, req.params.marketId);
+
+    res.json({
+      success: true,
+      data: book
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch market book'
+    });
+  }
+};
+
+/**
+ * Get fancy (session) markets of an event
+ */
+const getFancyMarkets = async (req, res, next) => {
+  try {
+    const result = await betService.getFancyMarkets(req.params.eventId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch fancy markets'
+    });
+  }
+};
+
+/**
+ * Get the stake limits that apply to the current user
+ */
+const getEffectiveStakeLimits = async (req, res, next) => {
+  try {
+    const result = await stakeLimitService.getEffectiveStakeLimits(req.userId, {
+      sport: req.query.sport,
+      marketType: req.query.marketType || Bet.MARKET_TYPES.MATCH_ODDS,
+      eventId: req.query.eventId
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch stake limits'
+    });
+  }
+};
+
+/**
+ * Get the stake limits set for a user, or the global limits
+ */
+const getStakeLimits = async (req, res, next) => {
+  try {
+    const result = await stakeLimitService.getStakeLimits(req.query.userId, req.user);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch stake limits'
+    });
+  }
+};
+
+/**
+ * Set a stake limit for a downline user, or a global limit (admin only)
+ */
+const setStakeLimit = async (req, res, next) => {
+  try {
+    const result = await stakeLimitService.setStakeLimit(req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Stake limit saved successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to set stake limit'
+    });
+  }
+};
+
+/**
+ * Delete a stake limit
+ */
+const deleteStakeLimit = async (req, res, next) => {
+  try {
+    const result = await stakeLimitService.deleteStakeLimit(req.params.limitId, req.user);
+
+    res.json({
+      success: true,
+      message: 'Stake limit deleted successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to delete stake limit'
+    });
+  }
+};
+
+/**
+ * Suspend an event, market or runner (admin only)
+ */
+const suspend = async (req, res, next) => {
+  try {
+    const result = await marketControlService.suspend(req.body, req.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Suspended successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to suspend'
+    });
+  }
+};
+
+/**
+ * Resume a suspended event, market or runner (admin only)
+ */
+const resume = async (req, res, next) => {
+  try {
+    const result = await marketControlService.resume(req.params.suspensionId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Resumed successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to resume'
+    });
+  }
+};
+
+/**
+ * Get suspensions (admin only)
+ */
+const getSuspensions = async (req, res, next) => {
+  try {
+    const result = await marketControlService.getSuspensions({
+      ...req.query,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch suspensions'
+    });
+  }
+};
+
+/**
+ * Lock betting for a user or downline (admin only)
+ */
+const lockBetting = async (req, res, next) => {
+  try {
+    const result = await marketControlService.lockBetting(req.body, req.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Betting locked successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to lock betting'
+    });
+  }
+};
+
+/**
+ * Remove a bet lock (admin only)
+ */
+const unlockBetting = async (req, res, next) => {
+  try {
+    const result = await marketControlService.unlockBetting(req.params.lockId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Betting unlocked successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to unlock betting'
+    });
+  }
+};
+
+/**
+ * Get bet locks (admin only)
+ */
+const getBetLocks = async (req, res, next) => {
+  try {
+    const result = await marketControlService.getBetLocks({
+      ...req.query,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch bet locks'
+    });
+  }
+};
+
+/**
+ * Settle a market (admin only)
+ */
+const settleEvent = async (req, res, next) => {
+  try {
+    const result = await settlementService.settleMarket(req.body, req.userId, { req });
+
+    res.json({
+      success: true,
+      message: 'Market settled successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to settle market'
+    });
+  }
+};
+
+/**
+ * Roll back the settlement of a market (admin only)
+ */
+const rollbackSettlement = async (req, res, next) => {
+  try {
+    const result = await settlementService.rollbackSettlement(req.body, req.userId, req);
+
+    res.json({
+      success: true,
+      message: 'Settlement rolled back successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to roll back settlement'
+    });
+  }
+};
+
+/**
+ * Void a market (admin only)
+ */
+const voidMarket = async (req, res, next) => {
+  try {
+    const result = await settlementService.voidMarket(req.body, req.userId, req);
+
+    res.json({
+      success: true,
+      message: 'Market voided successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to void market'
+    });
+  }
+};
+
+/**
+ * Void every market of an event (admin only)
+ */
+const voidEvent = async (req, res, next) => {
+  try {
+    const result = await settlementService.voidEvent(req.body, req.userId, req);
+
+    res.json({
+      success: true,
+      message: 'Event voided successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to void event'
+    });
+  }
+};
+
+/**
+ * Void a single bet (admin only)
+ */
+const voidBet = async (req, res, next) => {
+  try {
+    const result = await settlementService.voidBet(req.params.betId, req.body.reason, req.userId, req);
+
+    res.json({
+      success: true,
+      message: 'Bet voided successfully',
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to void bet'
+    });
+  }
+};
+
+/**
+ * Get settlements (admin only)
+ */
+const getSettlements = async (req, res, next) => {
+  try {
+    const result = await settlementService.getSettlements({
+      ...req.query,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch settlements'
+    });
+  }
+};
+
+module.exports = {
+  handleValidationErrors,
+  placeBet,
+  getUserBets,
+  getBetById,
+  cancelBet,
+  getMarketBook,
+  getFancyMarkets,
+  getEffectiveStakeLimits,
+  getStakeLimits,
+  setStakeLimit,
+  deleteStakeLimit,
+  suspend,
+  resume,
+  getSuspensions,
+  lockBetting,
+  unlockBetting,
+  getBetLocks,
+  settleEvent,
+  rollbackSettlement,
+  voidMarket,
+  voidEvent,
+  voidBet,
+  getSettlements
+};
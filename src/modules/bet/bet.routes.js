@@ -6,6 +6,7 @@ const { authenticate } = require('../../middlewares/auth.middleware');
 const { requireMinRole } = require('../../middlewares/authorize.middleware');
 const { ROLES } = require('../../models/User');
 const { apiLimiter } = require('../../middlewares/security.middleware');
+const { idempotent } = require('../../middlewares/idempotency.middleware');
 
 // Apply rate limiting to all routes
 router.use(apiLimiter);
@@ -17,6 +18,7 @@ router.use(authenticate);
 router.post('/place',
   betValidation.validatePlaceBet,
   betController.handleValidationErrors,
+  idempotent,
   betController.placeBet
 );
 
@@ -26,6 +28,98 @@ router.get('/my-bets',
   betController.getUserBets
 );
 
+router.get('/book/:marketId',
+  betValidation.validateMarketIdParam,
+  betController.handleValidationErrors,
+  betController.getMarketBook
+);
+
+router.get('/fancy/:eventId',
+  betValidation.validateEventIdParam,
+  betController.handleValidationErrors,
+  betController.getFancyMarkets
+);
+
+// Stake limits that apply to the current user
+router.get('/limits/effective',
+  betValidation.validateGetEffectiveStakeLimits,
+  betController.handleValidationErrors,
+  betController.getEffectiveStakeLimits
+);
+
+// Stake limits set by uplines (for their downline) and admins (globally)
+router.get('/limits',
+  requireMinRole(ROLES.AGENT),
+  betValidation.validateGetStakeLimits,
+  betController.handleValidationErrors,
+  betController.getStakeLimits
+);
+
+router.put('/limits',
+  requireMinRole(ROLES.AGENT),
+  betValidation.validateSetStakeLimit,
+  betController.handleValidationErrors,
+  betController.setStakeLimit
+);
+
+router.delete('/limits/:limitId',
+  requireMinRole(ROLES.AGENT),
+  betValidation.validateStakeLimitIdParam,
+  betController.handleValidationErrors,
+  betController.deleteStakeLimit
+);
+
+// Suspensions and bet locks (admin only), registered before /:betId
+router.get('/suspensions',
+  requireMinRole(ROLES.ADMIN),
+  betValidation.validateGetSuspensions,
+  betController.handleValidationErrors,
+  betController.getSuspensions
+);
+
+router.post('/suspensions',
+  requireMinRole(ROLES.ADMIN),
+  betValidation.validateSuspend,
+  betController.handleValidationErrors,
+  betController.suspend
+);
+
+router.post('/suspensions/:suspensionId/resume',
+  requireMinRole(ROLES.ADMIN),
+  betValidation.validateSuspensionIdParam,
+  betController.handleValidationErrors,
+  betController.resume
+);
+
+router.get('/locks',
+  requireMinRole(ROLES.ADMIN),
+  betValidation.validateGetBetLocks,
+  betController.handleValidationErrors,
+  betController.getBetLocks
+);
+
+router.post('/locks',
+  requireMinRole(ROLES.ADMIN),
+  betValidation.validateLockBetting,
+  betController.handleValidationErrors,
+  betController.lockBetting
+);
+
+router.post('/locks/:lockId/unlock',
+  requireMinRole(ROLES.ADMIN),
+  betValidation.validateBetLockIdParam,
+  betController.handleValidationErrors,
+  betController.unlockBetting
+);
+
+// Settlement history (admin only), registered before /:betId
+router.get('/settlements',
+  requireMinRole(ROLES.ADMIN),
+  betValidation.validateGetSettlements,
+  betController.handleValidationErrors,
+  betController.getSettlements
+);
+
 // This route must come after all specific routes (like /place, /my-bets)
 // to avoid matching them as betId parameters
 router.get('/:betId',
@@ -37,6 +131,7 @@ router.get('/:betId',
 router.post('/cancel/:betId',
   betValidation.validateCancelBet,
   betController.handleValidationErrors,
+  idempotent,
   betController.cancelBet
 );
 
@@ -47,9 +142,40 @@ router.use(requireMinRole(ROLES.ADMIN));
 router.post('/settle',
   betValidation.validateSettleEvent,
   betController.handleValidationErrors,
+  idempotent,
   betController.settleEvent
 );
 
+// Roll back a wrongly entered result
+router.post('/settle/rollback',
+  betValidation.validateRollbackSettlement,
+  betController.handleValidationErrors,
+  idempotent,
+  betController.rollbackSettlement
+);
+
+// Void a market, every market of an event, or a single bet
+router.post('/void/market',
+  betValidation.validateVoidMarket,
+  betController.handleValidationErrors,
+  idempotent,
+  betController.voidMarket
+);
+
+router.post('/void/event',
+  betValidation.validateVoidEvent,
+  betController.handleValidationErrors,
+  idempotent,
+  betController.voidEvent
+);
+
+router.post('/void/bet/:betId',
+  betValidation.validateVoidBet,
+  betController.handleValidationErrors,
+  idempotent,
+  betController.voidBet
+);
+
 // Get bets for any user (admin only)
 router.get('/user/:userId',
   betValidation.validateGetUserBets,
@@ -0,0 +1,633 @@
+const Bet = require('../../models/Bet');
+const Wallet = require('../../models/Wallet');
+const Settlement = require('../../models/Settlement');
+const MarketGuard = require('../../models/MarketGuard');
+const { User, ROLES, ROLE_HIERARCHY } = require('../../models/User');
+const walletService = require('../wallet/wallet.service');
+const { getFancyMarket, getEventFancyMarkets } = require('../../services/fancyMarket.service');
+const { getFreshEventData, validateBetPrice } = require('../../services/livePrice.service');
+const { getBetDelay, scheduleBetAcceptance, cancelBetAcceptance } = require('../../services/betDelay.service');
+const { notifyBetUpdate } = require('../../services/betNotification.service');
+const { notifyWalletUpdate } = require('../../services/userNotification.service');
+const { checkStakeLimits } = require('./stakeLimit.service');
+const { assertNotSuspended, assertBettingNotLocked } = require('./marketControl.service');
+const { assertMarketOpen } = require('../event/event.service');
+const { calculateBook, getMarketLiability } = require('../../utils/marketBook');
+
+/**
+ * Get a user's unsettled bets on a market
+ */
+const getUnsettledMarketBets = (userId, marketId, session = null) => {
+  return Bet.find({
+    user: userId,
+    marketId,
+    status: { $in: Bet.UNSETTLED_STATUSES }
+  }).session(session);
+};
+
+/**
+ * Resolve a fancy bet against the current session line of its market
+ * The requested run line and rate must still be on offer for the chosen side.
+ */
+const resolveFancyBet = async (betData) => {
+  const { sport, eventId, marketId, betType, line, rate } = betData;
+
+  if (![Bet.BET_TYPES.YES, Bet.BET_TYPES.NO].includes(betType)) {
+    throw new Error('Fancy bets must be yes or no');
+  }
+
+  // Lines are synced from the event feed, so the feed itself must be fresh
+  await getFreshEventData(sport, eventId);
+
+  const fancyMarket = await getFancyMarket(marketId);
+  if (!fancyMarket || fancyMarket.eventId !== String(eventId)) {
+    throw new Error('Fancy market not found');
+  }
+
+  if (!fancyMarket.isBettable()) {
+    throw new Error(`Fancy market is ${fancyMarket.status}`);
+  }
+
+  const current = fancyMarket.getLine(betType);
+  if (current.runs === null || current.rate === null) {
+    throw new Error(`No ${betType.toUpperCase()} line available for this market`);
+  }
+
+  if (Number(line) !== current.runs || Number(rate) !== current.rate) {
+    throw new Error(`Session line has changed. Current ${betType.toUpperCase()} line: ${current.runs} @ ${current.rate}`);
+  }
+
+  return {
+    fancyMarket,
+    selectionId: fancyMarket.selectionId,
+    selectionName: fancyMarket.name,
+    marketName: fancyMarket.name,
+    ...Bet.calculateFancyPayout(betType, current.rate, betData.stake)
+  };
+};
+
+/**
+ * Hold or release the change in a market's liability on the wallet
+ */
+const adjustMarketExposure = async (wallet, liabilityBefore, liabilityAfter, performedBy, description, options = {}) => {
+  const difference = Math.round((liabilityAfter - liabilityBefore) * 100) / 100;
+
+  if (difference > 0) {
+    return walletService.holdExposure(wallet, difference, performedBy, `Exposure held for ${description}`, options);
+  }
+
+  if (difference < 0) {
+    return walletService.releaseExposure(wallet, -difference, performedBy, `Exposure released for ${description}`, options);
+  }
+
+  return null;
+};
+
+/**
+ * Check the current price of a bet against the feed
+ * Returns the odds the bet is matched at (null for fancy bets), its payout and
+ * the market type the feed confirmed.
+ */
+const resolveBetPrice = async (betData) => {
+  const { sport, eventId, marketId, marketType, selectionId, betType, odds, stake } = betData;
+
+  if (marketType === Bet.MARKET_TYPES.FANCY) {
+    const fancyBet = await resolveFancyBet(betData);
+    return { ...fancyBet, marketType, matchedOdds: null };
+  }
+
+  const livePrice = await validateBetPrice({ sport, eventId, marketId, marketType, selectionId, betType, odds });
+  return {
+    marketType: livePrice.marketType,
+    marketName: livePrice.marketName,
+    selectionName: livePrice.selectionName,
+    matchedOdds: livePrice.odds,
+    ...Bet.calculatePayout(betType, livePrice.odds, stake)
+  };
+};
+
+/**
+ * Place a new back/lay bet, or a YES/NO bet on a fancy market
+ * Only end users (role: user) can place bets. The wallet holds the change in
+ * the user's net liability on the market, not the liability of the bet alone.
+ * Markets with a bet delay take the bet as pending; it is rechecked against
+ * the feed once the delay has passed (see acceptPendingBet).
+ */
+const placeBet = async (userId, betData, req = null) => {
+  const {
+    sport,
+    eventId,
+    eventName,
+    marketId,
+    marketType: requestedMarketType = Bet.MARKET_TYPES.MATCH_ODDS,
+    betType,
+    odds,
+    line,
+    rate,
+    stake
+  } = betData;
+  let { marketName, selectionId, selectionName } = betData;
+
+  const isFancy = requestedMarketType === Bet.MARKET_TYPES.FANCY;
+
+  // Validate stake and odds
+  if (!stake || stake <= 0) {
+    throw new Error('Stake must be greater than 0');
+  }
+
+  if (!isFancy && (!odds || odds < 1.01)) {
+    throw new Error('Odds must be at least 1.01');
+  }
+
+  if (!isFancy && ![Bet.BET_TYPES.BACK, Bet.BET_TYPES.LAY].includes(betType)) {
+    throw new Error('Bets on this market must be back or lay');
+  }
+
+  // Get user
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (!user.isActive) {
+    throw new Error('Account is deactivated. Please contact administrator.');
+  }
+
+  if (user.role !== ROLES.USER) {
+    throw new Error('Only users can place bets');
+  }
+
+  // Admin controls override the feed
+  await assertBettingNotLocked(userId, eventId);
+  await assertNotSuspended({ sport, eventId, marketId, selectionId });
+
+  // Settled markets take no more bets
+  const settlement = await Settlement.exists({ marketId, status: Settlement.SETTLEMENT_STATUS.SETTLED });
+  if (settlement) {
+    throw new Error('Market is already settled');
+  }
+
+  // Closed events and markets take no more bets, even if the feed is still cached
+  await assertMarketOpen({ sport, eventId, marketId });
+
+  // Get wallet
+  const wallet = await Wallet.findOne({ user: userId });
+  if (!wallet) {
+    throw new Error('Wallet not found');
+  }
+
+  // Check if wallet is available
+  if (!wallet.isAvailable()) {
+    throw new Error(`Wallet is ${wallet.isLocked ? 'locked' : 'inactive'}. ${wallet.lockedReason || ''}`);
+  }
+
+  // Check the requested odds or session line against the latest feed price
+  // Only the market type the feed confirmed is used from here on
+  const price = await resolveBetPrice({ ...betData, marketType: requestedMarketType });
+  const { marketType, matchedOdds, potentialProfit, liability } = price;
+
+  if (isFancy) {
+    ({ selectionId, selectionName, marketName } = price);
+  } else {
+    marketName = marketName || price.marketName;
+    selectionName = selectionName || price.selectionName;
+  }
+
+  // Check stake and potential profit against the user's stake limits
+  await checkStakeLimits(userId, { sport, marketType, eventId, stake, potentialProfit });
+
+  const betDelay = getBetDelay(sport, marketType);
+  const isDelayed = betDelay > 0;
+
+  const result = await walletService.runInTransaction(async (session) => {
+    // Claimed first, so a concurrent change to this market makes one of the two retry with fresh reads
+    await MarketGuard.claim(marketId, session);
+
+    // The market book and wallet are read inside the transaction, so the liability change is worked out from current bets
+    const currentWallet = await Wallet.findOne({ user: userId }).session(session);
+    if (!currentWallet) {
+      throw new Error('Wallet not found');
+    }
+
+    if (!currentWallet.isAvailable()) {
+      throw new Error(`Wallet is ${currentWallet.isLocked ? 'locked' : 'inactive'}. ${currentWallet.lockedReason || ''}`);
+    }
+
+    // Settled markets take no more bets (checked again now the market is claimed)
+    const settled = await Settlement.exists({ marketId, status: Settlement.SETTLEMENT_STATUS.SETTLED }).session(session);
+    if (settled) {
+      throw new Error('Market is already settled');
+    }
+
+    // Work out how the bet changes the user's liability on this market
+    const marketBets = await getUnsettledMarketBets(userId, marketId, session);
+    const liabilityBefore = getMarketLiability(marketBets);
+    const liabilityAfter = getMarketLiability([
+      ...marketBets,
+      {
+        selectionId,
+        selectionName,
+        marketType,
+        betType,
+        line,
+        potentialProfit,
+        liability,
+        status: isDelayed ? Bet.BET_STATUS.PENDING : Bet.BET_STATUS.MATCHED
+      }
+    ]);
+    const exposureChange = liabilityAfter - liabilityBefore;
+
+    // Check if wallet can cover the additional liability
+    if (exposureChange > 0 && currentWallet.availableBalance < exposureChange) {
+      throw new Error('Insufficient wallet balance');
+    }
+
+    // Check if the new exposure stays within the user's exposure limit
+    const newExposure = currentWallet.exposure + exposureChange;
+    if (exposureChange > 0 && newExposure > user.exposureLimit) {
+      throw new Error(`Exposure limit exceeded. Current exposure: ${currentWallet.exposure}, additional liability: ${Math.round(exposureChange * 100) / 100}, limit: ${user.exposureLimit}`);
+    }
+
+    const now = new Date();
+    const [bet] = await Bet.create([{
+      user: userId,
+      sport,
+      eventId,
+      eventName,
+      marketId,
+      marketName,
+      marketType,
+      selectionId,
+      selectionName,
+      betType,
+      odds: matchedOdds,
+      requestedOdds: isFancy ? null : odds,
+      line: isFancy ? line : null,
+      rate: isFancy ? rate : null,
+      stake,
+      potentialProfit,
+      liability,
+      currency: currentWallet.currency,
+      status: isDelayed ? Bet.BET_STATUS.PENDING : Bet.BET_STATUS.MATCHED,
+      matchedAt: isDelayed ? null : now,
+      acceptAt: isDelayed ? new Date(now.getTime() + betDelay * 1000) : null,
+      ipAddress: req ? req.ip : null,
+      userAgent: req ? req.get('user-agent') : null
+    }], { session });
+
+    // Move the change in market liability into wallet exposure
+    const transaction = await adjustMarketExposure(
+      currentWallet,
+      liabilityBefore,
+      liabilityAfter,
+      userId,
+      `${betType} bet: ${bet.describe()}`,
+      { session, req, metadata: { betId: bet._id.toString(), eventId, marketId } }
+    );
+
+    return { bet, transaction, wallet: currentWallet, liabilityAfter };
+  });
+
+  if (result.transaction) {
+    notifyWalletUpdate(result.wallet);
+  }
+
+  if (isDelayed) {
+    scheduleBetAcceptance(result.bet._id, result.bet.acceptAt, acceptPendingBet);
+  }
+
+  return {
+    bet: result.bet.toJSON(),
+    betDelay,
+    transaction: result.transaction ? result.transaction.toJSON() : null,
+    marketLiability: result.liabilityAfter,
+    exposure: result.wallet.exposure,
+    availableBalance: result.wallet.availableBalance
+  };
+};
+
+/**
+ * Recheck a pending bet against the current feed once its delay has passed
+ * The bet is matched at the then-current price, or rejected if the market or
+ * price moved, and the user's market liability is adjusted either way. The
+ * user is notified of the outcome over Socket.IO.
+ */
+const acceptPendingBet = async (betId) => {
+  const bet = await Bet.findById(betId);
+  if (!bet || bet.status !== Bet.BET_STATUS.PENDING) {
+    return null;
+  }
+
+  let rejectionReason = null;
+  let price = null;
+
+  try {
+    await assertNotSuspended(bet);
+    price = await resolveBetPrice({
+      sport: bet.sport,
+      eventId: bet.eventId,
+      marketId: bet.marketId,
+      marketType: bet.marketType,
+      selectionId: bet.selectionId,
+      betType: bet.betType,
+      odds: bet.requestedOdds ?? bet.odds,
+      line: bet.line,
+      rate: bet.rate,
+      stake: bet.stake
+    });
+  } catch (error) {
+    rejectionReason = error.message;
+  }
+
+  const user = await User.findById(bet.user);
+
+  const result = await walletService.runInTransaction(async (session) => {
+    // Claimed first, so a concurrent change to this market makes one of the two retry with fresh reads
+    await MarketGuard.claim(bet.marketId, session);
+
+    const wallet = await Wallet.findOne({ user: bet.user }).session(session);
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+
+    const marketBets = await getUnsettledMarketBets(bet.user, bet.marketId, session);
+    const otherBets = marketBets.filter(marketBet => marketBet._id.toString() !== bet._id.toString());
+    const liabilityBefore = getMarketLiability(marketBets);
+    let liabilityAfter = getMarketLiability(otherBets);
+    let reason = rejectionReason;
+
+    if (!reason) {
+      liabilityAfter = getMarketLiability([
+        ...otherBets,
+        {
+          selectionId: bet.selectionId,
+          selectionName: bet.selectionName,
+          marketType: bet.marketType,
+          betType: bet.betType,
+          line: bet.line,
+          potentialProfit: price.potentialProfit,
+          liability: price.liability,
+          status: Bet.BET_STATUS.MATCHED
+        }
+      ]);
+
+      // A worse lay price raises the liability, which must still be covered
+      const exposureChange = liabilityAfter - liabilityBefore;
+      if (exposureChange > 0 && wallet.availableBalance < exposureChange) {
+        reason = 'Insufficient wallet balance';
+      } else if (exposureChange > 0 && user && wallet.exposure + exposureChange > user.exposureLimit) {
+        reason = 'Exposure limit exceeded';
+      }
+
+      if (reason) {
+        liabilityAfter = getMarketLiability(otherBets);
+      }
+    }
+
+    const now = new Date();
+    const update = reason
+      ? {
+        status: Bet.BET_STATUS.REJECTED,
+        rejectedAt: now,
+        rejectionReason: reason
+      }
+      : {
+        status: Bet.BET_STATUS.MATCHED,
+        matchedAt: now,
+        ...(price.matchedOdds !== null ? { odds: price.matchedOdds } : {}),
+        potentialProfit: price.potentialProfit,
+        liability: price.liability
+      };
+
+    // Only the first worker to pick up the bet may resolve it
+    const resolvedBet = await Bet.findOneAndUpdate(
+      { _id: bet._id, status: Bet.BET_STATUS.PENDING },
+      { $set: update },
+      { new: true, session }
+    );
+
+    if (!resolvedBet) {
+      return null;
+    }
+
+    const transaction = await adjustMarketExposure(
+      wallet,
+      liabilityBefore,
+      liabilityAfter,
+      bet.user,
+      `${reason ? 'rejected' : 'accepted'} bet: ${resolvedBet.describe()}`,
+      { session, metadata: { betId: bet._id.toString(), eventId: bet.eventId, marketId: bet.marketId } }
+    );
+
+    return { bet: resolvedBet, transaction, wallet };
+  });
+
+  if (!result) {
+    return null;
+  }
+
+  notifyBetUpdate(bet.user, result.bet);
+  if (result.transaction) {
+    notifyWalletUpdate(result.wallet);
+  }
+
+  return result.bet;
+};
+
+/**
+ * Schedule every pending bet for processing
+ * Called on startup so bets left pending by a restart are still resolved.
+ */
+const resumePendingBets = async () => {
+  const bets = await Bet.find({ status: Bet.BET_STATUS.PENDING }).select('_id acceptAt');
+
+  bets.forEach(bet => {
+    scheduleBetAcceptance(bet._id, bet.acceptAt || new Date(), acceptPendingBet);
+  });
+
+  return bets.length;
+};
+
+/**
+ * Get bets for a user
+ */
+const getUserBets = async (userId, query = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    status,
+    sport,
+    eventId,
+    marketId,
+    startDate,
+    endDate
+  } = query;
+
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = { user: userId };
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (sport) {
+    filter.sport = sport;
+  }
+
+  if (eventId) {
+    filter.eventId = eventId;
+  }
+
+  if (marketId) {
+    filter.marketId = marketId;
+  }
+
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) {
+      filter.createdAt.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      filter.createdAt.$lte = new Date(endDate);
+    }
+  }
+
+  const bets = await Bet.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Bet.countDocuments(filter);
+
+  return {
+    bets,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get a bet by ID
+ * Users can only view their own bets, admins can view any bet
+ */
+const getBetById = async (betId, requester) => {
+  const bet = await Bet.findById(betId).populate('user', 'username name role');
+  if (!bet) {
+    throw new Error('Bet not found');
+  }
+
+  const isOwner = bet.user._id.toString() === requester._id.toString();
+  const isAdmin = (ROLE_HIERARCHY[requester.role] || 0) >= ROLE_HIERARCHY[ROLES.ADMIN];
+
+  if (!isOwner && !isAdmin) {
+    throw new Error('Bet not found');
+  }
+
+  return bet;
+};
+
+/**
+ * Cancel a bet
+ * Only bets not matched yet (pending or open) can be cancelled, and only by the
+ * user who placed them. A pending bet's acceptance timer is stopped.
+ */
+const cancelBet = async (betId, userId) => {
+  const bet = await Bet.findOne({ _id: betId, user: userId });
+  if (!bet) {
+    throw new Error('Bet not found');
+  }
+
+  if (!bet.isCancellable()) {
+    throw new Error(`Bet cannot be cancelled. Current status: ${bet.status}`);
+  }
+
+  const result = await walletService.runInTransaction(async (session) => {
+    // Claimed first, so a concurrent change to this market makes one of the two retry with fresh reads
+    await MarketGuard.claim(bet.marketId, session);
+
+    const wallet = await Wallet.findOne({ user: userId }).session(session);
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+
+    const marketBets = await getUnsettledMarketBets(userId, bet.marketId, session);
+    const liabilityBefore = getMarketLiability(marketBets);
+    const liabilityAfter = getMarketLiability(
+      marketBets.filter(marketBet => marketBet._id.toString() !== bet._id.toString())
+    );
+
+    // Only cancels the bet if it was not matched or settled in the meantime
+    const cancelledBet = await Bet.findOneAndUpdate(
+      { _id: bet._id, status: bet.status },
+      { $set: { status: Bet.BET_STATUS.CANCELLED, cancelledAt: new Date() } },
+      { new: true, session }
+    );
+
+    if (!cancelledBet) {
+      throw new Error('Bet cannot be cancelled. It changed in the meantime');
+    }
+
+    // Release the change in market liability from wallet exposure
+    const transaction = await adjustMarketExposure(
+      wallet,
+      liabilityBefore,
+      liabilityAfter,
+      userId,
+      `cancelled bet: ${cancelledBet.describe()}`,
+      { session, metadata: { betId: bet._id.toString(), eventId: bet.eventId, marketId: bet.marketId } }
+    );
+
+    return { bet: cancelledBet, transaction, wallet };
+  });
+
+  cancelBetAcceptance(result.bet._id);
+
+  notifyBetUpdate(userId, result.bet);
+  if (result.transaction) {
+    notifyWalletUpdate(result.wallet);
+  }
+
+  return result.bet;
+};
+
+/**
+ * Get the profit/loss book of a user's unsettled bets on a market
+ */
+const getMarketBook = async (userId, marketId) => {
+  const bets = await getUnsettledMarketBets(userId, marketId);
+  const book = calculateBook(bets);
+
+  return {
+    marketId,
+    eventId: bets.length > 0 ? bets[0].eventId : null,
+    marketType: bets.length > 0 ? bets[0].marketType : null,
+    betCount: bets.length,
+    ...book,
+    liability: getMarketLiability(bets)
+  };
+};
+
+/**
+ * Get the fancy markets of an event that are open or waiting for a result
+ */
+const getFancyMarkets = async (eventId) => {
+  const markets = await getEventFancyMarkets(eventId);
+  return { eventId, markets };
+};
+
+module.exports = {
+  placeBet,
+  acceptPendingBet,
+  resumePendingBets,
+  getUserBets,
+  getBetById,
+  cancelBet,
+  getMarketBook,
+  getFancyMarkets
+};
@@ -0,0 +1,572 @@
+const { body, param, query } = require('express-validator');
+const Bet = require('../../models/Bet');
+const Settlement = require('../../models/Settlement');
+
+// Condition helpers for fields that depend on the market type
+const isFancyMarket = body('marketType').equals(Bet.MARKET_TYPES.FANCY);
+const isNotFancyMarket = body('marketType').not().equals(Bet.MARKET_TYPES.FANCY);
+
+/**
+ * Validation for placing a bet
+ */
+const validatePlaceBet = [
+  body('sport')
+    .notEmpty()
+    .withMessage('Sport is required')
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage(`Sport must be one of: ${Object.values(Bet.SPORTS).join(', ')}`),
+  body('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Event ID cannot exceed 100 characters'),
+  body('eventName')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Event name cannot exceed 200 characters'),
+  body('marketId')
+    .notEmpty()
+    .withMessage('Market ID is required')
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Market ID cannot exceed 100 characters'),
+  body('marketName')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Market name cannot exceed 200 characters'),
+  body('marketType')
+    .optional()
+    .isIn(Object.values(Bet.MARKET_TYPES))
+    .withMessage(`Market type must be one of: ${Object.values(Bet.MARKET_TYPES).join(', ')}`),
+  body('selectionId')
+    .if(isNotFancyMarket)
+    .notEmpty()
+    .withMessage('Selection ID is required')
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Selection ID cannot exceed 100 characters'),
+  body('selectionName')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Selection name cannot exceed 200 characters'),
+  body('betType')
+    .notEmpty()
+    .withMessage('Bet type is required')
+    .if(isNotFancyMarket)
+    .isIn([Bet.BET_TYPES.BACK, Bet.BET_TYPES.LAY])
+    .withMessage('Bet type must be back or lay'),
+  body('betType')
+    .if(isFancyMarket)
+    .isIn([Bet.BET_TYPES.YES, Bet.BET_TYPES.NO])
+    .withMessage('Bet type must be yes or no for fancy markets'),
+  body('odds')
+    .if(isNotFancyMarket)
+    .notEmpty()
+    .withMessage('Odds are required')
+    .isFloat({ min: 1.01, max: 1000 })
+    .withMessage('Odds must be between 1.01 and 1000')
+    .toFloat(),
+  body('line')
+    .if(isFancyMarket)
+    .notEmpty()
+    .withMessage('Run line is required for fancy bets')
+    .isInt({ min: 0, max: 9999 })
+    .withMessage('Run line must be a whole number between 0 and 9999')
+    .toInt(),
+  body('rate')
+    .if(isFancyMarket)
+    .notEmpty()
+    .withMessage('Rate is required for fancy bets')
+    .isFloat({ min: 0.01, max: 10000 })
+    .withMessage('Rate must be between 0.01 and 10000')
+    .toFloat(),
+  body('stake')
+    .notEmpty()
+    .withMessage('Stake is required')
+    .isFloat({ min: 1, max: 9999999999 })
+    .withMessage('Stake must be between 1 and 9999999999')
+    .toFloat()
+];
+
+/**
+ * Validation for getting bets
+ */
+const validateGetUserBets = [
+  param('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(Object.values(Bet.BET_STATUS))
+    .withMessage('Invalid bet status'),
+  query('sport')
+    .optional()
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage('Invalid sport'),
+  query('eventId')
+    .optional()
+    .isString()
+    .trim(),
+  query('marketId')
+    .optional()
+    .isString()
+    .trim(),
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid ISO 8601 date'),
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('End date must be a valid ISO 8601 date')
+];
+
+/**
+ * Validation for bet ID parameter
+ */
+const validateBetIdParam = [
+  param('betId')
+    .notEmpty()
+    .withMessage('Bet ID is required')
+    .isMongoId()
+    .withMessage('Invalid bet ID format')
+];
+
+/**
+ * Validation for market ID parameter
+ */
+const validateMarketIdParam = [
+  param('marketId')
+    .notEmpty()
+    .withMessage('Market ID is required')
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Market ID cannot exceed 100 characters')
+];
+
+/**
+ * Validation for event ID parameter
+ */
+const validateEventIdParam = [
+  param('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Event ID cannot exceed 100 characters')
+];
+
+/**
+ * Validation for cancelling a bet
+ */
+const validateCancelBet = [
+  ...validateBetIdParam
+];
+
+/**
+ * Validation for settling a market
+ */
+const validateSettleEvent = [
+  body('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isString()
+    .trim(),
+  body('marketId')
+    .notEmpty()
+    .withMessage('Market ID is required')
+    .isString()
+    .trim(),
+  body('winningSelectionId')
+    .optional()
+    .notEmpty()
+    .withMessage('Winning selection ID cannot be empty')
+    .trim(),
+  body('finalRuns')
+    .optional()
+    .isInt({ min: 0, max: 9999 })
+    .withMessage('Final runs must be a whole number between 0 and 9999')
+    .toInt(),
+  body('isVoid')
+    .optional()
+    .isBoolean()
+    .withMessage('isVoid must be a boolean')
+    .toBoolean(),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  body()
+    .custom((value) => {
+      if (value.winningSelectionId === undefined && value.finalRuns === undefined && value.isVoid !== true) {
+        throw new Error('Either winningSelectionId, finalRuns (for fancy markets) or isVoid is required');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation for rolling back a settlement
+ */
+const validateRollbackSettlement = [
+  body('marketId')
+    .notEmpty()
+    .withMessage('Market ID is required')
+    .isString()
+    .trim(),
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation for voiding a market
+ */
+const validateVoidMarket = [
+  body('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isString()
+    .trim(),
+  body('marketId')
+    .notEmpty()
+    .withMessage('Market ID is required')
+    .isString()
+    .trim(),
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation for voiding an event
+ */
+const validateVoidEvent = [
+  body('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isString()
+    .trim(),
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation for voiding a bet
+ */
+const validateVoidBet = [
+  ...validateBetIdParam,
+  body('reason')
+    .notEmpty()
+    .withMessage('Reason is required')
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation for setting a stake limit
+ */
+const validateSetStakeLimit = [
+  body('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  body('sport')
+    .optional({ values: 'null' })
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage('Invalid sport'),
+  body('marketType')
+    .optional({ values: 'null' })
+    .isIn(Object.values(Bet.MARKET_TYPES))
+    .withMessage('Invalid market type'),
+  body('eventId')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Event ID cannot exceed 100 characters'),
+  body(['minStake', 'maxStake', 'maxProfit'])
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 9999999999 })
+    .withMessage('Limits must be numbers between 0 and 9999999999')
+    .toFloat(),
+  body()
+    .custom((value) => {
+      const isSet = (field) => value[field] !== undefined && value[field] !== null;
+      if (!isSet('minStake') && !isSet('maxStake') && !isSet('maxProfit')) {
+        throw new Error('At least one of minStake, maxStake or maxProfit is required');
+      }
+      return true;
+    })
+];
+
+/**
+ * Validation for getting stake limits
+ */
+const validateGetStakeLimits = [
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format')
+];
+
+/**
+ * Validation for getting effective stake limits
+ */
+const validateGetEffectiveStakeLimits = [
+  query('sport')
+    .notEmpty()
+    .withMessage('Sport is required')
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage('Invalid sport'),
+  query('marketType')
+    .optional()
+    .isIn(Object.values(Bet.MARKET_TYPES))
+    .withMessage('Invalid market type'),
+  query('eventId')
+    .optional()
+    .isString()
+    .trim()
+];
+
+/**
+ * Validation for stake limit ID parameter
+ */
+const validateStakeLimitIdParam = [
+  param('limitId')
+    .notEmpty()
+    .withMessage('Stake limit ID is required')
+    .isMongoId()
+    .withMessage('Invalid stake limit ID format')
+];
+
+/**
+ * Validation for suspending an event, market or runner
+ */
+const validateSuspend = [
+  body('sport')
+    .notEmpty()
+    .withMessage('Sport is required')
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage('Invalid sport'),
+  body('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isString()
+    .trim(),
+  body('marketId')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Market ID cannot exceed 100 characters'),
+  body('selectionId')
+    .optional({ values: 'null' })
+    .notEmpty()
+    .withMessage('Selection ID cannot be empty')
+    .trim()
+    .custom((value, { req }) => {
+      if (!req.body.marketId) {
+        throw new Error('Market ID is required to suspend a runner');
+      }
+      return true;
+    }),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation for suspension ID parameter
+ */
+const validateSuspensionIdParam = [
+  param('suspensionId')
+    .notEmpty()
+    .withMessage('Suspension ID is required')
+    .isMongoId()
+    .withMessage('Invalid suspension ID format')
+];
+
+/**
+ * Validation for getting suspensions
+ */
+const validateGetSuspensions = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('sport')
+    .optional()
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage('Invalid sport'),
+  query('eventId')
+    .optional()
+    .isString()
+    .trim(),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+/**
+ * Validation for locking betting
+ */
+const validateLockBetting = [
+  body('userId')
+    .notEmpty()
+    .withMessage('User ID is required')
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  body('eventId')
+    .optional({ values: 'null' })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Event ID cannot exceed 100 characters'),
+  body('includeDownline')
+    .optional()
+    .isBoolean()
+    .withMessage('includeDownline must be a boolean')
+    .toBoolean(),
+  body('reason')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+/**
+ * Validation for bet lock ID parameter
+ */
+const validateBetLockIdParam = [
+  param('lockId')
+    .notEmpty()
+    .withMessage('Bet lock ID is required')
+    .isMongoId()
+    .withMessage('Invalid bet lock ID format')
+];
+
+/**
+ * Validation for getting bet locks
+ */
+const validateGetBetLocks = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid user ID format'),
+  query('eventId')
+    .optional()
+    .isString()
+    .trim(),
+  query('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+/**
+ * Validation for getting settlements
+ */
+const validateGetSettlements = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('eventId')
+    .optional()
+    .isString()
+    .trim(),
+  query('marketId')
+    .optional()
+    .isString()
+    .trim(),
+  query('status')
+    .optional()
+    .isIn(Object.values(Settlement.SETTLEMENT_STATUS))
+    .withMessage('Invalid settlement status'),
+  query('source')
+    .optional()
+    .isIn(Object.values(Settlement.SETTLEMENT_SOURCES))
+    .withMessage('Invalid settlement source')
+];
+
+module.exports = {
+  validatePlaceBet,
+  validateGetUserBets,
+  validateBetIdParam,
+  validateMarketIdParam,
+  validateEventIdParam,
+  validateCancelBet,
+  validateSettleEvent,
+  validateRollbackSettlement,
+  validateVoidMarket,
+  validateVoidEvent,
+  validateVoidBet,
+  validateSetStakeLimit,
+  validateGetStakeLimits,
+  validateGetEffectiveStakeLimits,
+  validateStakeLimitIdParam,
+  validateSuspend,
+  validateSuspensionIdParam,
+  validateGetSuspensions,
+  validateLockBetting,
+  validateBetLockIdParam,
+  validateGetBetLocks,
+  validateGetSettlements
+};
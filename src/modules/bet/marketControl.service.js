@@ -0,0 +1,374 @@
+const Suspension = require('../../models/Suspension');
+const BetLock = require('../../models/BetLock');
+const FancyMarket = require('../../models/FancyMarket');
+const { User } = require('../../models/User');
+const { MARKET_TYPES, MARKET_STATUS, RUNNER_STATUS } = require('../../utils/feedModel');
+const {
+  getSocketServer,
+  getEventRoom,
+  LEGACY_FEED_ROOM,
+  getLegacyEventRoom
+} = require('../../services/socketServer.service');
+const { getSportFeed } = require('../../services/sportFeed.service');
+
+// Active suspensions per sport and event, overlaid on every feed broadcast
+const activeSuspensions = new Map();
+
+const getEventKey = (sport, eventId) => `${sport}:${eventId}`;
+
+const normalizeId = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+/**
+ * Load all active suspensions into memory
+ * Called on startup so suspensions survive a restart.
+ */
+const loadActiveSuspensions = async () => {
+  const suspensions = await Suspension.find({ isActive: true });
+
+  activeSuspensions.clear();
+  suspensions.forEach(suspension => {
+    const key = getEventKey(suspension.sport, suspension.eventId);
+    if (!activeSuspensions.has(key)) {
+      activeSuspensions.set(key, []);
+    }
+    activeSuspensions.get(key).push(suspension.toObject());
+  });
+
+  return suspensions.length;
+};
+
+/**
+ * Get the active suspensions of an event from memory
+ */
+const getEventSuspensions = (sport, eventId) => activeSuspensions.get(getEventKey(sport, eventId)) || [];
+
+/**
+ * Mark suspended markets and runners in an event
+ * Suspended markets and runners get status SUSPENDED, whatever the feed says.
+ * Fancy lines are matched by their fancy market ID as well. Also works on the
+ * markets of a delta. Pure function: returns a new event.
+ */
+const applySuspensions = (eventId, event, suspensions = []) => {
+  if (suspensions.length === 0 || !Array.isArray(event?.markets)) {
+    return event;
+  }
+
+  const eventSuspended = suspensions.some(suspension => !suspension.marketId);
+  const isSuspended = (marketId, selectionId = null) => suspensions.some(suspension => suspension.marketId === marketId
+    && (suspension.selectionId === null || suspension.selectionId === selectionId));
+
+  const markets = event.markets.map(market => {
+    const marketSuspended = eventSuspended || isSuspended(market.marketId);
+    const fancy = market.type === MARKET_TYPES.FANCY;
+
+    const runners = Array.isArray(market.runners)
+      ? market.runners.map(runner => {
+        const runnerSuspended = marketSuspended
+          || isSuspended(market.marketId, runner.selectionId)
+          || (fancy && isSuspended(FancyMarket.buildMarketId(eventId, runner.selectionId)));
+        return runnerSuspended ? { ...runner, status: RUNNER_STATUS.SUSPENDED } : runner;
+      })
+      : market.runners;
+
+    return marketSuspended
+      ? { ...market, status: MARKET_STATUS.SUSPENDED, runners }
+      : { ...market, runners };
+  });
+
+  return { ...event, markets };
+};
+
+/**
+ * Apply the active suspensions of an event to its data
+ */
+const applyEventSuspensions = (sport, eventId, event) => {
+  return applySuspensions(String(eventId), event, getEventSuspensions(sport, eventId));
+};
+
+/**
+ * Broadcast the suspensions of an event, and its data with them applied, to the event room
+ */
+const broadcastSuspensions = (sport, eventId) => {
+  const socketServer = getSocketServer();
+  if (!socketServer) {
+    return;
+  }
+
+  const room = socketServer.to(getEventRoom(sport, eventId));
+  const suspensions = getEventSuspensions(sport, eventId);
+  room.emit(`${sport}_event_${eventId}_suspensions`, {
+    eventId,
+    suspensions: suspensions.map(suspension => ({
+      marketId: suspension.marketId,
+      selectionId: suspension.selectionId,
+      reason: suspension.reason
+    }))
+  });
+
+  // The event snapshot is broadcast again so the change shows straight away
+  const snapshot = getSportFeed(sport)?.getEventSnapshot(eventId);
+  if (snapshot) {
+    const data = applyEventSuspensions(sport, eventId, snapshot.data);
+    room.except(LEGACY_FEED_ROOM).emit(`${sport}_event_${eventId}_snapshot`, { ...snapshot, data });
+    socketServer.to(getLegacyEventRoom(sport, eventId)).emit(`${sport}_event_${eventId}`, data);
+  }
+};
+
+/**
+ * Suspend an event, a market or a single runner
+ * Overrides the feed until resumed: bets are refused and broadcasts show it suspended.
+ */
+const suspend = async (suspensionData, performedBy) => {
+  const { sport, eventId, reason = null } = suspensionData;
+  const marketId = normalizeId(suspensionData.marketId);
+  const selectionId = marketId ? normalizeId(suspensionData.selectionId) : null;
+
+  const existing = await Suspension.findOne({ sport, eventId, marketId, selectionId, isActive: true });
+  if (existing) {
+    throw new Error('Already suspended');
+  }
+
+  const suspension = await Suspension.create({
+    sport,
+    eventId,
+    marketId,
+    selectionId,
+    reason,
+    suspendedBy: performedBy
+  });
+
+  const key = getEventKey(sport, eventId);
+  if (!activeSuspensions.has(key)) {
+    activeSuspensions.set(key, []);
+  }
+  activeSuspensions.get(key).push(suspension.toObject());
+
+  broadcastSuspensions(sport, eventId);
+
+  return suspension;
+};
+
+/**
+ * Resume a suspended event, market or runner
+ */
+const resume = async (suspensionId, performedBy) => {
+  const suspension = await Suspension.findById(suspensionId);
+  if (!suspension) {
+    throw new Error('Suspension not found');
+  }
+
+  if (!suspension.isActive) {
+    throw new Error('Suspension is already resumed');
+  }
+
+  suspension.isActive = false;
+  suspension.resumedBy = performedBy;
+  suspension.resumedAt = new Date();
+  await suspension.save();
+
+  const key = getEventKey(suspension.sport, suspension.eventId);
+  const remaining = getEventSuspensions(suspension.sport, suspension.eventId)
+    .filter(active => active._id.toString() !== suspension._id.toString());
+  if (remaining.length > 0) {
+    activeSuspensions.set(key, remaining);
+  } else {
+    activeSuspensions.delete(key);
+  }
+
+  broadcastSuspensions(suspension.sport, suspension.eventId);
+
+  return suspension;
+};
+
+/**
+ * Get suspensions, newest first
+ */
+const getSuspensions = async (query = {}) => {
+  const { page = 1, limit = 20, sport, eventId, isActive } = query;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (sport) {
+    filter.sport = sport;
+  }
+
+  if (eventId) {
+    filter.eventId = eventId;
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === true || isActive === 'true';
+  }
+
+  const suspensions = await Suspension.find(filter)
+    .populate('suspendedBy', 'username name role')
+    .populate('resumedBy', 'username name role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Suspension.countDocuments(filter);
+
+  return {
+    suspensions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Check that a bet's event, market and runner are not suspended
+ */
+const assertNotSuspended = async ({ sport, eventId, marketId, selectionId }) => {
+  const suspensions = await Suspension.find({
+    sport,
+    eventId: String(eventId),
+    isActive: true,
+    marketId: { $in: [null, normalizeId(marketId)] }
+  });
+
+  if (suspensions.some(suspension => !suspension.marketId)) {
+    throw new Error('Event is suspended');
+  }
+
+  if (suspensions.some(suspension => !suspension.selectionId)) {
+    throw new Error('Market is suspended');
+  }
+
+  if (suspensions.some(suspension => suspension.selectionId === normalizeId(selectionId))) {
+    throw new Error('Selection is suspended');
+  }
+};
+
+/**
+ * Lock betting for a user, optionally with their whole downline, on one event or all events
+ */
+const lockBetting = async (lockData, performedBy) => {
+  const { userId, eventId = null, includeDownline = false, reason = null } = lockData;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const existing = await BetLock.findOne({
+    user: userId,
+    eventId: normalizeId(eventId),
+    includeDownline: Boolean(includeDownline),
+    isActive: true
+  });
+  if (existing) {
+    throw new Error('Betting is already locked');
+  }
+
+  return BetLock.create({
+    user: userId,
+    eventId: normalizeId(eventId),
+    includeDownline: Boolean(includeDownline),
+    reason,
+    lockedBy: performedBy
+  });
+};
+
+/**
+ * Remove a bet lock
+ */
+const unlockBetting = async (lockId, performedBy) => {
+  const lock = await BetLock.findById(lockId);
+  if (!lock) {
+    throw new Error('Bet lock not found');
+  }
+
+  if (!lock.isActive) {
+    throw new Error('Bet lock is already removed');
+  }
+
+  lock.isActive = false;
+  lock.unlockedBy = performedBy;
+  lock.unlockedAt = new Date();
+  await lock.save();
+
+  return lock;
+};
+
+/**
+ * Get bet locks, newest first
+ */
+const getBetLocks = async (query = {}) => {
+  const { page = 1, limit = 20, userId, eventId, isActive } = query;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (userId) {
+    filter.user = userId;
+  }
+
+  if (eventId) {
+    filter.eventId = eventId;
+  }
+
+  if (isActive !== undefined) {
+    filter.isActive = isActive === true || isActive === 'true';
+  }
+
+  const locks = await BetLock.find(filter)
+    .populate('user', 'username name role')
+    .populate('lockedBy', 'username name role')
+    .populate('unlockedBy', 'username name role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await BetLock.countDocuments(filter);
+
+  return {
+    locks,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Check that betting is not locked for a user on an event
+ * A lock applies to its own user, and to their downline when includeDownline is set.
+ */
+const assertBettingNotLocked = async (userId, eventId) => {
+  const userIds = await User.getUplineIds(userId);
+
+  const locks = await BetLock.find({
+    user: { $in: userIds },
+    isActive: true,
+    eventId: { $in: [null, String(eventId)] }
+  });
+
+  const lock = locks.find(candidate => candidate.user.toString() === userId.toString() || candidate.includeDownline);
+  if (lock) {
+    throw new Error(lock.eventId ? 'Betting is locked on this event' : 'Betting is locked for your account');
+  }
+};
+
+module.exports = {
+  loadActiveSuspensions,
+  applySuspensions,
+  applyEventSuspensions,
+  suspend,
+  resume,
+  getSuspensions,
+  assertNotSuspended,
+  lockBetting,
+  unlockBetting,
+  getBetLocks,
+  assertBettingNotLocked
+};
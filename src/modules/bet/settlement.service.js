@@ -0,0 +1,852 @@
+const Bet = require('../../models/Bet');
+const Wallet = require('../../models/Wallet');
+const Settlement = require('../../models/Settlement');
+const FancyMarket = require('../../models/FancyMarket');
+const Market = require('../../models/Market');
+const MarketGuard = require('../../models/MarketGuard');
+const WalletTransaction = require('../../models/WalletTransaction');
+const { User } = require('../../models/User');
+const walletService = require('../wallet/wallet.service');
+const { isFancyMarket } = require('../../services/fancyMarket.service');
+const { createActivityLog } = require('../../services/activityLog.service');
+const { notifyBetUpdate } = require('../../services/betNotification.service');
+const { cancelBetAcceptance } = require('../../services/betDelay.service');
+const { notifyWalletUpdate } = require('../../services/userNotification.service');
+const { isWinningBet, isWinningFancyBet, getMarketLiability } = require('../../utils/marketBook');
+const { MARKET_STATUS, RUNNER_STATUS } = require('../../utils/feedModel');
+
+// Settle markets automatically when the event feed reports a result
+const AUTO_SETTLEMENT_ENABLED = process.env.AUTO_SETTLEMENT_ENABLED !== 'false';
+
+// Feed results remembered as handled, so they are not checked again on every feed update
+const HANDLED_FEED_RESULTS_LIMIT = parseInt(process.env.HANDLED_FEED_RESULTS_LIMIT) || 10000;
+
+// Markets whose feed result has been acted on, oldest first
+const handledFeedResults = new Set();
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Remember that a market's feed result was acted on, forgetting the oldest past the limit
+ * A forgotten result is only checked against the database again.
+ */
+const markFeedResultHandled = (marketId) => {
+  handledFeedResults.delete(marketId);
+  handledFeedResults.add(marketId);
+
+  if (handledFeedResults.size > HANDLED_FEED_RESULTS_LIMIT) {
+    handledFeedResults.delete(handledFeedResults.values().next().value);
+  }
+};
+
+/**
+ * Group bets by user ID
+ */
+const groupBetsByUser = (bets) => {
+  const betsByUser = new Map();
+  bets.forEach(bet => {
+    const key = bet.user.toString();
+    if (!betsByUser.has(key)) {
+      betsByUser.set(key, []);
+    }
+    betsByUser.get(key).push(bet);
+  });
+  return betsByUser;
+};
+
+/**
+ * Update a bet only if it is still in the status it was read with
+ * Guards against a bet being settled twice by concurrent settlements.
+ */
+const updateBetFromStatus = async (bet, update, session) => {
+  const updatedBet = await Bet.findOneAndUpdate(
+    { _id: bet._id, status: bet.status },
+    { $set: update },
+    { new: true, session }
+  );
+
+  if (!updatedBet) {
+    throw new Error('Bet changed during settlement. Please try again.');
+  }
+
+  return updatedBet;
+};
+
+/**
+ * Settle a market with its result
+ * The result is a winning selection, the final run value for fancy markets,
+ * or void. Every unsettled bet on the market is settled in a single MongoDB
+ * transaction: held liability is released, matched bets are marked won/lost
+ * (or void) and their profit/loss is applied to the wallet. Unmatched bets
+ * are cancelled and pending bets rejected.
+ *
+ * Settling is idempotent: a market has at most one active settlement, so
+ * settling it again fails instead of paying out twice.
+ *
+ * @param {Object} resultData - { eventId, marketId, winningSelectionId, finalRuns, isVoid, reason }
+ * @param {String|null} performedBy - Admin entering the result, null for feed settlements
+ * @param {Object} options - { source, req }
+ */
+const settleMarket = async (resultData, performedBy, options = {}) => {
+  const { eventId, marketId, winningSelectionId, finalRuns, isVoid = false, reason = null } = resultData;
+  const { source = Settlement.SETTLEMENT_SOURCES.MANUAL, req = null } = options;
+
+  let performer = null;
+  if (performedBy) {
+    performer = await User.findById(performedBy);
+    if (!performer) {
+      throw new Error('Performer not found');
+    }
+  }
+
+  const existing = await Settlement.findOne({ marketId, status: Settlement.SETTLEMENT_STATUS.SETTLED });
+  if (existing) {
+    throw new Error('Market is already settled');
+  }
+
+  const bets = await Bet.find({
+    eventId,
+    marketId,
+    status: { $in: Bet.UNSETTLED_STATUSES }
+  });
+
+  const fancyMarket = await FancyMarket.findOne({ marketId });
+
+  if (bets.length === 0 && !fancyMarket) {
+    throw new Error('No unsettled bets found for this market');
+  }
+
+  const isFancy = bets.length > 0 ? bets[0].marketType === Bet.MARKET_TYPES.FANCY : Boolean(fancyMarket);
+
+  if (!isVoid && isFancy && isBlank(finalRuns)) {
+    throw new Error('Final runs are required to settle a fancy market');
+  }
+
+  if (!isVoid && !isFancy && isBlank(winningSelectionId)) {
+    throw new Error('Winning selection ID is required to settle this market');
+  }
+
+  // The persisted market is the reference for its event and runners
+  const market = isFancy ? null : await Market.findOne({ marketId });
+  if (market && market.eventId !== String(eventId)) {
+    throw new Error('Market does not belong to this event');
+  }
+  if (market && !isVoid && market.runners.length > 0 && !market.hasRunner(winningSelectionId)) {
+    throw new Error('Winning selection is not a runner of this market');
+  }
+
+  let resultType = Settlement.RESULT_TYPES.WINNER;
+  if (isVoid) {
+    resultType = Settlement.RESULT_TYPES.VOID;
+  } else if (isFancy) {
+    resultType = Settlement.RESULT_TYPES.RUNS;
+  }
+
+  const betWins = (bet) => (isFancy
+    ? isWinningFancyBet(bet, finalRuns)
+    : isWinningBet(bet, winningSelectionId));
+
+  try {
+    const { settlement, summary, updatedBets, updatedWallets } = await walletService.runInTransaction(async (session) => {
+      // Claimed first: bets placed on the market from now on see the settlement and are refused
+      await MarketGuard.claim(marketId, session);
+
+      // Read again inside the transaction so bets placed since the check above are settled too
+      const marketBets = await Bet.find({
+        eventId,
+        marketId,
+        status: { $in: Bet.UNSETTLED_STATUSES }
+      }).session(session);
+      const betsByUser = groupBetsByUser(marketBets);
+      const updatedBets = [];
+      const updatedWallets = [];
+
+      // Created first so a concurrent settlement of the same market fails on the unique index
+      const [settlement] = await Settlement.create([{
+        sport: bets.length > 0 ? bets[0].sport : fancyMarket.sport,
+        eventId,
+        marketId,
+        marketType: isFancy ? Bet.MARKET_TYPES.FANCY : bets[0].marketType,
+        resultType,
+        winningSelectionId: resultType === Settlement.RESULT_TYPES.WINNER ? String(winningSelectionId) : null,
+        finalRuns: resultType === Settlement.RESULT_TYPES.RUNS ? Number(finalRuns) : null,
+        reason: isVoid ? reason : null,
+        source,
+        settledBy: performedBy || null
+      }], { session });
+
+      const summary = {
+        settled: 0,
+        voided: 0,
+        cancelled: 0,
+        rejected: 0,
+        won: 0,
+        lost: 0,
+        totalPaidOut: 0,
+        totalCollected: 0
+      };
+
+      for (const [userId, userBets] of betsByUser) {
+        const now = new Date();
+        // Feed settlements have no admin, so wallet entries are recorded against the user
+        const actor = performedBy || userId;
+        const marketMetadata = { eventId, marketId, settlementId: settlement._id.toString() };
+
+        const wallet = await Wallet.findOne({ user: userId }).session(session);
+        if (!wallet) {
+          throw new Error(`Wallet not found for user ${userId}`);
+        }
+        updatedWallets.push(wallet);
+
+        // Release the user's held liability on this market, as a refund when voided
+        const heldLiability = getMarketLiability(userBets);
+        if (heldLiability > 0) {
+          await walletService.releaseExposure(
+            wallet,
+            heldLiability,
+            actor,
+            isVoid
+              ? `Refund for voided market ${marketId}${reason ? `: ${reason}` : ''}`
+              : `Exposure released for settled market ${marketId}`,
+            {
+              session,
+              req,
+              metadata: marketMetadata,
+              ...(isVoid ? { transactionType: WalletTransaction.TRANSACTION_TYPES.REFUND } : {})
+            }
+          );
+        }
+
+        // Credit winning bets before debiting losing ones so the balance never dips below zero
+        const orderedBets = isVoid
+          ? userBets
+          : [...userBets].sort((a, b) => Number(betWins(b)) - Number(betWins(a)));
+
+        for (const bet of orderedBets) {
+          // Unmatched bets lapse when the market is settled
+          if (bet.status === Bet.BET_STATUS.OPEN) {
+            updatedBets.push(await updateBetFromStatus(bet, {
+              status: Bet.BET_STATUS.CANCELLED,
+              cancelledAt: now
+            }, session));
+            summary.cancelled += 1;
+            continue;
+          }
+
+          // Bets still waiting out their delay can no longer be matched
+          if (bet.status === Bet.BET_STATUS.PENDING) {
+            updatedBets.push(await updateBetFromStatus(bet, {
+              status: Bet.BET_STATUS.REJECTED,
+              rejectedAt: now,
+              rejectionReason: 'Market settled before the bet was accepted'
+            }, session));
+            summary.rejected += 1;
+            continue;
+          }
+
+          // Void markets only release the held liability
+          if (isVoid) {
+            updatedBets.push(await updateBetFromStatus(bet, {
+              status: Bet.BET_STATUS.VOID,
+              profitLoss: 0,
+              voidReason: reason,
+              settledAt: now,
+              settledBy: performedBy || null,
+              settlement: settlement._id
+            }, session));
+            summary.voided += 1;
+            continue;
+          }
+
+          const won = betWins(bet);
+          const profitLoss = won ? bet.potentialProfit : -bet.liability;
+
+          updatedBets.push(await updateBetFromStatus(bet, {
+            status: Bet.BET_STATUS.SETTLED,
+            result: won ? Bet.BET_RESULTS.WON : Bet.BET_RESULTS.LOST,
+            profitLoss,
+            settledAt: now,
+            settledBy: performedBy || null,
+            settlement: settlement._id
+          }, session));
+
+          await walletService.applyBetProfitLoss(
+            wallet,
+            profitLoss,
+            actor,
+            `Bet ${won ? 'won' : 'lost'}: ${bet.describe()}`,
+            {
+              session,
+              req,
+              metadata: {
+                ...marketMetadata,
+                betId: bet._id.toString(),
+                settledBy: performer ? performer.username : source
+              }
+            }
+          );
+
+          summary.settled += 1;
+          if (won) {
+            summary.won += 1;
+            summary.totalPaidOut += bet.potentialProfit;
+          } else {
+            summary.lost += 1;
+            summary.totalCollected += bet.liability;
+          }
+        }
+      }
+
+      // Record the result on the fancy market so the feed cannot reopen it
+      if (isFancy && fancyMarket) {
+        await FancyMarket.updateOne(
+          { marketId },
+          {
+            $set: {
+              status: FancyMarket.FANCY_STATUS.SETTLED,
+              finalRuns: resultType === Settlement.RESULT_TYPES.RUNS ? Number(finalRuns) : null,
+              settledAt: new Date(),
+              settledBy: performedBy || null
+            }
+          },
+          { session }
+        );
+      }
+
+      settlement.summary = summary;
+      await settlement.save({ session });
+
+      return { settlement, summary, updatedBets, updatedWallets };
+    });
+
+    // Rejected pending bets must not be picked up by their acceptance timers
+    updatedBets
+      .filter(bet => bet.status === Bet.BET_STATUS.REJECTED)
+      .forEach(bet => cancelBetAcceptance(bet._id));
+
+    updatedBets.forEach(bet => notifyBetUpdate(bet.user, bet));
+    updatedWallets.forEach(notifyWalletUpdate);
+
+    return {
+      settlementId: settlement._id,
+      eventId,
+      marketId,
+      resultType,
+      source,
+      ...(resultType === Settlement.RESULT_TYPES.WINNER ? { winningSelectionId: String(winningSelectionId) } : {}),
+      ...(resultType === Settlement.RESULT_TYPES.RUNS ? { finalRuns: Number(finalRuns) } : {}),
+      ...summary
+    };
+  } catch (error) {
+    // Duplicate key on the active settlement index: settled concurrently
+    if (error.code === 11000) {
+      throw new Error('Market is already settled');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Roll back the active settlement of a market
+ * For a result that was entered wrongly: every bet settled by it is restored
+ * to matched, its profit/loss is reversed on the wallet (losses refunded
+ * before winnings are taken back) and the market liability is held as
+ * exposure again, so the market can be settled with the correct result.
+ * Bets cancelled or rejected by the settlement stay that way.
+ */
+const rollbackSettlement = async (rollbackData, performedBy, req = null) => {
+  const { marketId, reason } = rollbackData;
+
+  const performer = await User.findById(performedBy);
+  if (!performer) {
+    throw new Error('Performer not found');
+  }
+
+  const existing = await Settlement.exists({ marketId, status: Settlement.SETTLEMENT_STATUS.SETTLED });
+  if (!existing) {
+    throw new Error('No active settlement found for this market');
+  }
+
+  const { settlement, summary, restoredBets, updatedWallets } = await walletService.runInTransaction(async (session) => {
+    // Claimed first, so a settlement or bet on the market at the same time makes one of them retry with fresh reads
+    await MarketGuard.claim(marketId, session);
+
+    // Read again inside the transaction, now the market is claimed
+    const settlement = await Settlement.findOne({ marketId, status: Settlement.SETTLEMENT_STATUS.SETTLED }).session(session);
+    if (!settlement) {
+      throw new Error('No active settlement found for this market');
+    }
+
+    const bets = await Bet.find({
+      settlement: settlement._id,
+      status: { $in: [Bet.BET_STATUS.SETTLED, Bet.BET_STATUS.VOID] }
+    }).session(session);
+
+    const betsByUser = groupBetsByUser(bets);
+    const restoredBets = [];
+    const updatedWallets = [];
+    const summary = {
+      restored: 0,
+      totalReversedPayout: 0,
+      totalReversedCollection: 0
+    };
+
+    for (const [userId, userBets] of betsByUser) {
+      const marketMetadata = {
+        eventId: settlement.eventId,
+        marketId,
+        settlementId: settlement._id.toString(),
+        rollback: true
+      };
+
+      const wallet = await Wallet.findOne({ user: userId }).session(session);
+      if (!wallet) {
+        throw new Error(`Wallet not found for user ${userId}`);
+      }
+      updatedWallets.push(wallet);
+
+      try {
+        // Refund losses before taking back winnings so the balance never dips below zero
+        const orderedBets = [...userBets].sort((a, b) => a.profitLoss - b.profitLoss);
+        const userRestoredBets = [];
+
+        for (const bet of orderedBets) {
+          const restoredBet = await updateBetFromStatus(bet, {
+            status: Bet.BET_STATUS.MATCHED,
+            result: null,
+            profitLoss: 0,
+            voidReason: null,
+            settledAt: null,
+            settledBy: null,
+            settlement: null
+          }, session);
+          userRestoredBets.push(restoredBet);
+
+          if (bet.profitLoss) {
+            await walletService.applyBetProfitLoss(
+              wallet,
+              -bet.profitLoss,
+              performedBy,
+              `Settlement rolled back: ${bet.describe()}`,
+              { session, req, metadata: { ...marketMetadata, betId: bet._id.toString() } }
+            );
+          }
+
+          summary.restored += 1;
+          if (bet.profitLoss > 0) {
+            summary.totalReversedPayout += bet.profitLoss;
+          } else {
+            summary.totalReversedCollection -= bet.profitLoss;
+          }
+        }
+
+        // Hold the market liability again until the market is settled correctly
+        const liability = getMarketLiability(userRestoredBets);
+        if (liability > 0) {
+          await walletService.holdExposure(
+            wallet,
+            liability,
+            performedBy,
+            `Exposure held for rolled back market ${marketId}`,
+            { session, req, metadata: marketMetadata }
+          );
+        }
+
+        restoredBets.push(...userRestoredBets);
+      } catch (error) {
+        // Write conflicts keep their labels so the transaction is retried
+        if (error.hasErrorLabel && error.hasErrorLabel('TransientTransactionError')) {
+          throw error;
+        }
+        throw new Error(`Cannot roll back settlement for user ${userId}: ${error.message}`);
+      }
+    }
+
+    // Reopen the fancy market for a new result
+    if (settlement.marketType === Bet.MARKET_TYPES.FANCY) {
+      await FancyMarket.updateOne(
+        { marketId },
+        {
+          $set: {
+            status: FancyMarket.FANCY_STATUS.CLOSED,
+            finalRuns: null,
+            settledAt: null,
+            settledBy: null
+          }
+        },
+        { session }
+      );
+    }
+
+    settlement.status = Settlement.SETTLEMENT_STATUS.ROLLED_BACK;
+    settlement.rolledBackBy = performedBy;
+    settlement.rolledBackAt = new Date();
+    settlement.rollbackReason = reason || null;
+    await settlement.save({ session });
+
+    return { settlement, summary, restoredBets, updatedWallets };
+  });
+
+  restoredBets.forEach(bet => notifyBetUpdate(bet.user, bet));
+  updatedWallets.forEach(notifyWalletUpdate);
+
+  return {
+    settlementId: settlement._id,
+    eventId: settlement.eventId,
+    marketId,
+    ...summary
+  };
+};
+
+/**
+ * Void a whole market (abandoned match, rain, ...)
+ * Settles the market as void, so every bet's held liability is refunded and
+ * no more bets are taken on it.
+ */
+const voidMarket = async (voidData, performedBy, req = null) => {
+  const { eventId, marketId, reason } = voidData;
+
+  const result = await settleMarket({ eventId, marketId, isVoid: true, reason }, performedBy, { req });
+
+  await createActivityLog(performedBy, 'market_void', req, {
+    metadata: { eventId, marketId, reason, settlementId: result.settlementId.toString(), voided: result.voided }
+  });
+
+  return result;
+};
+
+/**
+ * Void every market of an event that has unsettled bets
+ * Each market is voided in its own transaction; markets that fail (e.g.
+ * already settled) are reported without stopping the others.
+ */
+const voidEvent = async (voidData, performedBy, req = null) => {
+  const { eventId, reason } = voidData;
+
+  const marketIds = await Bet.distinct('marketId', {
+    eventId,
+    status: { $in: Bet.UNSETTLED_STATUSES }
+  });
+
+  if (marketIds.length === 0) {
+    throw new Error('No unsettled bets found for this event');
+  }
+
+  const markets = [];
+  const failed = [];
+
+  for (const marketId of marketIds) {
+    try {
+      markets.push(await settleMarket({ eventId, marketId, isVoid: true, reason }, performedBy, { req }));
+    } catch (error) {
+      failed.push({ marketId, message: error.message });
+    }
+  }
+
+  await createActivityLog(performedBy, 'event_void', req, {
+    metadata: {
+      eventId,
+      reason,
+      voidedMarkets: markets.map(market => market.marketId),
+      failedMarkets: failed.map(market => market.marketId)
+    }
+  });
+
+  return {
+    eventId,
+    voidedMarkets: markets.length,
+    voided: markets.reduce((sum, market) => sum + market.voided, 0),
+    markets,
+    failed
+  };
+};
+
+/**
+ * Void a single bet (palpable error, wrong odds)
+ * The market stays open. An unsettled bet is removed from the user's market
+ * book and the freed liability is refunded from exposure. A settled bet has
+ * its result reversed: a lost stake is refunded, winnings are taken back.
+ */
+const voidBet = async (betId, reason, performedBy, req = null) => {
+  const existing = await Bet.findById(betId).select('marketId status');
+  if (!existing) {
+    throw new Error('Bet not found');
+  }
+
+  const voidableStatuses = [...Bet.UNSETTLED_STATUSES, Bet.BET_STATUS.SETTLED];
+  if (!voidableStatuses.includes(existing.status)) {
+    throw new Error(`Bet cannot be voided. Current status: ${existing.status}`);
+  }
+
+  let result;
+  try {
+    result = await walletService.runInTransaction(async (session) => {
+      // Claimed first for every status, so a bet, settlement or rollback on the market at the same time makes one of them retry
+      await MarketGuard.claim(existing.marketId, session);
+
+      // The bet and wallet are read inside the transaction, so the refund is worked out from current data
+      const bet = await Bet.findById(betId).session(session);
+      if (!bet) {
+        throw new Error('Bet not found');
+      }
+
+      if (!voidableStatuses.includes(bet.status)) {
+        throw new Error(`Bet cannot be voided. Current status: ${bet.status}`);
+      }
+
+      const wallet = await Wallet.findOne({ user: bet.user }).session(session);
+      if (!wallet) {
+        throw new Error('Wallet not found');
+      }
+
+      const metadata = {
+        betId: bet._id.toString(),
+        eventId: bet.eventId,
+        marketId: bet.marketId,
+        reason
+      };
+      let exposureReleased = 0;
+      let balanceChange = 0;
+
+      if (bet.isUnsettled()) {
+        const marketBets = await Bet.find({
+          user: bet.user,
+          marketId: bet.marketId,
+          status: { $in: Bet.UNSETTLED_STATUSES }
+        }).session(session);
+
+        const liabilityBefore = getMarketLiability(marketBets);
+        const liabilityAfter = getMarketLiability(
+          marketBets.filter(marketBet => marketBet._id.toString() !== bet._id.toString())
+        );
+        const difference = Math.round((liabilityBefore - liabilityAfter) * 100) / 100;
+
+        if (difference > 0) {
+          await walletService.releaseExposure(
+            wallet,
+            difference,
+            performedBy,
+            `Refund for voided bet: ${bet.describe()} (${reason})`,
+            { session, req, metadata, transactionType: WalletTransaction.TRANSACTION_TYPES.REFUND }
+          );
+        } else if (difference < 0) {
+          // The voided bet was hedging other bets on the market
+          await walletService.holdExposure(
+            wallet,
+            -difference,
+            performedBy,
+            `Exposure held after voided bet: ${bet.describe()}`,
+            { session, req, metadata }
+          );
+        }
+        exposureReleased = difference;
+      } else if (bet.profitLoss) {
+        await walletService.applyBetProfitLoss(
+          wallet,
+          -bet.profitLoss,
+          performedBy,
+          bet.profitLoss < 0
+            ? `Refund for voided bet: ${bet.describe()} (${reason})`
+            : `Winnings reversed for voided bet: ${bet.describe()} (${reason})`,
+          { session, req, metadata, creditType: WalletTransaction.TRANSACTION_TYPES.REFUND }
+        );
+        balanceChange = -bet.profitLoss;
+      }
+
+      // Detached from its settlement so a rollback does not restore it
+      const voidedBet = await updateBetFromStatus(bet, {
+        status: Bet.BET_STATUS.VOID,
+        result: null,
+        profitLoss: 0,
+        voidReason: reason,
+        settledAt: new Date(),
+        settledBy: performedBy,
+        settlement: null
+      }, session);
+
+      return { voidedBet, wallet, metadata, previousStatus: bet.status, exposureReleased, balanceChange };
+    });
+  } catch (error) {
+    throw new Error(`Cannot void bet: ${error.message}`);
+  }
+
+  const { voidedBet, wallet, metadata, previousStatus, exposureReleased, balanceChange } = result;
+
+  // A voided pending bet must not be picked up by its acceptance timer
+  if (previousStatus === Bet.BET_STATUS.PENDING) {
+    cancelBetAcceptance(voidedBet._id);
+  }
+
+  notifyBetUpdate(voidedBet.user, voidedBet);
+  notifyWalletUpdate(wallet);
+
+  await createActivityLog(performedBy, 'bet_void', req, {
+    metadata: { ...metadata, userId: voidedBet.user.toString(), previousStatus, exposureReleased, balanceChange }
+  });
+
+  return {
+    bet: voidedBet,
+    previousStatus,
+    exposureReleased,
+    balanceChange
+  };
+};
+
+/**
+ * Get settlements, newest first
+ */
+const getSettlements = async (query = {}) => {
+  const {
+    page = 1,
+    limit = 20,
+    eventId,
+    marketId,
+    status,
+    source
+  } = query;
+
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (eventId) {
+    filter.eventId = eventId;
+  }
+
+  if (marketId) {
+    filter.marketId = marketId;
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (source) {
+    filter.source = source;
+  }
+
+  const settlements = await Settlement.find(filter)
+    .populate('settledBy', 'username name role')
+    .populate('rolledBackBy', 'username name role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Settlement.countDocuments(filter);
+
+  return {
+    settlements,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Extract market results reported in an event
+ * A market is void when its status is VOID, and won by the runner whose
+ * status is WINNER. Fancy lines are voided by a VOID runner status and carry
+ * their final run value in `result`.
+ * Pure function: does not touch the database
+ */
+const extractMarketResults = (eventId, event) => {
+  const markets = Array.isArray(event?.markets) ? event.markets : [];
+  const results = [];
+
+  markets.forEach(market => {
+    if (isFancyMarket(market)) {
+      market.runners.forEach(runner => {
+        const marketId = FancyMarket.buildMarketId(eventId, runner.selectionId);
+        if (runner.status === RUNNER_STATUS.VOID) {
+          results.push({ marketId, isVoid: true });
+        } else if (runner.result !== null) {
+          results.push({ marketId, finalRuns: runner.result });
+        }
+      });
+      return;
+    }
+
+    if (market.status === MARKET_STATUS.VOID) {
+      results.push({ marketId: market.marketId, isVoid: true });
+      return;
+    }
+
+    const winner = market.runners.find(runner => runner.status === RUNNER_STATUS.WINNER);
+    if (winner) {
+      results.push({ marketId: market.marketId, winningSelectionId: winner.selectionId });
+    }
+  });
+
+  return results;
+};
+
+/**
+ * Settle the markets of an event that have a result in the feed
+ * A result is remembered once the market is settled, or found to have nothing
+ * to settle; failed settlements are tried again on the next feed update. A
+ * rolled back feed settlement is not settled again from the feed, it has to
+ * be settled manually.
+ */
+const settleFromFeed = async (eventId, event) => {
+  if (!AUTO_SETTLEMENT_ENABLED) {
+    return 0;
+  }
+
+  const results = extractMarketResults(eventId, event)
+    .filter(result => !handledFeedResults.has(result.marketId));
+
+  let settledCount = 0;
+
+  for (const result of results) {
+    try {
+      const [hasBets, rolledBack] = await Promise.all([
+        Bet.exists({
+          eventId: String(eventId),
+          marketId: result.marketId,
+          status: { $in: Bet.UNSETTLED_STATUSES }
+        }),
+        Settlement.exists({
+          marketId: result.marketId,
+          source: Settlement.SETTLEMENT_SOURCES.FEED,
+          status: Settlement.SETTLEMENT_STATUS.ROLLED_BACK
+        })
+      ]);
+      if (!hasBets || rolledBack) {
+        markFeedResultHandled(result.marketId);
+        continue;
+      }
+
+      await settleMarket(
+        { eventId: String(eventId), ...result },
+        null,
+        { source: Settlement.SETTLEMENT_SOURCES.FEED }
+      );
+      markFeedResultHandled(result.marketId);
+      settledCount += 1;
+      console.log(`✅ Settled market ${result.marketId} of event ${eventId} from feed result`);
+    } catch (error) {
+      // Settled by someone else in the meantime: nothing left to retry
+      if (error.message === 'Market is already settled') {
+        markFeedResultHandled(result.marketId);
+      }
+      console.error(`❌ Feed settlement error (marketId: ${result.marketId}):`, error.message);
+    }
+  }
+
+  return settledCount;
+};
+
+module.exports = {
+  settleMarket,
+  rollbackSettlement,
+  voidMarket,
+  voidEvent,
+  voidBet,
+  getSettlements,
+  extractMarketResults,
+  settleFromFeed
+};
@@ -0,0 +1,243 @@
+const StakeLimit = require('../../models/StakeLimit');
+const { User, ROLES, ROLE_HIERARCHY } = require('../../models/User');
+
+const isAdmin = (user) => (ROLE_HIERARCHY[user.role] || 0) >= ROLE_HIERARCHY[ROLES.ADMIN];
+
+/**
+ * Resolve the limits that apply to a bet from a set of stake limits
+ * Within one owner (global, the user, or an upline) the most specific scope
+ * wins per field (event > market type > sport). Across owners the strictest
+ * value wins, so a downline limit can tighten but never loosen an upline's.
+ */
+const resolveStakeLimits = (limits, scope) => {
+  const byOwner = new Map();
+
+  limits.filter(limit => limit.appliesTo(scope)).forEach(limit => {
+    const owner = limit.user ? limit.user.toString() : 'global';
+    if (!byOwner.has(owner)) {
+      byOwner.set(owner, []);
+    }
+    byOwner.get(owner).push(limit);
+  });
+
+  const effective = { minStake: null, maxStake: null, maxProfit: null };
+
+  byOwner.forEach(ownerLimits => {
+    const ordered = [...ownerLimits].sort((a, b) => b.getSpecificity() - a.getSpecificity());
+
+    StakeLimit.LIMIT_FIELDS.forEach(field => {
+      const limit = ordered.find(candidate => candidate[field] !== null && candidate[field] !== undefined);
+      if (!limit) {
+        return;
+      }
+
+      const value = limit[field];
+      if (effective[field] === null) {
+        effective[field] = value;
+      } else if (field === 'minStake') {
+        effective[field] = Math.max(effective[field], value);
+      } else {
+        effective[field] = Math.min(effective[field], value);
+      }
+    });
+  });
+
+  return effective;
+};
+
+/**
+ * Get the effective stake limits of a user for a sport, market type and event
+ */
+const getEffectiveStakeLimits = async (userId, scope) => {
+  const userIds = await User.getUplineIds(userId);
+
+  const limits = await StakeLimit.find({
+    $or: [{ user: null }, { user: { $in: userIds } }]
+  });
+
+  return {
+    sport: scope.sport || null,
+    marketType: scope.marketType || null,
+    eventId: scope.eventId || null,
+    ...resolveStakeLimits(limits, scope)
+  };
+};
+
+/**
+ * Check a bet's stake and potential profit against the user's stake limits
+ * Throws with the limit that was broken.
+ */
+const checkStakeLimits = async (userId, { sport, marketType, eventId, stake, potentialProfit }) => {
+  const limits = await getEffectiveStakeLimits(userId, { sport, marketType, eventId });
+
+  if (limits.minStake !== null && stake < limits.minStake) {
+    throw new Error(`Minimum stake is ${limits.minStake}`);
+  }
+
+  if (limits.maxStake !== null && stake > limits.maxStake) {
+    throw new Error(`Maximum stake is ${limits.maxStake}`);
+  }
+
+  if (limits.maxProfit !== null && potentialProfit > limits.maxProfit) {
+    throw new Error(`Maximum profit is ${limits.maxProfit}. This bet would win ${potentialProfit}`);
+  }
+
+  return limits;
+};
+
+/**
+ * Check that a performer may set stake limits for a user
+ * Super admins can set limits for anyone, other users only for their downline.
+ */
+const assertCanManageLimits = async (performer, targetUserId) => {
+  const targetUser = await User.findById(targetUserId);
+  if (!targetUser) {
+    throw new Error('Target user not found');
+  }
+
+  if (performer.role === ROLES.SUPER_ADMIN) {
+    return targetUser;
+  }
+
+  const uplineIds = await User.getUplineIds(targetUser._id);
+  if (!uplineIds.slice(1).includes(performer._id.toString())) {
+    throw new Error('You can only set stake limits for your downline');
+  }
+
+  return targetUser;
+};
+
+/**
+ * Build the scope filter of a stake limit
+ */
+const getScopeFilter = (userId, { sport, marketType, eventId }) => ({
+  user: userId || null,
+  sport: sport || null,
+  marketType: marketType || null,
+  eventId: eventId ? String(eventId) : null
+});
+
+/**
+ * Check that a stake limit's minimum stake is not above its maximum
+ */
+const assertStakeRange = ({ minStake, maxStake }) => {
+  if (minStake !== null && maxStake !== null && minStake > maxStake) {
+    throw new Error('Minimum stake cannot be greater than maximum stake');
+  }
+};
+
+/**
+ * Create or update a stake limit
+ * Without a userId the limit is global and can only be set by admins.
+ */
+const setStakeLimit = async (limitData, performer) => {
+  const { userId, minStake = null, maxStake = null, maxProfit = null } = limitData;
+
+  if (userId) {
+    await assertCanManageLimits(performer, userId);
+  } else if (!isAdmin(performer)) {
+    throw new Error('Only admins can set global stake limits');
+  }
+
+  assertStakeRange({ minStake, maxStake });
+
+  return StakeLimit.findOneAndUpdate(
+    getScopeFilter(userId, limitData),
+    { $set: { minStake, maxStake, maxProfit, setBy: performer._id } },
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Get the limit values of a stake limit, null where not given
+ */
+const getLimitValues = (limit) => ({
+  minStake: limit.minStake ?? null,
+  maxStake: limit.maxStake ?? null,
+  maxProfit: limit.maxProfit ?? null
+});
+
+/**
+ * Check the stake limits given for a new user, before the user or any limit is written
+ * bulkWrite skips schema validators, so the schema is checked here.
+ */
+const assertValidUserStakeLimits = (limits = []) => {
+  limits.forEach((limit) => {
+    const values = getLimitValues(limit);
+    const validationError = new StakeLimit({ ...getScopeFilter(null, limit), ...values })
+      .validateSync(['sport', 'marketType', ...StakeLimit.LIMIT_FIELDS]);
+    if (validationError) {
+      throw new Error(Object.values(validationError.errors)[0].message);
+    }
+    assertStakeRange(values);
+  });
+};
+
+/**
+ * Set the stake limits of a newly created user
+ * Used by uplines to give their downline limits at creation time.
+ * Every limit is validated before any is written.
+ */
+const setUserStakeLimits = async (userId, limits = [], setBy) => {
+  assertValidUserStakeLimits(limits);
+
+  const operations = limits.map(limit => ({
+    updateOne: {
+      filter: getScopeFilter(userId, limit),
+      update: { $set: { ...getLimitValues(limit), setBy } },
+      upsert: true
+    }
+  }));
+
+  if (operations.length === 0) {
+    return 0;
+  }
+
+  await StakeLimit.bulkWrite(operations);
+  return operations.length;
+};
+
+/**
+ * Get the stake limits set for a user, or the global limits
+ */
+const getStakeLimits = async (userId, performer) => {
+  if (userId && userId.toString() !== performer._id.toString()) {
+    await assertCanManageLimits(performer, userId);
+  }
+
+  const limits = await StakeLimit.find({ user: userId || null })
+    .populate('setBy', 'username name role')
+    .sort({ sport: 1, marketType: 1, eventId: 1 });
+
+  return { userId: userId || null, limits };
+};
+
+/**
+ * Delete a stake limit
+ */
+const deleteStakeLimit = async (limitId, performer) => {
+  const limit = await StakeLimit.findById(limitId);
+  if (!limit) {
+    throw new Error('Stake limit not found');
+  }
+
+  if (limit.user) {
+    await assertCanManageLimits(performer, limit.user);
+  } else if (!isAdmin(performer)) {
+    throw new Error('Only admins can delete global stake limits');
+  }
+
+  await limit.deleteOne();
+  return limit;
+};
+
+module.exports = {
+  resolveStakeLimits,
+  getEffectiveStakeLimits,
+  checkStakeLimits,
+  setStakeLimit,
+  assertValidUserStakeLimits,
+  setUserStakeLimits,
+  getStakeLimits,
+  deleteStakeLimit
+};
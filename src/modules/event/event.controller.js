@@ -0,0 +1,89 @@
+const { validationResult } = require('express-validator');
+const eventService = require('./event.service');
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Get events (admin only)
+ */
+const getEvents = async (req, res, next) => {
+  try {
+    const result = await eventService.getEvents({
+      ...req.query,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch events'
+    });
+  }
+};
+
+/**
+ * Get an event with its markets (admin only)
+ */
+const getEventDetails = async (req, res, next) => {
+  try {
+    const result = await eventService.getEventDetails(req.params.sport, req.params.eventId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Event not found'
+    });
+  }
+};
+
+/**
+ * Get markets (admin only)
+ */
+const getMarkets = async (req, res, next) => {
+  try {
+    const result = await eventService.getMarkets({
+      ...req.query,
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch markets'
+    });
+  }
+};
+
+module.exports = {
+  handleValidationErrors,
+  getEvents,
+  getEventDetails,
+  getMarkets
+};
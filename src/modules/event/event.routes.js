@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const eventController = require('./event.controller');
+const eventValidation = require('./event.validation');
+const { authenticate } = require('../../middlewares/auth.middleware');
+const { requireMinRole } = require('../../middlewares/authorize.middleware');
+const { ROLES } = require('../../models/User');
+const { apiLimiter } = require('../../middlewares/security.middleware');
+
+// Apply rate limiting to all routes
+router.use(apiLimiter);
+
+// Persisted events and markets are admin only
+router.use(authenticate);
+router.use(requireMinRole(ROLES.ADMIN));
+
+router.get('/',
+  eventValidation.validateGetEvents,
+  eventController.handleValidationErrors,
+  eventController.getEvents
+);
+
+router.get('/markets',
+  eventValidation.validateGetMarkets,
+  eventController.handleValidationErrors,
+  eventController.getMarkets
+);
+
+router.get('/:sport/:eventId',
+  eventValidation.validateEventParams,
+  eventController.handleValidationErrors,
+  eventController.getEventDetails
+);
+
+module.exports = router;
@@ -0,0 +1,321 @@
+const Event = require('../../models/Event');
+const Market = require('../../models/Market');
+const { MARKET_STATUS } = require('../../utils/feedModel');
+const { getChangedState, markSynced } = require('../../utils/syncState');
+
+// Last synced state per event and market, so unchanged ones are not rewritten every poll
+const lastSyncedEvents = new Map();
+const lastSyncedMarkets = new Map();
+// Event IDs in the last match list per sport
+const lastListedEventIds = new Map();
+
+const getEventKey = (sport, eventId) => `${sport}:${eventId}`;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Upsert events and move their status forward
+ * Each update has an eventId, the in-play and closed flags, and the fields to set.
+ */
+const upsertEvents = async (sport, updates) => {
+  if (updates.length === 0) {
+    return 0;
+  }
+
+  const existing = await Event.find({
+    sport,
+    eventId: { $in: updates.map(update => update.eventId) }
+  }).select('eventId status');
+  const statusById = new Map(existing.map(event => [event.eventId, event.status]));
+
+  const now = new Date();
+  const operations = updates.map(({ eventId, inPlay, closed, fields }) => {
+    const currentStatus = statusById.get(eventId) || null;
+    const status = Event.getNextStatus(currentStatus, { inPlay, closed });
+
+    const update = { $set: { ...fields, status, lastSeenAt: now } };
+    if (status !== currentStatus) {
+      update.$push = { statusHistory: { status, changedAt: now } };
+    }
+
+    return {
+      updateOne: {
+        filter: { sport, eventId },
+        update,
+        upsert: true
+      }
+    };
+  });
+
+  await Event.bulkWrite(operations, { ordered: false });
+  return operations.length;
+};
+
+/**
+ * Persist the events of a sport's match list
+ * In-play events that drop off the list are closed.
+ */
+const syncMatches = async (sport, matches) => {
+  const changed = matches
+    .map((match) => {
+      const key = getEventKey(sport, match.eventId);
+      const state = getChangedState(lastSyncedEvents, key, {
+        name: match.name,
+        teams: match.teams,
+        competition: match.competition,
+        startTime: match.startTime,
+        inPlay: match.inPlay,
+        status: match.status
+      });
+      return { match, key, state };
+    })
+    .filter(({ state }) => state !== null);
+
+  const synced = await upsertEvents(sport, changed.map(({ match }) => ({
+    eventId: match.eventId,
+    inPlay: match.inPlay,
+    closed: match.status === MARKET_STATUS.CLOSED,
+    fields: {
+      name: match.name,
+      teams: match.teams,
+      competition: match.competition,
+      startTime: toDate(match.startTime)
+    }
+  })));
+  markSynced(lastSyncedEvents, changed);
+
+  // An empty list is more likely a feed glitch than every event ending
+  const listedIds = matches.map(match => match.eventId);
+  const listedState = getChangedState(lastListedEventIds, sport, [...listedIds].sort());
+  if (listedIds.length > 0 && listedState !== null) {
+    const now = new Date();
+    await Event.updateMany(
+      { sport, status: Event.EVENT_STATUS.IN_PLAY, eventId: { $nin: listedIds } },
+      {
+        $set: { status: Event.EVENT_STATUS.CLOSED },
+        $push: { statusHistory: { status: Event.EVENT_STATUS.CLOSED, changedAt: now } }
+      }
+    );
+    markSynced(lastListedEventIds, [{ key: sport, state: listedState }]);
+  }
+
+  return synced;
+};
+
+/**
+ * Persist an event's markets and runners from its event data
+ * Prices are not stored; only names, types and statuses.
+ */
+const syncEventData = async (sport, event) => {
+  const now = new Date();
+
+  const changed = event.markets
+    .map(market => ({
+      sport,
+      eventId: event.eventId,
+      marketId: market.marketId,
+      name: market.name,
+      type: market.type,
+      status: market.status,
+      inPlay: market.inPlay,
+      runners: market.runners.map(runner => ({
+        selectionId: runner.selectionId,
+        name: runner.name,
+        status: runner.status
+      }))
+    }))
+    .map(market => ({ market, key: market.marketId, state: getChangedState(lastSyncedMarkets, market.marketId, market) }))
+    .filter(({ state }) => state !== null);
+
+  const operations = changed.map(({ market }) => ({
+    updateOne: {
+      filter: { marketId: market.marketId },
+      update: { $set: { ...market, lastSeenAt: now } },
+      upsert: true
+    }
+  }));
+
+  if (operations.length > 0) {
+    await Market.bulkWrite(operations, { ordered: false });
+    markSynced(lastSyncedMarkets, changed);
+  }
+
+  const closed = event.markets.length > 0 && event.markets.every(market => (
+    market.status === MARKET_STATUS.CLOSED || market.status === MARKET_STATUS.VOID
+  ));
+
+  const eventKey = `${getEventKey(sport, event.eventId)}:data`;
+  const eventState = getChangedState(lastSyncedEvents, eventKey, { name: event.name, inPlay: event.inPlay, closed });
+  if (eventState !== null) {
+    await upsertEvents(sport, [{
+      eventId: event.eventId,
+      inPlay: event.inPlay,
+      closed,
+      fields: event.name ? { name: event.name } : {}
+    }]);
+    markSynced(lastSyncedEvents, [{ key: eventKey, state: eventState }]);
+  }
+
+  return operations.length;
+};
+
+/**
+ * Check that an event and market can take bets
+ * Only events and markets the feed has been persisted for are checked.
+ */
+const assertMarketOpen = async ({ sport, eventId, marketId }) => {
+  const [event, market] = await Promise.all([
+    Event.findOne({ sport, eventId: String(eventId) }).select('status'),
+    Market.findOne({ marketId: String(marketId) }).select('eventId status')
+  ]);
+
+  if (event && event.status === Event.EVENT_STATUS.CLOSED) {
+    throw new Error('Event is closed');
+  }
+
+  if (market && market.eventId !== String(eventId)) {
+    throw new Error('Market does not belong to this event');
+  }
+
+  if (market && market.isClosed()) {
+    throw new Error('Market is closed');
+  }
+};
+
+/**
+ * Get events, soonest start first
+ */
+const getEvents = async (query = {}) => {
+  const { page = 1, limit = 20, sport, status, search, from, to } = query;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (sport) {
+    filter.sport = sport;
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(search), $options: 'i' };
+    filter.$or = [
+      { eventId: search },
+      { name: pattern },
+      { competition: pattern },
+      { teams: pattern }
+    ];
+  }
+
+  if (from || to) {
+    filter.startTime = {};
+    if (from) {
+      filter.startTime.$gte = new Date(from);
+    }
+    if (to) {
+      filter.startTime.$lte = new Date(to);
+    }
+  }
+
+  const events = await Event.find(filter)
+    .sort({ startTime: 1, createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Event.countDocuments(filter);
+
+  return {
+    events,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get an event with its markets
+ */
+const getEventDetails = async (sport, eventId) => {
+  const event = await Event.findOne({ sport, eventId });
+  if (!event) {
+    throw new Error('Event not found');
+  }
+
+  const markets = await Market.find({ sport, eventId }).sort({ type: 1, name: 1 });
+
+  return { event, markets };
+};
+
+/**
+ * Get markets, most recently seen first
+ */
+const getMarkets = async (query = {}) => {
+  const { page = 1, limit = 20, sport, eventId, type, status, search } = query;
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = {};
+
+  if (sport) {
+    filter.sport = sport;
+  }
+
+  if (eventId) {
+    filter.eventId = eventId;
+  }
+
+  if (type) {
+    filter.type = type;
+  }
+
+  if (status) {
+    filter.status = status;
+  }
+
+  if (search) {
+    filter.$or = [
+      { marketId: search },
+      { name: { $regex: escapeRegex(search), $options: 'i' } }
+    ];
+  }
+
+  const markets = await Market.find(filter)
+    .sort({ lastSeenAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Market.countDocuments(filter);
+
+  return {
+    markets,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  syncMatches,
+  syncEventData,
+  assertMarketOpen,
+  getEvents,
+  getEventDetails,
+  getMarkets
+};
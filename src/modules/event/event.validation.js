@@ -0,0 +1,96 @@
+const { param, query } = require('express-validator');
+const Bet = require('../../models/Bet');
+const Event = require('../../models/Event');
+const { MARKET_TYPES, MARKET_STATUS } = require('../../utils/feedModel');
+
+/**
+ * Validation for getting events
+ */
+const validateGetEvents = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('sport')
+    .optional()
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage('Invalid sport'),
+  query('status')
+    .optional()
+    .isIn(Object.values(Event.EVENT_STATUS))
+    .withMessage('Invalid event status'),
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date')
+];
+
+/**
+ * Validation for sport and event ID parameters
+ */
+const validateEventParams = [
+  param('sport')
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage('Invalid sport'),
+  param('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isString()
+    .trim()
+];
+
+/**
+ * Validation for getting markets
+ */
+const validateGetMarkets = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('sport')
+    .optional()
+    .isIn(Object.values(Bet.SPORTS))
+    .withMessage('Invalid sport'),
+  query('eventId')
+    .optional()
+    .isString()
+    .trim(),
+  query('type')
+    .optional()
+    .isIn(Object.values(MARKET_TYPES))
+    .withMessage('Invalid market type'),
+  query('status')
+    .optional()
+    .isIn(Object.values(MARKET_STATUS))
+    .withMessage('Invalid market status'),
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Search cannot exceed 100 characters')
+];
+
+module.exports = {
+  validateGetEvents,
+  validateEventParams,
+  validateGetMarkets
+};
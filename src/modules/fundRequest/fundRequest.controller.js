@@ -0,0 +1,191 @@
+const fundRequestService = require('./fundRequest.service');
+const { validationResult } = require('express-validator');
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Create a deposit or withdrawal request for the current user
+ */
+const createRequest = async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    const { amount, method, reference, attachment, note } = req.body;
+
+    const request = await fundRequestService.createRequest(
+      type,
+      req.userId,
+      { amount, method, reference, attachment, note },
+      req
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `${type === 'deposit' ? 'Deposit' : 'Withdrawal'} request submitted successfully`,
+      data: { request }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to submit request'
+    });
+  }
+};
+
+/**
+ * Get requests made by the current user
+ */
+const getMyRequests = async (req, res, next) => {
+  try {
+    const result = await fundRequestService.getRequests(req.params.type, req.userId, {
+      as: 'user',
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch requests'
+    });
+  }
+};
+
+/**
+ * Get requests routed to the current user for review
+ */
+const getAssignedRequests = async (req, res, next) => {
+  try {
+    const result = await fundRequestService.getRequests(req.params.type, req.userId, {
+      as: 'upline',
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20,
+      status: req.query.status
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch requests'
+    });
+  }
+};
+
+/**
+ * Get a request by ID
+ */
+const getRequest = async (req, res, next) => {
+  try {
+    const { type, requestId } = req.params;
+    const request = await fundRequestService.getRequest(type, requestId, req.userId);
+
+    res.json({
+      success: true,
+      data: { request }
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Request not found'
+    });
+  }
+};
+
+/**
+ * Approve a request (direct upline only)
+ */
+const approveRequest = async (req, res, next) => {
+  try {
+    const { type, requestId } = req.params;
+    const { note } = req.body || {};
+
+    const request = await fundRequestService.approveRequest(type, requestId, req.userId, note, req);
+
+    res.json({
+      success: true,
+      message: 'Request approved successfully',
+      data: { request }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to approve request'
+    });
+  }
+};
+
+/**
+ * Reject a request (direct upline only)
+ */
+const rejectRequest = async (req, res, next) => {
+  try {
+    const { type, requestId } = req.params;
+    const { reason } = req.body;
+
+    const request = await fundRequestService.rejectRequest(type, requestId, req.userId, reason, req);
+
+    res.json({
+      success: true,
+      message: 'Request rejected successfully',
+      data: { request }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to reject request'
+    });
+  }
+};
+
+/**
+ * Cancel a pending request (requester only)
+ */
+const cancelRequest = async (req, res, next) => {
+  try {
+    const { type, requestId } = req.params;
+    const request = await fundRequestService.cancelRequest(type, requestId, req.userId, req);
+
+    res.json({
+      success: true,
+      message: 'Request cancelled successfully',
+      data: { request }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to cancel request'
+    });
+  }
+};
+
+module.exports = {
+  handleValidationErrors,
+  createRequest,
+  getMyRequests,
+  getAssignedRequests,
+  getRequest,
+  approveRequest,
+  rejectRequest,
+  cancelRequest
+};
@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const fundRequestController = require('./fundRequest.controller');
+const fundRequestValidation = require('./fundRequest.validation');
+const { authenticate } = require('../../middlewares/auth.middleware');
+const { idempotent } = require('../../middlewares/idempotency.middleware');
+const { apiLimiter } = require('../../middlewares/security.middleware');
+
+// Apply rate limiting to all routes
+router.use(apiLimiter);
+
+// All fund request routes require authentication
+router.use(authenticate);
+
+// Submit a deposit or withdrawal request to the direct upline
+router.post('/:type',
+  fundRequestValidation.validateRequestType,
+  fundRequestValidation.validateCreateRequest,
+  fundRequestController.handleValidationErrors,
+  idempotent,
+  fundRequestController.createRequest
+);
+
+// Requests made by the current user
+router.get('/:type/mine',
+  fundRequestValidation.validateRequestType,
+  fundRequestValidation.validateGetRequests,
+  fundRequestController.handleValidationErrors,
+  fundRequestController.getMyRequests
+);
+
+// Requests routed to the current user for review
+router.get('/:type/assigned',
+  fundRequestValidation.validateRequestType,
+  fundRequestValidation.validateGetRequests,
+  fundRequestController.handleValidationErrors,
+  fundRequestController.getAssignedRequests
+);
+
+// Get a request - requester or direct upline only
+router.get('/:type/:requestId',
+  fundRequestValidation.validateRequestType,
+  fundRequestValidation.validateRequestIdParam,
+  fundRequestController.handleValidationErrors,
+  fundRequestController.getRequest
+);
+
+// Approve a request - direct upline only
+router.post('/:type/:requestId/approve',
+  fundRequestValidation.validateRequestType,
+  fundRequestValidation.validateRequestIdParam,
+  fundRequestValidation.validateApproveRequest,
+  fundRequestController.handleValidationErrors,
+  idempotent,
+  fundRequestController.approveRequest
+);
+
+// Reject a request - direct upline only
+router.post('/:type/:requestId/reject',
+  fundRequestValidation.validateRequestType,
+  fundRequestValidation.validateRequestIdParam,
+  fundRequestValidation.validateRejectRequest,
+  fundRequestController.handleValidationErrors,
+  idempotent,
+  fundRequestController.rejectRequest
+);
+
+// Cancel a pending request - requester only
+router.post('/:type/:requestId/cancel',
+  fundRequestValidation.validateRequestType,
+  fundRequestValidation.validateRequestIdParam,
+  fundRequestController.handleValidationErrors,
+  idempotent,
+  fundRequestController.cancelRequest
+);
+
+module.exports = router;
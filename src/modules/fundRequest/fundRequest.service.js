@@ -0,0 +1,407 @@
+const DepositRequest = require('../../models/DepositRequest');
+const WithdrawalRequest = require('../../models/WithdrawalRequest');
+const Wallet = require('../../models/Wallet');
+const { User } = require('../../models/User');
+const walletService = require('../wallet/wallet.service');
+const { notifyWalletUpdate } = require('../../services/userNotification.service');
+const { notifyFundRequestUpdate } = require('../../services/fundRequestNotification.service');
+
+const { REQUEST_STATUS } = DepositRequest;
+
+// Request model per request type
+const REQUEST_MODELS = {
+  deposit: DepositRequest,
+  withdrawal: WithdrawalRequest
+};
+
+/**
+ * Get the request model of a request type
+ */
+const getRequestModel = (type) => {
+  const Model = REQUEST_MODELS[type];
+  if (!Model) {
+    throw new Error(`Unknown request type: ${type}`);
+  }
+  return Model;
+};
+
+/**
+ * Get a request, checking that the user may review it (only the requester's direct upline)
+ */
+const getReviewableRequest = async (type, requestId, reviewerId) => {
+  const request = await getRequestModel(type).findById(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+
+  if (request.upline.toString() !== reviewerId.toString()) {
+    throw new Error('Only the direct upline of the user can review this request');
+  }
+
+  if (request.status !== REQUEST_STATUS.PENDING) {
+    throw new Error(`Request is already ${request.status}`);
+  }
+
+  return request;
+};
+
+/**
+ * Move a pending request to a new status
+ * Only one of two concurrent reviews (or a review and a cancel) can win.
+ * Must be called inside a MongoDB transaction session.
+ */
+const changeRequestStatus = async (type, requestId, status, changedBy, options = {}) => {
+  const { session, note = null, update = {} } = options;
+
+  const request = await getRequestModel(type).findOneAndUpdate(
+    { _id: requestId, status: REQUEST_STATUS.PENDING },
+    {
+      $set: { status, ...update },
+      $push: { statusHistory: { status, changedBy, note, changedAt: new Date() } }
+    },
+    { new: true, session }
+  );
+
+  if (!request) {
+    throw new Error('Request is no longer pending');
+  }
+
+  return request;
+};
+
+/**
+ * Release the amount held for a withdrawal request
+ * Must be called inside a MongoDB transaction session.
+ */
+const releaseRequestHold = (wallet, request, performedBy, description, options = {}) => {
+  return walletService.releaseWithdrawal(wallet, request.amount, performedBy, description, {
+    ...options,
+    metadata: { withdrawalRequestId: request._id.toString() }
+  });
+};
+
+/**
+ * Create a deposit or withdrawal request
+ * The request goes to the user's direct upline. A withdrawal holds its amount
+ * in the user's wallet until the request is reviewed or cancelled.
+ */
+const createRequest = async (type, userId, data, req = null) => {
+  const Model = getRequestModel(type);
+  const { amount, method, reference, attachment, note } = data;
+
+  // Validate amount
+  if (!amount || amount <= 0) {
+    throw new Error('Amount must be greater than 0');
+  }
+
+  if (amount > 9999999999) {
+    throw new Error('Amount exceeds maximum limit');
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Requests are reviewed by the direct upline
+  if (!user.createdBy) {
+    throw new Error('You have no upline to send requests to');
+  }
+
+  const upline = await User.findById(user.createdBy);
+  if (!upline || !upline.isActive) {
+    throw new Error('Your upline is not available to review requests');
+  }
+
+  const requestData = {
+    user: userId,
+    upline: upline._id,
+    amount,
+    method,
+    reference,
+    attachment: attachment || null,
+    note: note || null,
+    status: REQUEST_STATUS.PENDING,
+    statusHistory: [{ status: REQUEST_STATUS.PENDING, changedBy: userId, note: note || null }]
+  };
+
+  if (type === 'deposit') {
+    let request;
+    try {
+      request = await Model.create({ ...requestData, currency: user.currency });
+    } catch (error) {
+      // Duplicate key on the active reference index: the payment reference was already claimed
+      if (error.code === 11000) {
+        throw new Error('A deposit request with this reference already exists');
+      }
+      throw error;
+    }
+
+    notifyFundRequestUpdate(upline._id, type, request);
+    return request;
+  }
+
+  const wallet = await Wallet.findOne({ user: userId });
+  if (!wallet) {
+    throw new Error('Wallet not found');
+  }
+
+  // Check if wallet is available
+  if (!wallet.isAvailable()) {
+    throw new Error(`Wallet is ${wallet.isLocked ? 'locked' : 'inactive'}. ${wallet.lockedReason || ''}`);
+  }
+
+  // Check if sufficient balance (exposure and other pending withdrawals cannot be withdrawn)
+  if (wallet.availableBalance < amount) {
+    throw new Error('Insufficient wallet balance');
+  }
+
+  const request = await walletService.runInTransaction(async (session) => {
+    const [created] = await Model.create([{ ...requestData, currency: wallet.currency }], { session });
+
+    // Hold the amount atomically, only while the available balance still covers it
+    const holdTransaction = await walletService.holdWithdrawal(wallet, amount, userId, 'Amount held for withdrawal request', {
+      session,
+      req,
+      metadata: { withdrawalRequestId: created._id.toString() }
+    });
+
+    created.holdTransaction = holdTransaction._id;
+    await created.save({ session });
+
+    return created;
+  });
+
+  notifyWalletUpdate(wallet);
+  notifyFundRequestUpdate(upline._id, type, request);
+
+  return request;
+};
+
+/**
+ * Approve a deposit or withdrawal request (direct upline only)
+ * - Deposit: the amount is transferred from the upline's wallet to the user's
+ * - Withdrawal: the hold is released and the amount transferred from the user's wallet to the upline's
+ */
+const approveRequest = async (type, requestId, performedBy, note = null, req = null) => {
+  const request = await getReviewableRequest(type, requestId, performedBy);
+
+  const performer = await User.findById(performedBy);
+  const user = await User.findById(request.user);
+  if (!performer || !user) {
+    throw new Error('User not found');
+  }
+
+  const userWallet = type === 'deposit'
+    ? await Wallet.getOrCreateWallet(request.user, request.currency)
+    : await Wallet.findOne({ user: request.user });
+  if (!userWallet) {
+    throw new Error('Wallet not found');
+  }
+
+  const uplineWallet = type === 'deposit'
+    ? await Wallet.findOne({ user: performedBy })
+    : await Wallet.getOrCreateWallet(performedBy, request.currency);
+  if (!uplineWallet) {
+    throw new Error('Your wallet was not found');
+  }
+
+  // Check if currencies match
+  if (userWallet.currency !== uplineWallet.currency) {
+    throw new Error(`Currency mismatch. Cannot transfer between ${userWallet.currency} and ${uplineWallet.currency}`);
+  }
+
+  // Check if sufficient balance in the upline's wallet for a deposit
+  if (type === 'deposit' && uplineWallet.availableBalance < request.amount) {
+    throw new Error('Insufficient balance in your wallet');
+  }
+
+  const metadata = { [`${type}RequestId`]: request._id.toString() };
+  const label = type === 'deposit' ? 'Deposit' : 'Withdrawal';
+
+  const result = await walletService.runInTransaction(async (session) => {
+    const approved = await changeRequestStatus(type, request._id, REQUEST_STATUS.APPROVED, performedBy, {
+      session,
+      note,
+      update: { reviewedBy: performedBy, reviewedAt: new Date() }
+    });
+
+    if (type === 'withdrawal') {
+      await releaseRequestHold(userWallet, approved, performedBy, 'Withdrawal request approved', { session, req });
+    }
+
+    const [fromWallet, toWallet] = type === 'deposit' ? [uplineWallet, userWallet] : [userWallet, uplineWallet];
+    const transfer = await walletService.executeTransfer(fromWallet, toWallet, approved.amount, performedBy, {
+      session,
+      req,
+      debit: {
+        description: `${label} request of ${user.username} approved`,
+        metadata: { ...metadata, transferType: 'outgoing' }
+      },
+      credit: {
+        description: `${label} request of ${user.username} approved`,
+        metadata: { ...metadata, transferType: 'incoming' }
+      }
+    });
+
+    // The user's side of the transfer
+    approved.transaction = type === 'deposit' ? transfer.creditTransaction._id : transfer.debitTransaction._id;
+    await approved.save({ session });
+
+    return { request: approved, fromWallet: transfer.fromWallet, toWallet: transfer.toWallet };
+  });
+
+  notifyWalletUpdate(result.fromWallet);
+  notifyWalletUpdate(result.toWallet);
+  notifyFundRequestUpdate(request.user, type, result.request);
+
+  return result.request;
+};
+
+/**
+ * Reject a deposit or withdrawal request (direct upline only)
+ * A withdrawal's held amount is released back to the user.
+ */
+const rejectRequest = async (type, requestId, performedBy, reason, req = null) => {
+  const request = await getReviewableRequest(type, requestId, performedBy);
+
+  const wallet = type === 'withdrawal' ? await Wallet.findOne({ user: request.user }) : null;
+  if (type === 'withdrawal' && !wallet) {
+    throw new Error('Wallet not found');
+  }
+
+  const rejected = await walletService.runInTransaction(async (session) => {
+    const updated = await changeRequestStatus(type, request._id, REQUEST_STATUS.REJECTED, performedBy, {
+      session,
+      note: reason,
+      update: { reviewedBy: performedBy, reviewedAt: new Date(), rejectionReason: reason }
+    });
+
+    if (wallet) {
+      await releaseRequestHold(wallet, updated, performedBy, 'Withdrawal request rejected', { session, req });
+    }
+
+    return updated;
+  });
+
+  if (wallet) {
+    notifyWalletUpdate(wallet);
+  }
+  notifyFundRequestUpdate(request.user, type, rejected);
+
+  return rejected;
+};
+
+/**
+ * Cancel a pending deposit or withdrawal request (requester only)
+ * A withdrawal's held amount is released back to the user.
+ */
+const cancelRequest = async (type, requestId, userId, req = null) => {
+  const request = await getRequestModel(type).findById(requestId);
+  if (!request) {
+    throw new Error('Request not found');
+  }
+
+  if (request.user.toString() !== userId.toString()) {
+    throw new Error('You can only cancel your own requests');
+  }
+
+  if (request.status !== REQUEST_STATUS.PENDING) {
+    throw new Error(`Request is already ${request.status}`);
+  }
+
+  const wallet = type === 'withdrawal' ? await Wallet.findOne({ user: userId }) : null;
+  if (type === 'withdrawal' && !wallet) {
+    throw new Error('Wallet not found');
+  }
+
+  const cancelled = await walletService.runInTransaction(async (session) => {
+    const updated = await changeRequestStatus(type, request._id, REQUEST_STATUS.CANCELLED, userId, { session });
+
+    if (wallet) {
+      await releaseRequestHold(wallet, updated, userId, 'Withdrawal request cancelled', { session, req });
+    }
+
+    return updated;
+  });
+
+  if (wallet) {
+    notifyWalletUpdate(wallet);
+  }
+  notifyFundRequestUpdate(request.upline, type, cancelled);
+
+  return cancelled;
+};
+
+/**
+ * Get a request (requester or their direct upline only)
+ */
+const getRequest = async (type, requestId, userId) => {
+  const request = await getRequestModel(type).findById(requestId)
+    .populate('user', 'username name role')
+    .populate('upline', 'username name role')
+    .populate('statusHistory.changedBy', 'username name role');
+
+  if (!request) {
+    throw new Error('Request not found');
+  }
+
+  const isRequester = request.user._id.toString() === userId.toString();
+  const isUpline = request.upline._id.toString() === userId.toString();
+  if (!isRequester && !isUpline) {
+    throw new Error('Request not found');
+  }
+
+  return request;
+};
+
+/**
+ * Get requests made by a user (`as: 'user'`) or waiting on their review (`as: 'upline'`)
+ */
+const getRequests = async (type, userId, query = {}) => {
+  const {
+    as = 'user',
+    page = 1,
+    limit = 20,
+    status
+  } = query;
+
+  const skip = (page - 1) * limit;
+
+  // Build filter
+  const filter = { [as === 'upline' ? 'upline' : 'user']: userId };
+
+  if (status) {
+    filter.status = status;
+  }
+
+  const Model = getRequestModel(type);
+  const requests = await Model.find(filter)
+    .populate('user', 'username name role')
+    .populate('upline', 'username name role')
+    .populate('reviewedBy', 'username name role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await Model.countDocuments(filter);
+
+  return {
+    requests,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  createRequest,
+  approveRequest,
+  rejectRequest,
+  cancelRequest,
+  getRequest,
+  getRequests
+};
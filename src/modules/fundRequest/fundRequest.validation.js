@@ -0,0 +1,103 @@
+const { body, param, query } = require('express-validator');
+const DepositRequest = require('../../models/DepositRequest');
+
+/**
+ * Validation for the request type parameter
+ */
+const validateRequestType = [
+  param('type')
+    .isIn(['deposit', 'withdrawal'])
+    .withMessage('Request type must be deposit or withdrawal')
+];
+
+/**
+ * Validation for request ID parameter
+ */
+const validateRequestIdParam = [
+  param('requestId')
+    .isMongoId()
+    .withMessage('Invalid request ID format')
+];
+
+/**
+ * Validation for creating a deposit or withdrawal request
+ */
+const validateCreateRequest = [
+  body('amount')
+    .notEmpty()
+    .withMessage('Amount is required')
+    .isFloat({ min: 0.01, max: 9999999999 })
+    .withMessage('Amount must be between 0.01 and 9999999999')
+    .toFloat(),
+  body('method')
+    .notEmpty()
+    .withMessage('Payment method is required')
+    .isIn(Object.values(DepositRequest.PAYMENT_METHODS))
+    .withMessage('Invalid payment method'),
+  body('reference')
+    .trim()
+    .notEmpty()
+    .withMessage('Reference is required')
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+  body('attachment')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Attachment cannot exceed 200 characters'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+/**
+ * Validation for getting requests
+ */
+const validateGetRequests = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('status')
+    .optional()
+    .isIn(Object.values(DepositRequest.REQUEST_STATUS))
+    .withMessage('Invalid status')
+];
+
+/**
+ * Validation for approving a request
+ */
+const validateApproveRequest = [
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+/**
+ * Validation for rejecting a request
+ */
+const validateRejectRequest = [
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Rejection reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+];
+
+module.exports = {
+  validateRequestType,
+  validateRequestIdParam,
+  validateCreateRequest,
+  validateGetRequests,
+  validateApproveRequest,
+  validateRejectRequest
+};
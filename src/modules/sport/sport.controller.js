@@ -0,0 +1,125 @@
+const { validationResult } = require('express-validator');
+const sportService = require('./sport.service');
+const { sendWithETag } = require('../../utils/httpCache');
+
+/**
+ * Handle validation errors
+ */
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Get the health of every sport feed (public route)
+ */
+const getFeedStatuses = (req, res, next) => {
+  try {
+    const statuses = sportService.getFeedStatuses();
+
+    res.json({
+      success: true,
+      data: statuses
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to fetch feed status'
+    });
+  }
+};
+
+/**
+ * Get the health of a sport's feed (public route)
+ */
+const getFeedStatus = (req, res, next) => {
+  try {
+    const status = sportService.getFeedStatus(req.params.sport);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Failed to fetch feed status'
+    });
+  }
+};
+
+/**
+ * Pin a sport's feed to a provider, or return it to automatic failover (admin only)
+ */
+const setProviderOverride = (req, res, next) => {
+  try {
+    const status = sportService.setProviderOverride(req.params.sport, req.body.provider, req.userId);
+
+    res.json({
+      success: true,
+      message: status.overrideProvider
+        ? `Feed pinned to ${status.overrideProvider} provider`
+        : 'Feed returned to automatic failover',
+      data: status
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to set feed provider'
+    });
+  }
+};
+
+/**
+ * Get the match list of a sport (public route)
+ */
+const getMatches = (req, res, next) => {
+  try {
+    const result = sportService.getMatches(req.params.sport);
+
+    sendWithETag(req, res, {
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Failed to fetch matches'
+    });
+  }
+};
+
+/**
+ * Get an event's markets and prices (public route)
+ */
+const getEvent = async (req, res, next) => {
+  try {
+    const result = await sportService.getEvent(req.params.sport, req.params.eventId);
+
+    sendWithETag(req, res, {
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Event not found'
+    });
+  }
+};
+
+module.exports = {
+  handleValidationErrors,
+  getFeedStatuses,
+  getFeedStatus,
+  setProviderOverride,
+  getMatches,
+  getEvent
+};
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const sportController = require('./sport.controller');
+const sportValidation = require('./sport.validation');
+const { authenticate } = require('../../middlewares/auth.middleware');
+const { requireMinRole } = require('../../middlewares/authorize.middleware');
+const { ROLES } = require('../../models/User');
+const { apiLimiter } = require('../../middlewares/security.middleware');
+
+// Apply rate limiting to all routes
+router.use(apiLimiter);
+
+// Public routes - feed health
+router.get('/status', sportController.getFeedStatuses);
+
+router.get('/:sport/status',
+  sportValidation.validateSportParam,
+  sportController.handleValidationErrors,
+  sportController.getFeedStatus
+);
+
+// Public routes - served from the feed caches, with ETag/If-None-Match support
+router.get('/:sport/matches',
+  sportValidation.validateSportParam,
+  sportController.handleValidationErrors,
+  sportController.getMatches
+);
+
+router.get('/:sport/events/:eventId',
+  sportValidation.validateEventParams,
+  sportController.handleValidationErrors,
+  sportController.getEvent
+);
+
+// Admin routes - pin a feed to one provider, or return it to automatic failover
+router.put('/:sport/provider',
+  authenticate,
+  requireMinRole(ROLES.ADMIN),
+  sportValidation.validateProviderOverride,
+  sportController.handleValidationErrors,
+  sportController.setProviderOverride
+);
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const { getSportFeed, getSportFeeds } = require('../../services/sportFeed.service');
+const { applyEventSuspensions } = require('../bet/marketControl.service');
+
+// Cached event data older than this is fetched again before it is served (ms)
+const EVENT_CACHE_MAX_AGE = parseInt(process.env.EVENT_CACHE_MAX_AGE) || 2000;
+
+/**
+ * Get the feed of a sport, or throw if the sport has none
+ */
+const getFeed = (sport) => {
+  const feed = getSportFeed(sport);
+  if (!feed) {
+    throw new Error('Sport not found');
+  }
+  return feed;
+};
+
+/**
+ * Get the health of every sport feed
+ */
+const getFeedStatuses = () => getSportFeeds().map(feed => feed.getStatus());
+
+/**
+ * Get the health of a sport's feed
+ */
+const getFeedStatus = (sport) => getFeed(sport).getStatus();
+
+/**
+ * Pin a sport's feed to one of its providers, or return it to automatic failover (null)
+ */
+const setProviderOverride = (sport, provider, adminId) => {
+  const feed = getFeed(sport);
+  const status = feed.setProviderOverride(provider === null ? null : provider.trim());
+
+  console.log(provider === null
+    ? `🔧 ${feed.label} feed returned to automatic failover by admin ${adminId}`
+    : `🔧 ${feed.label} feed pinned to ${status.overrideProvider} provider by admin ${adminId}`);
+
+  return status;
+};
+
+/**
+ * Get the cached match list of a sport
+ */
+const getMatches = (sport) => {
+  const { seq, data, stale } = getFeed(sport).getMatchesSnapshot();
+  return { sport, seq, stale, matches: data || [] };
+};
+
+/**
+ * Get an event's data with admin suspensions applied
+ * Events nobody is subscribed to are not polled, so missing or old data is fetched once.
+ * Data that is still old afterwards (the feed is failing) is served flagged as stale.
+ */
+const getEvent = async (sport, eventId) => {
+  const feed = getFeed(sport);
+
+  const updatedAt = feed.getEventDataUpdatedAt(eventId);
+  if (updatedAt === null || Date.now() - updatedAt > EVENT_CACHE_MAX_AGE) {
+    await feed.fetchEventData(eventId);
+  }
+
+  const snapshot = feed.getEventSnapshot(eventId);
+  if (!snapshot) {
+    throw new Error('Event not found');
+  }
+
+  return {
+    sport,
+    eventId: snapshot.eventId,
+    seq: snapshot.seq,
+    stale: snapshot.stale,
+    event: applyEventSuspensions(sport, eventId, snapshot.data)
+  };
+};
+
+module.exports = {
+  getFeedStatuses,
+  getFeedStatus,
+  setProviderOverride,
+  getMatches,
+  getEvent
+};
@@ -0,0 +1,46 @@
+const { body, param } = require('express-validator');
+const { getSportFeeds } = require('../../services/sportFeed.service');
+
+const sportParam = () => param('sport')
+  .isIn(getSportFeeds().map(feed => feed.sport))
+  .withMessage('Sport not found');
+
+/**
+ * Validation for sport parameter
+ */
+const validateSportParam = [
+  sportParam()
+];
+
+/**
+ * Validation for sport and event ID parameters
+ */
+const validateEventParams = [
+  sportParam(),
+  param('eventId')
+    .notEmpty()
+    .withMessage('Event ID is required')
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Event ID cannot exceed 100 characters')
+];
+
+/**
+ * Validation for pinning a feed provider
+ * A null provider returns the feed to automatic failover.
+ */
+const validateProviderOverride = [
+  sportParam(),
+  body('provider')
+    .exists()
+    .withMessage('Provider is required (null for automatic failover)')
+    .custom(value => value === null || (typeof value === 'string' && value.trim().length > 0))
+    .withMessage('Provider must be a provider name or null')
+];
+
+module.exports = {
+  validateSportParam,
+  validateEventParams,
+  validateProviderOverride
+};
@@ -1,26 +1,44 @@
 const { User, ROLES } = require('../../models/User');
 const authService = require('../auth/auth.service');
-const { getLatestCricketData } = require('../../services/cricket.service');
+const { getSportFeed } = require('../../services/sportFeed.service');
 const walletService = require('../wallet/wallet.service');
+const { sendWithETag } = require('../../utils/httpCache');
+const { forceLogout } = require('../../services/userNotification.service');
 
 /**
- * Get cricket matches (public route)
+ * Create a handler for a sport's cached match list (public route)
  */
-const getCricketMatches = (req, res) => {
+const getSportMatches = (sport) => (req, res) => {
   try {
-    const data = getLatestCricketData();
-    res.json({
+    const { data, stale } = getSportFeed(sport).getMatchesSnapshot();
+    sendWithETag(req, res, {
       success: true,
+      stale,
       data: data || []
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      message: error.message || 'Failed to fetch cricket matches'
+      message: error.message || `Failed to fetch ${sport} matches`
     });
   }
 };
 
+/**
+ * Get cricket matches (public route)
+ */
+const getCricketMatches = getSportMatches('cricket');
+
+/**
+ * Get soccer matches (public route)
+ */
+const getSoccerMatches = getSportMatches('soccer');
+
+/**
+ * Get tennis matches (public route)
+ */
+const getTennisMatches = getSportMatches('tennis');
+
 /**
  * Get all users (with pagination and filters)
  */
@@ -94,6 +112,8 @@ const getUserById = async (req, res) => {
       // Wallet might not exist yet, set default values
       wallet = {
         balance: 0,
+        exposure: 0,
+        availableBalance: 0,
         currency: user.currency || 'INR',
         isActive: true,
         isLocked: false
@@ -175,6 +195,11 @@ const updateUser = async (req, res) => {
       });
     }
 
+    // A deactivated user can no longer use the sockets they are connected with
+    if (!user.isActive) {
+      forceLogout(user._id, 'Account deactivated');
+    }
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -212,6 +237,8 @@ const deleteUser = async (req, res) => {
       });
     }
 
+    forceLogout(user._id, 'Account deleted');
+
     res.json({
       success: true,
       message: 'User deleted successfully'
@@ -224,6 +251,40 @@ const deleteUser = async (req, res) => {
   }
 };
 
+/**
+ * Force a user to log out everywhere (admin only)
+ * Revokes their refresh token and ends their socket sessions.
+ */
+const forceLogoutUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await User.findByIdAndUpdate(id, {
+      $unset: { refreshToken: 1, refreshTokenExpiry: 1 }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const reason = typeof req.body?.reason === 'string' && req.body.reason.trim();
+    forceLogout(user._id, reason || 'Logged out by administrator');
+
+    res.json({
+      success: true,
+      message: 'User logged out successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to log out user'
+    });
+  }
+};
+
 /**
  * Get user statistics
  */
@@ -262,10 +323,13 @@ const getUserStats = async (req, res) => {
 
 module.exports = {
   getCricketMatches,
+  getSoccerMatches,
+  getTennisMatches,
   getAllUsers,
   getUserById,
   createUser,
   updateUser,
   deleteUser,
+  forceLogoutUser,
   getUserStats
 };
@@ -6,7 +6,7 @@ const { authorize, requireMinRole, canCreateUserWithRole } = require('../../midd
 const { requirePasswordConfirmation } = require('../../middlewares/passwordConfirmation.middleware');
 const { ROLES } = require('../../models/User');
 const { apiLimiter } = require('../../middlewares/security.middleware');
-const { validateUpdateUser, validatePasswordConfirmation } = require('../auth/auth.validation');
+const { validateUpdateUser, validateStakeLimits, validatePasswordConfirmation } = require('../auth/auth.validation');
 const { handleValidationErrors } = require('../auth/auth.controller');
 
 // Apply rate limiting to all routes
@@ -14,6 +14,8 @@ router.use(apiLimiter);
 
 // Public route - get cricket matches (existing)
 router.get('/cricket', userController.getCricketMatches);
+router.get('/soccer', userController.getSoccerMatches);
+router.get('/tennis', userController.getTennisMatches);
 
 // Protected routes - require authentication
 router.use(authenticate);
@@ -33,6 +35,7 @@ router.post(
   handleValidationErrors,
   requirePasswordConfirmation,
   validateUpdateUser, 
+  validateStakeLimits,
   handleValidationErrors, 
   userController.createUser
 );
@@ -55,6 +58,9 @@ router.put(
   userController.updateUser
 );
 
+// Force a user to log out of every session
+router.post('/:id/force-logout', userController.forceLogoutUser);
+
 // Delete user - requires password confirmation
 router.delete(
   '/:id', 
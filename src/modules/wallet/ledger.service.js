@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Wallet = require('../../models/Wallet');
+
+const { ACCOUNT_TYPES } = LedgerEntry;
+
+// Rounds half away from zero, so a debit and its matching credit round alike
+const round = (value) => Math.sign(value) * Math.round(Math.abs(value) * 100) / 100;
+
+/**
+ * Ledger accounts
+ * User accounts are identified by the user; system accounts by the journal currency.
+ */
+const ACCOUNTS = {
+  userWallet: (userId) => ({ accountType: ACCOUNT_TYPES.USER_WALLET, user: userId }),
+  userExposure: (userId) => ({ accountType: ACCOUNT_TYPES.USER_EXPOSURE, user: userId }),
+  userWithdrawalHold: (userId) => ({ accountType: ACCOUNT_TYPES.USER_WITHDRAWAL_HOLD, user: userId }),
+  house: () => ({ accountType: ACCOUNT_TYPES.HOUSE, user: null }),
+  commissionPayable: () => ({ accountType: ACCOUNT_TYPES.COMMISSION_PAYABLE, user: null }),
+  systemMint: () => ({ accountType: ACCOUNT_TYPES.SYSTEM_MINT, user: null })
+};
+
+/**
+ * Post a journal
+ * Each line is an account with a signed amount (credit positive, debit
+ * negative). Throws unless the lines sum to zero. Pass the session of the
+ * transaction that changes the wallets, so the journal commits with them.
+ */
+const postJournal = async ({ lines, currency, description, performedBy = null, walletTransaction = null, metadata = {} }, options = {}) => {
+  const { session } = options;
+
+  const entries = lines
+    .map(line => ({ ...line, amount: round(line.amount) }))
+    .filter(line => line.amount !== 0);
+
+  if (entries.length < 2) {
+    throw new Error('A journal needs at least one debit and one credit');
+  }
+
+  const total = round(entries.reduce((sum, entry) => sum + entry.amount, 0));
+  if (total !== 0) {
+    throw new Error(`Journal does not balance: entries sum to ${total}`);
+  }
+
+  const journalId = new mongoose.Types.ObjectId();
+
+  return LedgerEntry.insertMany(entries.map(entry => ({
+    journalId,
+    accountType: entry.accountType,
+    user: entry.user || null,
+    amount: entry.amount,
+    currency,
+    description,
+    walletTransaction,
+    performedBy,
+    metadata
+  })), { session });
+};
+
+/**
+ * Post a journal moving an amount from one account to another
+ * Debits `from` and credits `to`.
+ */
+const postTransfer = (from, to, amount, details, options = {}) => {
+  return postJournal({
+    ...details,
+    lines: [
+      { ...from, amount: -amount },
+      { ...to, amount }
+    ]
+  }, options);
+};
+
+/**
+ * Get the balance of an account: the sum of its entries
+ */
+const getAccountBalance = async ({ accountType, user = null }, currency) => {
+  const [result] = await LedgerEntry.aggregate([
+    { $match: { accountType, user: user ? new mongoose.Types.ObjectId(String(user)) : null, currency } },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]);
+
+  return result ? round(result.balance) : 0;
+};
+
+/**
+ * Derive a user's wallet balance, exposure, withdrawal hold and available balance
+ * from the journal, next to the balances stored on the wallet
+ */
+const getDerivedWalletBalance = async (userId) => {
+  const wallet = await Wallet.findOne({ user: userId });
+  if (!wallet) {
+    throw new Error('Wallet not found');
+  }
+
+  const [available, exposure, withdrawalHold] = await Promise.all([
+    getAccountBalance(ACCOUNTS.userWallet(userId), wallet.currency),
+    getAccountBalance(ACCOUNTS.userExposure(userId), wallet.currency),
+    getAccountBalance(ACCOUNTS.userWithdrawalHold(userId), wallet.currency)
+  ]);
+
+  const derived = {
+    balance: round(available + exposure + withdrawalHold),
+    exposure,
+    withdrawalHold,
+    availableBalance: available
+  };
+  const stored = {
+    balance: wallet.balance,
+    exposure: wallet.exposure,
+    withdrawalHold: wallet.withdrawalHold,
+    availableBalance: wallet.availableBalance
+  };
+
+  return {
+    userId: userId.toString(),
+    currency: wallet.currency,
+    stored,
+    derived,
+    matches: stored.balance === derived.balance
+      && stored.exposure === derived.exposure
+      && stored.withdrawalHold === derived.withdrawalHold
+  };
+};
+
+/**
+ * Get the balance of every system account, per currency
+ */
+const getSystemBalances = async () => {
+  const results = await LedgerEntry.aggregate([
+    { $match: { user: null } },
+    { $group: { _id: { accountType: '$accountType', currency: '$currency' }, balance: { $sum: '$amount' } } },
+    { $sort: { '_id.currency': 1, '_id.accountType': 1 } }
+  ]);
+
+  return results.map(result => ({
+    accountType: result._id.accountType,
+    currency: result._id.currency,
+    balance: round(result.balance)
+  }));
+};
+
+/**
+ * Check the ledger invariant: every journal, and so the whole ledger, sums to zero per currency
+ * Returns the totals per currency and up to `limit` journals that do not balance.
+ */
+const verifyLedger = async ({ limit = 100 } = {}) => {
+  const [totals, unbalancedJournals] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $group: { _id: '$currency', total: { $sum: '$amount' }, entries: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]),
+    LedgerEntry.aggregate([
+      { $group: { _id: { journalId: '$journalId', currency: '$currency' }, total: { $sum: '$amount' }, entries: { $sum: 1 } } },
+      // Sums within half a cent are rounding, not drift
+      { $match: { $or: [{ total: { $gte: 0.005 } }, { total: { $lte: -0.005 } }, { entries: { $lt: 2 } }] } },
+      { $limit: limit }
+    ])
+  ]);
+
+  const currencyTotals = totals.map(total => ({
+    currency: total._id,
+    total: round(total.total),
+    entries: total.entries
+  }));
+
+  return {
+    balanced: unbalancedJournals.length === 0 && currencyTotals.every(total => total.total === 0),
+    totals: currencyTotals,
+    unbalancedJournals: unbalancedJournals.map(journal => ({
+      journalId: journal._id.journalId,
+      currency: journal._id.currency,
+      total: round(journal.total),
+      entries: journal.entries
+    })),
+    checkedAt: new Date()
+  };
+};
+
+/**
+ * Get the journal entries of a user's accounts, newest first
+ */
+const getUserEntries = async (userId, query = {}) => {
+  const { page = 1, limit = 20, accountType } = query;
+  const skip = (page - 1) * limit;
+
+  const filter = { user: userId };
+  if (accountType) {
+    filter.accountType = accountType;
+  }
+
+  const entries = await LedgerEntry.find(filter)
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await LedgerEntry.countDocuments(filter);
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  ACCOUNTS,
+  postJournal,
+  postTransfer,
+  getAccountBalance,
+  getDerivedWalletBalance,
+  getSystemBalances,
+  verifyLedger,
+  getUserEntries
+};
@@ -0,0 +1,482 @@
+const mongoose = require('mongoose');
+const Wallet = require('../../models/Wallet');
+const WalletTransaction = require('../../models/WalletTransaction');
+const ReconciliationReport = require('../../models/ReconciliationReport');
+const walletService = require('./wallet.service');
+
+const { TRANSACTION_TYPES, TRANSACTION_STATUS } = WalletTransaction;
+const { RECONCILIATION_TRIGGERS, ISSUE_TYPES } = ReconciliationReport;
+
+// Run the reconciliation job periodically in the server
+const RECONCILIATION_ENABLED = process.env.RECONCILIATION_ENABLED !== 'false';
+const RECONCILIATION_INTERVAL = parseInt(process.env.RECONCILIATION_INTERVAL) || 24 * 60 * 60 * 1000;
+// Lock wallets with drift found by the scheduled job
+const RECONCILIATION_FREEZE = process.env.RECONCILIATION_FREEZE === 'true';
+// Issues stored per report; counts still cover every issue
+const RECONCILIATION_MAX_ISSUES = parseInt(process.env.RECONCILIATION_MAX_ISSUES) || 1000;
+
+// Credits that add their amount to the balance; debits subtract it
+const CREDIT_TYPES = [TRANSACTION_TYPES.CREDIT, TRANSACTION_TYPES.REFUND, TRANSACTION_TYPES.COMMISSION];
+const DEBIT_TYPES = [TRANSACTION_TYPES.DEBIT];
+// Withdrawal holds and releases move the withdrawal hold and leave the balance unchanged
+const WITHDRAWAL_TYPES = [TRANSACTION_TYPES.WITHDRAWAL_HOLD, TRANSACTION_TYPES.WITHDRAWAL_RELEASE];
+
+let running = false;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Differences under half a cent are rounding, not drift
+const differs = (a, b) => Math.abs(a - b) >= 0.005;
+
+/**
+ * Check if a transaction moved exposure rather than balance
+ * Exposure holds and releases record exposureBefore/After and leave the balance unchanged.
+ */
+const isExposureTransaction = (transaction) => (
+  transaction.exposureBefore !== null && transaction.exposureBefore !== undefined
+);
+
+/**
+ * Get how much a transaction changes the balance, the exposure and the withdrawal hold
+ * Transfers and adjustments have no fixed direction, so theirs is read from the recorded balances.
+ */
+const getTransactionEffect = (transaction) => {
+  const amount = transaction.amount;
+
+  if (isExposureTransaction(transaction)) {
+    return {
+      balance: 0,
+      exposure: transaction.transactionType === TRANSACTION_TYPES.BET_HOLD ? amount : -amount,
+      withdrawalHold: 0
+    };
+  }
+
+  if (WITHDRAWAL_TYPES.includes(transaction.transactionType)) {
+    return {
+      balance: 0,
+      exposure: 0,
+      withdrawalHold: transaction.transactionType === TRANSACTION_TYPES.WITHDRAWAL_HOLD ? amount : -amount
+    };
+  }
+
+  if (CREDIT_TYPES.includes(transaction.transactionType)) {
+    return { balance: amount, exposure: 0, withdrawalHold: 0 };
+  }
+
+  if (DEBIT_TYPES.includes(transaction.transactionType)) {
+    return { balance: -amount, exposure: 0, withdrawalHold: 0 };
+  }
+
+  return {
+    balance: transaction.balanceAfter < transaction.balanceBefore ? -amount : amount,
+    exposure: 0,
+    withdrawalHold: 0
+  };
+};
+
+/**
+ * Recompute a wallet from its transactions, oldest first
+ * Returns the recomputed balance, exposure and withdrawal hold, and the issues found: broken
+ * balanceBefore/balanceAfter (and exposure) chains, transactions of another
+ * user, and stored balances that differ from the recomputed ones.
+ */
+const reconcileWallet = (wallet, transactions) => {
+  const issues = [];
+  const addIssue = (issueType, transaction, message, details = {}) => {
+    issues.push({
+      issueType,
+      wallet: wallet._id,
+      user: wallet.user,
+      transaction: transaction ? transaction._id : null,
+      message,
+      details
+    });
+  };
+
+  // Wallets are created empty
+  let balance = 0;
+  let exposure = 0;
+  let withdrawalHold = 0;
+  let previousBalanceAfter = 0;
+  let previousExposureAfter = 0;
+
+  transactions.forEach(transaction => {
+    if (String(transaction.user) !== String(wallet.user)) {
+      addIssue(ISSUE_TYPES.ORPHANED_TRANSACTION, transaction, 'Transaction belongs to another user than its wallet', {
+        transactionUser: transaction.user
+      });
+    }
+
+    if (transaction.status !== TRANSACTION_STATUS.COMPLETED) {
+      return;
+    }
+
+    const effect = getTransactionEffect(transaction);
+    balance = round(balance + effect.balance);
+    exposure = round(exposure + effect.exposure);
+    withdrawalHold = round(withdrawalHold + effect.withdrawalHold);
+
+    if (differs(transaction.balanceBefore, previousBalanceAfter)) {
+      addIssue(ISSUE_TYPES.BROKEN_CHAIN, transaction, 'Balance before does not match the previous balance after', {
+        field: 'balance',
+        expected: round(previousBalanceAfter),
+        actual: round(transaction.balanceBefore)
+      });
+    }
+
+    if (differs(transaction.balanceAfter - transaction.balanceBefore, effect.balance)) {
+      addIssue(ISSUE_TYPES.BROKEN_CHAIN, transaction, 'Balance change does not match the transaction amount', {
+        field: 'balance',
+        expected: round(transaction.balanceBefore + effect.balance),
+        actual: round(transaction.balanceAfter)
+      });
+    }
+
+    previousBalanceAfter = transaction.balanceAfter;
+
+    if (isExposureTransaction(transaction)) {
+      if (differs(transaction.exposureBefore, previousExposureAfter)) {
+        addIssue(ISSUE_TYPES.BROKEN_CHAIN, transaction, 'Exposure before does not match the previous exposure after', {
+          field: 'exposure',
+          expected: round(previousExposureAfter),
+          actual: round(transaction.exposureBefore)
+        });
+      }
+
+      if (differs(transaction.exposureAfter - transaction.exposureBefore, effect.exposure)) {
+        addIssue(ISSUE_TYPES.BROKEN_CHAIN, transaction, 'Exposure change does not match the transaction amount', {
+          field: 'exposure',
+          expected: round(transaction.exposureBefore + effect.exposure),
+          actual: round(transaction.exposureAfter)
+        });
+      }
+
+      previousExposureAfter = transaction.exposureAfter;
+    }
+  });
+
+  const storedWithdrawalHold = wallet.withdrawalHold || 0;
+  const mismatch = differs(wallet.balance, balance)
+    || differs(wallet.exposure, exposure)
+    || differs(storedWithdrawalHold, withdrawalHold);
+  if (mismatch) {
+    addIssue(ISSUE_TYPES.BALANCE_MISMATCH, null, 'Stored balance does not match the transaction history', {
+      stored: {
+        balance: round(wallet.balance),
+        exposure: round(wallet.exposure),
+        withdrawalHold: round(storedWithdrawalHold)
+      },
+      computed: { balance, exposure, withdrawalHold },
+      difference: {
+        balance: round(wallet.balance - balance),
+        exposure: round(wallet.exposure - exposure),
+        withdrawalHold: round(storedWithdrawalHold - withdrawalHold)
+      }
+    });
+  }
+
+  return { balance, exposure, withdrawalHold, mismatch, issues };
+};
+
+/**
+ * Read a wallet and its transactions from one snapshot
+ * So transactions committed while the job runs cannot show up as drift.
+ */
+const readWalletHistory = async (walletId) => {
+  const session = await mongoose.startSession();
+
+  try {
+    session.startTransaction({ readConcern: { level: 'snapshot' } });
+
+    const wallet = await Wallet.findById(walletId).session(session).lean();
+    const transactions = wallet
+      ? await WalletTransaction.find({ wallet: walletId })
+        .sort({ createdAt: 1, _id: 1 })
+        .session(session)
+        .lean()
+      : [];
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { wallet, transactions };
+  } catch (error) {
+    await session.abortTransaction();
+    session.endSession();
+    throw error;
+  }
+};
+
+/**
+ * Find transactions whose wallet does not exist
+ */
+const findTransactionsWithoutWallet = () => {
+  return WalletTransaction.aggregate([
+    { $lookup: { from: Wallet.collection.name, localField: 'wallet', foreignField: '_id', as: 'walletDoc' } },
+    { $match: { walletDoc: { $size: 0 } } },
+    { $project: { _id: 1, wallet: 1, user: 1 } }
+  ]);
+};
+
+/**
+ * Find the related transactions referenced by a wallet's transactions that do not exist
+ */
+const findMissingRelatedTransactions = async (transactions) => {
+  const relatedIds = transactions
+    .filter(transaction => transaction.relatedTransaction)
+    .map(transaction => transaction.relatedTransaction);
+
+  if (relatedIds.length === 0) {
+    return [];
+  }
+
+  const existing = await WalletTransaction.find({ _id: { $in: relatedIds } }).select('_id').lean();
+  const existingIds = new Set(existing.map(transaction => String(transaction._id)));
+
+  return transactions.filter(transaction => (
+    transaction.relatedTransaction && !existingIds.has(String(transaction.relatedTransaction))
+  ));
+};
+
+/**
+ * Check every wallet and fill in the report
+ */
+const reconcileWallets = async (report) => {
+  const counts = { balanceMismatches: 0, brokenChains: 0, orphanedTransactions: 0 };
+  const issues = [];
+  const driftedUsers = [];
+
+  const recordIssues = (found) => {
+    found.forEach(issue => {
+      if (issue.issueType === ISSUE_TYPES.BALANCE_MISMATCH) {
+        counts.balanceMismatches++;
+      } else if (issue.issueType === ISSUE_TYPES.BROKEN_CHAIN) {
+        counts.brokenChains++;
+      } else {
+        counts.orphanedTransactions++;
+      }
+
+      if (issues.length < RECONCILIATION_MAX_ISSUES) {
+        issues.push(issue);
+      }
+    });
+  };
+
+  let walletsChecked = 0;
+  let transactionsChecked = 0;
+
+  for await (const { _id: walletId } of Wallet.find().select('_id').lean().cursor()) {
+    const { wallet, transactions } = await readWalletHistory(walletId);
+    if (!wallet) {
+      continue;
+    }
+
+    const result = reconcileWallet(wallet, transactions);
+    recordIssues(result.issues);
+
+    const missingRelated = await findMissingRelatedTransactions(transactions);
+    recordIssues(missingRelated.map(transaction => ({
+      issueType: ISSUE_TYPES.ORPHANED_TRANSACTION,
+      wallet: wallet._id,
+      user: wallet.user,
+      transaction: transaction._id,
+      message: 'Related transaction does not exist',
+      details: { relatedTransaction: transaction.relatedTransaction }
+    })));
+
+    if (result.mismatch && !wallet.isLocked) {
+      driftedUsers.push(wallet.user);
+    }
+
+    walletsChecked++;
+    transactionsChecked += transactions.length;
+  }
+
+  const withoutWallet = await findTransactionsWithoutWallet();
+  recordIssues(withoutWallet.map(transaction => ({
+    issueType: ISSUE_TYPES.ORPHANED_TRANSACTION,
+    wallet: transaction.wallet,
+    user: transaction.user,
+    transaction: transaction._id,
+    message: 'Wallet of the transaction does not exist',
+    details: {}
+  })));
+
+  report.walletsChecked = walletsChecked;
+  report.transactionsChecked = transactionsChecked + withoutWallet.length;
+  report.counts = counts;
+  report.issues = issues;
+
+  return driftedUsers;
+};
+
+/**
+ * Lock the wallets of users with drift, so no more money moves until an admin has looked
+ */
+const freezeWallets = async (report, userIds) => {
+  for (const userId of userIds) {
+    try {
+      await walletService.lockWallet(userId, report.performedBy, `Balance drift found by reconciliation ${report._id}`);
+      report.frozenWallets.push(userId);
+    } catch (error) {
+      console.error(`❌ Error freezing wallet of user ${userId}:`, error.message);
+    }
+  }
+};
+
+/**
+ * Create the report of a run
+ * Only one run at a time; throws if one is running.
+ */
+const createRun = async ({ trigger, performedBy = null, freeze = false }) => {
+  if (running) {
+    throw new Error('Reconciliation is already running');
+  }
+  running = true;
+
+  try {
+    return await ReconciliationReport.create({
+      trigger,
+      performedBy,
+      freeze,
+      startedAt: new Date()
+    });
+  } catch (error) {
+    running = false;
+    throw error;
+  }
+};
+
+/**
+ * Check the wallets of a run, freeze them if asked, and save the report
+ * Errors are recorded on the report rather than thrown.
+ */
+const completeRun = async (report) => {
+  try {
+    const driftedUsers = await reconcileWallets(report);
+    if (report.freeze) {
+      await freezeWallets(report, driftedUsers);
+    }
+  } catch (error) {
+    report.error = error.message;
+  } finally {
+    running = false;
+    report.finishedAt = new Date();
+    await report.save();
+  }
+
+  return report;
+};
+
+/**
+ * Run a reconciliation and wait for its report
+ */
+const runReconciliation = async (options) => {
+  const report = await createRun(options);
+  return completeRun(report);
+};
+
+/**
+ * Start a reconciliation in the background
+ * Returns the report as soon as the run has started; fetch it again for the results.
+ */
+const startReconciliation = async (options) => {
+  const report = await createRun(options);
+
+  completeRun(report).catch(error => {
+    console.error('❌ Error saving reconciliation report:', error.message);
+  });
+
+  return report;
+};
+
+/**
+ * Get the latest report
+ */
+const getLatestReport = async () => {
+  const report = await ReconciliationReport.findOne()
+    .sort({ createdAt: -1 })
+    .populate('performedBy', 'username name role');
+
+  if (!report) {
+    throw new Error('No reconciliation report found');
+  }
+
+  return report;
+};
+
+/**
+ * Get a report by ID
+ */
+const getReport = async (reportId) => {
+  const report = await ReconciliationReport.findById(reportId)
+    .populate('performedBy', 'username name role');
+
+  if (!report) {
+    throw new Error('Reconciliation report not found');
+  }
+
+  return report;
+};
+
+/**
+ * Get reports without their issues, newest first
+ */
+const getReports = async (query = {}) => {
+  const { page = 1, limit = 20 } = query;
+  const skip = (page - 1) * limit;
+
+  const reports = await ReconciliationReport.find()
+    .select('-issues')
+    .populate('performedBy', 'username name role')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit);
+
+  const total = await ReconciliationReport.countDocuments();
+
+  return {
+    reports,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Schedule the reconciliation job
+ * Returns the interval ID, or null if the job is disabled.
+ */
+const scheduleReconciliation = () => {
+  if (!RECONCILIATION_ENABLED) {
+    return null;
+  }
+
+  return setInterval(() => {
+    runReconciliation({
+      trigger: RECONCILIATION_TRIGGERS.SCHEDULED,
+      freeze: RECONCILIATION_FREEZE
+    }).then(report => {
+      if (report.error) {
+        console.error('❌ Reconciliation failed:', report.error);
+      } else if (report.hasIssues) {
+        console.warn(`⚠️ Reconciliation ${report._id} found wallet issues`, report.counts);
+      }
+    }).catch(error => {
+      console.error('❌ Error running reconciliation:', error.message);
+    });
+  }, RECONCILIATION_INTERVAL);
+};
+
+module.exports = {
+  reconcileWallet,
+  runReconciliation,
+  startReconciliation,
+  getLatestReport,
+  getReport,
+  getReports,
+  scheduleReconciliation
+};
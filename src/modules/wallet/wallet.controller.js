@@ -1,4 +1,7 @@
 const walletService = require('./wallet.service');
+const ledgerService = require('./ledger.service');
+const reconciliationService = require('./reconciliation.service');
+const ReconciliationReport = require('../../models/ReconciliationReport');
 const { validationResult } = require('express-validator');
 
 /**
@@ -241,6 +244,141 @@ const getWalletStats = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a user's ledger: balances derived from the journal and the journal entries
+ */
+const getUserLedger = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const [balance, result] = await Promise.all([
+      ledgerService.getDerivedWalletBalance(userId),
+      ledgerService.getUserEntries(userId, {
+        accountType: req.query.accountType,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: { balance, ...result }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch ledger'
+    });
+  }
+};
+
+/**
+ * Verify that the ledger balances, with the system account balances
+ */
+const verifyLedger = async (req, res, next) => {
+  try {
+    const [verification, systemAccounts] = await Promise.all([
+      ledgerService.verifyLedger(),
+      ledgerService.getSystemBalances()
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...verification, systemAccounts }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to verify ledger'
+    });
+  }
+};
+
+/**
+ * Get the latest reconciliation report
+ */
+const getReconciliationReport = async (req, res, next) => {
+  try {
+    const report = await reconciliationService.getLatestReport();
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message || 'No reconciliation report found'
+    });
+  }
+};
+
+/**
+ * Get reconciliation reports
+ */
+const getReconciliationReports = async (req, res, next) => {
+  try {
+    const result = await reconciliationService.getReports({
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 20
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to fetch reconciliation reports'
+    });
+  }
+};
+
+/**
+ * Get a reconciliation report by ID
+ */
+const getReconciliationReportById = async (req, res, next) => {
+  try {
+    const report = await reconciliationService.getReport(req.params.reportId);
+
+    res.json({
+      success: true,
+      data: { report }
+    });
+  } catch (error) {
+    res.status(404).json({
+      success: false,
+      message: error.message || 'Reconciliation report not found'
+    });
+  }
+};
+
+/**
+ * Start a reconciliation run
+ * Runs in the background; the report is returned as soon as it has started.
+ */
+const runReconciliation = async (req, res, next) => {
+  try {
+    const { freeze = false } = req.body || {};
+    const report = await reconciliationService.startReconciliation({
+      trigger: ReconciliationReport.RECONCILIATION_TRIGGERS.MANUAL,
+      performedBy: req.userId,
+      freeze
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation started',
+      data: { report }
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message || 'Failed to start reconciliation'
+    });
+  }
+};
+
 module.exports = {
   handleValidationErrors,
   getMyWallet,
@@ -252,6 +390,12 @@ module.exports = {
   getTransactions,
   lockWallet,
   unlockWallet,
-  getWalletStats
+  getWalletStats,
+  getUserLedger,
+  verifyLedger,
+  getReconciliationReport,
+  getReconciliationReports,
+  getReconciliationReportById,
+  runReconciliation
 };
 
@@ -5,6 +5,7 @@ const walletValidation = require('./wallet.validation');
 const { authenticate } = require('../../middlewares/auth.middleware');
 const { requireMinRole } = require('../../middlewares/authorize.middleware');
 const { canManageWallet } = require('../../middlewares/wallet.middleware');
+const { idempotent } = require('../../middlewares/idempotency.middleware');
 const { ROLES } = require('../../models/User');
 const { apiLimiter } = require('../../middlewares/security.middleware');
 
@@ -28,6 +29,7 @@ router.get('/me/stats', walletController.getWalletStats);
 router.post('/transfer',
   walletValidation.validateTransferAmount,
   walletController.handleValidationErrors,
+  idempotent,
   walletController.transferAmount
 );
 
@@ -40,6 +42,7 @@ router.post('/add',
   walletController.handleValidationErrors,
   requireMinRole(ROLES.SUPER_ADMIN),
   canManageWallet,
+  idempotent,
   walletController.addAmount
 );
 
@@ -48,6 +51,7 @@ router.post('/deduct',
   walletValidation.validateDeductAmount,
   walletController.handleValidationErrors,
   canManageWallet,
+  idempotent,
   walletController.deductAmount
 );
 
@@ -67,6 +71,39 @@ router.post('/unlock',
   walletController.unlockWallet
 );
 
+// Verify that the ledger balances - ONLY Super Admin
+router.get('/ledger/verify',
+  requireMinRole(ROLES.SUPER_ADMIN),
+  walletController.verifyLedger
+);
+
+// Reconciliation of wallets against their transactions - ONLY Super Admin
+router.get('/reconciliation',
+  requireMinRole(ROLES.SUPER_ADMIN),
+  walletController.getReconciliationReport
+);
+
+router.post('/reconciliation',
+  requireMinRole(ROLES.SUPER_ADMIN),
+  walletValidation.validateRunReconciliation,
+  walletController.handleValidationErrors,
+  walletController.runReconciliation
+);
+
+router.get('/reconciliation/reports',
+  requireMinRole(ROLES.SUPER_ADMIN),
+  walletValidation.validateGetReconciliationReports,
+  walletController.handleValidationErrors,
+  walletController.getReconciliationReports
+);
+
+router.get('/reconciliation/reports/:reportId',
+  requireMinRole(ROLES.SUPER_ADMIN),
+  walletValidation.validateReportIdParam,
+  walletController.handleValidationErrors,
+  walletController.getReconciliationReportById
+);
+
 // Get wallet for specific user
 router.get('/:userId',
   walletValidation.validateUserIdParam,
@@ -92,5 +129,14 @@ router.get('/:userId/stats',
   walletController.getWalletStats
 );
 
+// Get ledger for specific user
+router.get('/:userId/ledger',
+  walletValidation.validateUserIdParam,
+  walletValidation.validateGetLedger,
+  walletController.handleValidationErrors,
+  canManageWallet,
+  walletController.getUserLedger
+);
+
 module.exports = router;
 
@@ -2,6 +2,116 @@ const Wallet = require('../../models/Wallet');
 const WalletTransaction = require('../../models/WalletTransaction');
 const { User, ROLE_HIERARCHY } = require('../../models/User');
 const mongoose = require('mongoose');
+const { notifyWalletUpdate } = require('../../services/userNotification.service');
+const { ACCOUNTS, postTransfer } = require('./ledger.service');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Get the reference ID for a transaction from the request's Idempotency-Key, if it has one
+ */
+const getClientReferenceId = (req) => {
+  return req && req.idempotencyKey
+    ? WalletTransaction.getClientReferenceId(req.userId, req.idempotencyKey)
+    : undefined;
+};
+
+/**
+ * Run work in a transaction
+ * The work is retried when it conflicts with a concurrent change to the same wallets.
+ */
+const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+
+  try {
+    return await session.withTransaction(() => work(session));
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * Change a wallet's balance, exposure and withdrawal hold with one conditional atomic update
+ * The update only matches if the wallet can still take the change, so two
+ * concurrent requests can never both spend the same funds:
+ * - decreases must be covered by the available balance, or by the balance with `coverFrom: 'balance'`
+ * - with `requireAvailable`, the wallet must be active and unlocked
+ * Balances are rounded to 2 decimals; exposure and withdrawal hold never drop below 0.
+ * Throws if the wallet does not qualify. Must be called inside a MongoDB transaction session.
+ */
+const changeWalletBalance = async (walletId, { balance = 0, exposure = 0, withdrawalHold = 0 }, options = {}) => {
+  const {
+    session,
+    requireAvailable = false,
+    coverFrom = 'available',
+    insufficientMessage = 'Insufficient wallet balance',
+    label = 'Wallet'
+  } = options;
+
+  const currentBalance = { $ifNull: ['$balance', 0] };
+  const currentExposure = { $ifNull: ['$exposure', 0] };
+  const currentWithdrawalHold = { $ifNull: ['$withdrawalHold', 0] };
+
+  const filter = { _id: walletId };
+  if (requireAvailable) {
+    filter.isActive = true;
+    filter.isLocked = false;
+  }
+
+  const required = round(coverFrom === 'balance' ? -balance : exposure + withdrawalHold - balance);
+  if (required > 0) {
+    const covering = coverFrom === 'balance'
+      ? currentBalance
+      : { $subtract: [currentBalance, { $add: [currentExposure, currentWithdrawalHold] }] };
+    filter.$expr = { $gte: [{ $round: [covering, 2] }, required] };
+  }
+
+  const now = new Date();
+  const previous = await Wallet.findOneAndUpdate(filter, [{
+    $set: {
+      balance: { $round: [{ $add: [currentBalance, balance] }, 2] },
+      exposure: { $max: [0, { $round: [{ $add: [currentExposure, exposure] }, 2] }] },
+      withdrawalHold: { $max: [0, { $round: [{ $add: [currentWithdrawalHold, withdrawalHold] }, 2] }] },
+      lastTransactionAt: now
+    }
+  }], { session, returnDocument: 'before', updatePipeline: true });
+
+  if (!previous) {
+    const wallet = await Wallet.findById(walletId).session(session);
+    if (!wallet) {
+      throw new Error(`${label} not found`);
+    }
+    if (requireAvailable && !wallet.isAvailable()) {
+      throw new Error(`${label} is ${wallet.isLocked ? 'locked' : 'inactive'}. ${wallet.lockedReason || ''}`);
+    }
+    throw new Error(insufficientMessage);
+  }
+
+  const balanceBefore = previous.balance;
+  const exposureBefore = previous.exposure || 0;
+  const balanceAfter = round(balanceBefore + balance);
+  const exposureAfter = Math.max(0, round(exposureBefore + exposure));
+  const withdrawalHoldBefore = previous.withdrawalHold || 0;
+  const withdrawalHoldAfter = Math.max(0, round(withdrawalHoldBefore + withdrawalHold));
+
+  // The returned document holds the values from before the update
+  previous.set({
+    balance: balanceAfter,
+    exposure: exposureAfter,
+    withdrawalHold: withdrawalHoldAfter,
+    lastTransactionAt: now
+  });
+
+  return {
+    wallet: previous,
+    balanceBefore,
+    balanceAfter,
+    exposureBefore,
+    exposureAfter,
+    withdrawalHoldBefore,
+    withdrawalHoldAfter
+  };
+};
 
 /**
  * Get wallet for a user
@@ -28,6 +138,9 @@ const getBalance = async (userId) => {
   
   return {
     balance: wallet.balance,
+    exposure: wallet.exposure,
+    withdrawalHold: wallet.withdrawalHold,
+    availableBalance: wallet.availableBalance,
     currency: wallet.currency,
     isActive: wallet.isActive,
     isLocked: wallet.isLocked
@@ -74,18 +187,13 @@ const addAmount = async (targetUserId, amount, performedBy, description, req = n
     throw new Error(`Wallet is ${wallet.isLocked ? 'locked' : 'inactive'}. ${wallet.lockedReason || ''}`);
   }
 
-  // Start transaction
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const balanceBefore = wallet.balance;
-    const balanceAfter = balanceBefore + amount;
-
-    // Update wallet balance
-    wallet.balance = balanceAfter;
-    wallet.lastTransactionAt = new Date();
-    await wallet.save({ session });
+  const result = await runInTransaction(async (session) => {
+    // Credit the wallet atomically (fails if it was locked in the meantime)
+    const { wallet: updatedWallet, balanceBefore, balanceAfter } = await changeWalletBalance(
+      wallet._id,
+      { balance: amount },
+      { session, requireAvailable: true }
+    );
 
     // Create transaction record
     const transaction = await WalletTransaction.create([{
@@ -98,6 +206,7 @@ const addAmount = async (targetUserId, amount, performedBy, description, req = n
       currency: wallet.currency,
       status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
       description: description || `Amount added by ${performer.username}`,
+      referenceId: getClientReferenceId(req),
       performedBy: performedBy,
       ipAddress: req ? req.ip : null,
       userAgent: req ? req.get('user-agent') : null,
@@ -107,20 +216,25 @@ const addAmount = async (targetUserId, amount, performedBy, description, req = n
       }
     }], { session });
 
-    await session.commitTransaction();
-    session.endSession();
+    // Money added by an admin comes from the system mint
+    await postTransfer(ACCOUNTS.systemMint(), ACCOUNTS.userWallet(targetUserId), amount, {
+      currency: wallet.currency,
+      description: transaction[0].description,
+      performedBy,
+      walletTransaction: transaction[0]._id
+    }, { session });
 
-    return {
-      wallet: wallet.toJSON(),
-      transaction: transaction[0].toJSON(),
-      balanceBefore,
-      balanceAfter
-    };
-  } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    throw error;
-  }
+    return { wallet: updatedWallet, transaction: transaction[0], balanceBefore, balanceAfter };
+  });
+
+  notifyWalletUpdate(result.wallet);
+
+  return {
+    wallet: result.wallet.toJSON(),
+    transaction: result.transaction.toJSON(),
+    balanceBefore: result.balanceBefore,
+    balanceAfter: result.balanceAfter
+  };
 };
 
 /**
@@ -174,23 +288,18 @@ const deductAmount = async (targetUserId, amount, performedBy, description, req
     throw new Error(`Wallet is ${wallet.isLocked ? 'locked' : 'inactive'}. ${wallet.lockedReason || ''}`);
   }
 
-  // Check if sufficient balance
-  if (wallet.balance < amount) {
+  // Check if sufficient balance (exposure held for open bets cannot be deducted)
+  if (wallet.availableBalance < amount) {
     throw new Error('Insufficient wallet balance');
   }
 
-  // Start transaction
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const balanceBefore = wallet.balance;
-    const balanceAfter = balanceBefore - amount;
-
-    // Update wallet balance
-    wallet.balance = balanceAfter;
-    wallet.lastTransactionAt = new Date();
-    await wallet.save({ session });
+  const result = await runInTransaction(async (session) => {
+    // Debit the wallet atomically, only while its available balance still covers the amount
+    const { wallet: updatedWallet, balanceBefore, balanceAfter } = await changeWalletBalance(
+      wallet._id,
+      { balance: -amount },
+      { session, requireAvailable: true }
+    );
 
     // Create transaction record
     const transaction = await WalletTransaction.create([{
@@ -203,6 +312,7 @@ const deductAmount = async (targetUserId, amount, performedBy, description, req
       currency: wallet.currency,
       status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
       description: description || `Amount deducted by ${performer.username}`,
+      referenceId: getClientReferenceId(req),
       performedBy: performedBy,
       ipAddress: req ? req.ip : null,
       userAgent: req ? req.get('user-agent') : null,
@@ -212,20 +322,117 @@ const deductAmount = async (targetUserId, amount, performedBy, description, req
       }
     }], { session });
 
-    await session.commitTransaction();
-    session.endSession();
+    // Money deducted by an admin goes back to the system mint
+    await postTransfer(ACCOUNTS.userWallet(targetUserId), ACCOUNTS.systemMint(), amount, {
+      currency: wallet.currency,
+      description: transaction[0].description,
+      performedBy,
+      walletTransaction: transaction[0]._id
+    }, { session });
 
-    return {
-      wallet: wallet.toJSON(),
-      transaction: transaction[0].toJSON(),
-      balanceBefore,
-      balanceAfter
-    };
-  } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    throw error;
-  }
+    return { wallet: updatedWallet, transaction: transaction[0], balanceBefore, balanceAfter };
+  });
+
+  notifyWalletUpdate(result.wallet);
+
+  return {
+    wallet: result.wallet.toJSON(),
+    transaction: result.transaction.toJSON(),
+    balanceBefore: result.balanceBefore,
+    balanceAfter: result.balanceAfter
+  };
+};
+
+/**
+ * Move an amount from one wallet to another
+ * Debits the sender, credits the receiver, records both transactions and posts
+ * the ledger transfer. Permissions are the caller's job. Must be called inside
+ * a MongoDB transaction session.
+ */
+const executeTransfer = async (fromWallet, toWallet, amount, performedBy, options = {}) => {
+  const { session, req = null, referenceId, debit = {}, credit = {} } = options;
+
+  // Debit the sender atomically, only while its available balance still covers the amount
+  const {
+    wallet: updatedFromWallet,
+    balanceBefore: fromBalanceBefore,
+    balanceAfter: fromBalanceAfter
+  } = await changeWalletBalance(fromWallet._id, { balance: -amount }, {
+    session,
+    requireAvailable: true,
+    insufficientMessage: 'Insufficient balance in sender wallet',
+    label: 'Sender wallet'
+  });
+
+  // Credit the receiver atomically
+  const {
+    wallet: updatedToWallet,
+    balanceBefore: toBalanceBefore,
+    balanceAfter: toBalanceAfter
+  } = await changeWalletBalance(toWallet._id, { balance: amount }, {
+    session,
+    requireAvailable: true,
+    label: 'Receiver wallet'
+  });
+
+  // Create debit transaction for sender
+  const debitTransaction = await WalletTransaction.create([{
+    wallet: fromWallet._id,
+    user: fromWallet.user,
+    transactionType: WalletTransaction.TRANSACTION_TYPES.DEBIT,
+    amount: amount,
+    balanceBefore: fromBalanceBefore,
+    balanceAfter: fromBalanceAfter,
+    currency: fromWallet.currency,
+    status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+    description: debit.description,
+    referenceId,
+    performedBy: performedBy,
+    ipAddress: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') : null,
+    metadata: debit.metadata || {}
+  }], { session });
+
+  // Create credit transaction for receiver
+  const creditTransaction = await WalletTransaction.create([{
+    wallet: toWallet._id,
+    user: toWallet.user,
+    transactionType: WalletTransaction.TRANSACTION_TYPES.CREDIT,
+    amount: amount,
+    balanceBefore: toBalanceBefore,
+    balanceAfter: toBalanceAfter,
+    currency: toWallet.currency,
+    status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+    description: credit.description,
+    performedBy: performedBy,
+    relatedTransaction: debitTransaction[0]._id,
+    ipAddress: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') : null,
+    metadata: credit.metadata || {}
+  }], { session });
+
+  // Link transactions
+  debitTransaction[0].relatedTransaction = creditTransaction[0]._id;
+  await debitTransaction[0].save({ session });
+
+  await postTransfer(ACCOUNTS.userWallet(fromWallet.user), ACCOUNTS.userWallet(toWallet.user), amount, {
+    currency: fromWallet.currency,
+    description: debitTransaction[0].description,
+    performedBy,
+    walletTransaction: debitTransaction[0]._id,
+    metadata: { creditTransaction: creditTransaction[0]._id.toString() }
+  }, { session });
+
+  return {
+    fromWallet: updatedFromWallet,
+    toWallet: updatedToWallet,
+    debitTransaction: debitTransaction[0],
+    creditTransaction: creditTransaction[0],
+    fromBalanceBefore,
+    fromBalanceAfter,
+    toBalanceBefore,
+    toBalanceAfter
+  };
 };
 
 /**
@@ -329,97 +536,307 @@ const transferAmount = async (fromUserId, toUserId, amount, performedBy, descrip
     throw new Error(`Currency mismatch. Cannot transfer from ${fromWallet.currency} to ${toWallet.currency}`);
   }
 
-  // Check if sufficient balance in sender wallet
-  if (fromWallet.balance < amount) {
+  // Check if sufficient balance in sender wallet (exposure held for open bets cannot be transferred)
+  if (fromWallet.availableBalance < amount) {
     throw new Error('Insufficient balance in sender wallet');
   }
 
-  // Start transaction
-  const session = await mongoose.startSession();
-  session.startTransaction();
-
-  try {
-    const fromBalanceBefore = fromWallet.balance;
-    const fromBalanceAfter = fromBalanceBefore - amount;
-
-    const toBalanceBefore = toWallet.balance;
-    const toBalanceAfter = toBalanceBefore + amount;
-
-    // Update sender wallet balance
-    fromWallet.balance = fromBalanceAfter;
-    fromWallet.lastTransactionAt = new Date();
-    await fromWallet.save({ session });
-
-    // Update receiver wallet balance
-    toWallet.balance = toBalanceAfter;
-    toWallet.lastTransactionAt = new Date();
-    await toWallet.save({ session });
-
-    // Create debit transaction for sender
-    const debitTransaction = await WalletTransaction.create([{
-      wallet: fromWallet._id,
-      user: fromUserId,
-      transactionType: WalletTransaction.TRANSACTION_TYPES.DEBIT,
-      amount: amount,
-      balanceBefore: fromBalanceBefore,
-      balanceAfter: fromBalanceAfter,
-      currency: fromWallet.currency,
-      status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+  const result = await runInTransaction((session) => executeTransfer(fromWallet, toWallet, amount, performedBy, {
+    session,
+    req,
+    referenceId: getClientReferenceId(req),
+    debit: {
       description: description || `Transfer to ${toUser.username}`,
-      performedBy: performedBy,
-      ipAddress: req ? req.ip : null,
-      userAgent: req ? req.get('user-agent') : null,
       metadata: {
         transferType: 'outgoing',
         toUser: toUser.username,
         toUserId: toUserId.toString()
       }
-    }], { session });
-
-    // Create credit transaction for receiver
-    const creditTransaction = await WalletTransaction.create([{
-      wallet: toWallet._id,
-      user: toUserId,
-      transactionType: WalletTransaction.TRANSACTION_TYPES.CREDIT,
-      amount: amount,
-      balanceBefore: toBalanceBefore,
-      balanceAfter: toBalanceAfter,
-      currency: toWallet.currency,
-      status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+    },
+    credit: {
       description: description || `Transfer from ${fromUser.username}`,
-      performedBy: performedBy,
-      relatedTransaction: debitTransaction[0]._id,
-      ipAddress: req ? req.ip : null,
-      userAgent: req ? req.get('user-agent') : null,
       metadata: {
         transferType: 'incoming',
         fromUser: fromUser.username,
         fromUserId: fromUserId.toString()
       }
-    }], { session });
+    }
+  }));
 
-    // Link transactions
-    debitTransaction[0].relatedTransaction = creditTransaction[0]._id;
-    await debitTransaction[0].save({ session });
+  notifyWalletUpdate(result.fromWallet);
+  notifyWalletUpdate(result.toWallet);
 
-    await session.commitTransaction();
-    session.endSession();
+  return {
+    fromWallet: result.fromWallet.toJSON(),
+    toWallet: result.toWallet.toJSON(),
+    debitTransaction: result.debitTransaction.toJSON(),
+    creditTransaction: result.creditTransaction.toJSON(),
+    fromBalanceBefore: result.fromBalanceBefore,
+    fromBalanceAfter: result.fromBalanceAfter,
+    toBalanceBefore: result.toBalanceBefore,
+    toBalanceAfter: result.toBalanceAfter
+  };
+};
 
-    return {
-      fromWallet: fromWallet.toJSON(),
-      toWallet: toWallet.toJSON(),
-      debitTransaction: debitTransaction[0].toJSON(),
-      creditTransaction: creditTransaction[0].toJSON(),
-      fromBalanceBefore,
-      fromBalanceAfter,
-      toBalanceBefore,
-      toBalanceAfter
-    };
-  } catch (error) {
-    await session.abortTransaction();
-    session.endSession();
-    throw error;
+/**
+ * Move an amount into wallet exposure (hold liability for an open bet)
+ * Balance is unchanged; the held amount is no longer available to spend.
+ * Must be called inside a MongoDB transaction session.
+ */
+const holdExposure = async (wallet, amount, performedBy, description, options = {}) => {
+  const { session, req = null, metadata = {} } = options;
+
+  if (!amount || amount <= 0) {
+    throw new Error('Exposure amount must be greater than 0');
+  }
+
+  // Hold atomically, only while the available balance still covers the amount
+  const { balanceBefore, balanceAfter, exposureBefore, exposureAfter } = await changeWalletBalance(
+    wallet._id,
+    { exposure: amount },
+    { session }
+  );
+  wallet.set({ balance: balanceAfter, exposure: exposureAfter, lastTransactionAt: new Date() });
+
+  const transaction = await WalletTransaction.create([{
+    wallet: wallet._id,
+    user: wallet.user,
+    transactionType: WalletTransaction.TRANSACTION_TYPES.BET_HOLD,
+    amount: amount,
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+    exposureBefore: exposureBefore,
+    exposureAfter: exposureAfter,
+    currency: wallet.currency,
+    status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+    description: description || 'Exposure held for bet',
+    performedBy: performedBy,
+    ipAddress: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') : null,
+    metadata
+  }], { session });
+
+  await postTransfer(ACCOUNTS.userWallet(wallet.user), ACCOUNTS.userExposure(wallet.user), amount, {
+    currency: wallet.currency,
+    description: transaction[0].description,
+    performedBy,
+    walletTransaction: transaction[0]._id,
+    metadata
+  }, { session });
+
+  return transaction[0];
+};
+
+/**
+ * Release an amount from wallet exposure (bet cancelled or settled)
+ * Voided bets pass transactionType REFUND so the release shows as a refund.
+ * Must be called inside a MongoDB transaction session.
+ */
+const releaseExposure = async (wallet, amount, performedBy, description, options = {}) => {
+  const {
+    session,
+    req = null,
+    metadata = {},
+    transactionType = WalletTransaction.TRANSACTION_TYPES.BET_RELEASE
+  } = options;
+
+  if (!amount || amount <= 0) {
+    throw new Error('Exposure amount must be greater than 0');
   }
+
+  // Never releases more than is held (guards against rounding drift)
+  const { balanceBefore, balanceAfter, exposureBefore, exposureAfter } = await changeWalletBalance(
+    wallet._id,
+    { exposure: -amount },
+    { session }
+  );
+  wallet.set({ balance: balanceAfter, exposure: exposureAfter, lastTransactionAt: new Date() });
+
+  const transaction = await WalletTransaction.create([{
+    wallet: wallet._id,
+    user: wallet.user,
+    transactionType,
+    amount: round(exposureBefore - exposureAfter),
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+    exposureBefore: exposureBefore,
+    exposureAfter: exposureAfter,
+    currency: wallet.currency,
+    status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+    description: description || 'Exposure released for bet',
+    performedBy: performedBy,
+    ipAddress: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') : null,
+    metadata
+  }], { session });
+
+  if (exposureBefore > exposureAfter) {
+    await postTransfer(ACCOUNTS.userExposure(wallet.user), ACCOUNTS.userWallet(wallet.user), round(exposureBefore - exposureAfter), {
+      currency: wallet.currency,
+      description: transaction[0].description,
+      performedBy,
+      walletTransaction: transaction[0]._id,
+      metadata
+    }, { session });
+  }
+
+  return transaction[0];
+};
+
+/**
+ * Apply the profit or loss of a settled bet to the wallet balance
+ * Positive amounts are credited, negative amounts debited. A credit can be
+ * recorded as another type (e.g. REFUND for a voided losing bet).
+ * Must be called inside a MongoDB transaction session.
+ */
+const applyBetProfitLoss = async (wallet, profitLoss, performedBy, description, options = {}) => {
+  const {
+    session,
+    req = null,
+    metadata = {},
+    creditType = WalletTransaction.TRANSACTION_TYPES.CREDIT
+  } = options;
+
+  if (!profitLoss) {
+    return null;
+  }
+
+  // Losses are covered by the balance (including exposure), checked atomically
+  const { balanceBefore, balanceAfter, exposureAfter } = await changeWalletBalance(
+    wallet._id,
+    { balance: profitLoss },
+    { session, coverFrom: 'balance', insufficientMessage: 'Insufficient wallet balance to settle bet' }
+  );
+  wallet.set({ balance: balanceAfter, exposure: exposureAfter, lastTransactionAt: new Date() });
+
+  const transaction = await WalletTransaction.create([{
+    wallet: wallet._id,
+    user: wallet.user,
+    transactionType: profitLoss > 0
+      ? creditType
+      : WalletTransaction.TRANSACTION_TYPES.DEBIT,
+    amount: Math.abs(profitLoss),
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+    currency: wallet.currency,
+    status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+    description: description,
+    performedBy: performedBy,
+    ipAddress: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') : null,
+    metadata
+  }], { session });
+
+  // Winnings are paid by the house; losses are collected by it
+  const [from, to] = profitLoss > 0
+    ? [ACCOUNTS.house(), ACCOUNTS.userWallet(wallet.user)]
+    : [ACCOUNTS.userWallet(wallet.user), ACCOUNTS.house()];
+  await postTransfer(from, to, Math.abs(profitLoss), {
+    currency: wallet.currency,
+    description,
+    performedBy,
+    walletTransaction: transaction[0]._id,
+    metadata
+  }, { session });
+
+  return transaction[0];
+};
+
+/**
+ * Hold an amount of the balance for a pending withdrawal request
+ * Balance is unchanged; the held amount is no longer available to spend.
+ * Must be called inside a MongoDB transaction session.
+ */
+const holdWithdrawal = async (wallet, amount, performedBy, description, options = {}) => {
+  const { session, req = null, metadata = {} } = options;
+
+  if (!amount || amount <= 0) {
+    throw new Error('Withdrawal amount must be greater than 0');
+  }
+
+  // Hold atomically, only while the available balance still covers the amount
+  const { balanceBefore, balanceAfter, withdrawalHoldAfter } = await changeWalletBalance(
+    wallet._id,
+    { withdrawalHold: amount },
+    { session, requireAvailable: true }
+  );
+  wallet.set({ balance: balanceAfter, withdrawalHold: withdrawalHoldAfter, lastTransactionAt: new Date() });
+
+  const transaction = await WalletTransaction.create([{
+    wallet: wallet._id,
+    user: wallet.user,
+    transactionType: WalletTransaction.TRANSACTION_TYPES.WITHDRAWAL_HOLD,
+    amount: amount,
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+    currency: wallet.currency,
+    status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+    description: description || 'Amount held for withdrawal request',
+    performedBy: performedBy,
+    ipAddress: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') : null,
+    metadata
+  }], { session });
+
+  await postTransfer(ACCOUNTS.userWallet(wallet.user), ACCOUNTS.userWithdrawalHold(wallet.user), amount, {
+    currency: wallet.currency,
+    description: transaction[0].description,
+    performedBy,
+    walletTransaction: transaction[0]._id,
+    metadata
+  }, { session });
+
+  return transaction[0];
+};
+
+/**
+ * Release an amount held for a withdrawal request (approved, rejected or cancelled)
+ * Must be called inside a MongoDB transaction session.
+ */
+const releaseWithdrawal = async (wallet, amount, performedBy, description, options = {}) => {
+  const { session, req = null, metadata = {} } = options;
+
+  if (!amount || amount <= 0) {
+    throw new Error('Withdrawal amount must be greater than 0');
+  }
+
+  // Never releases more than is held (guards against rounding drift)
+  const { balanceBefore, balanceAfter, withdrawalHoldBefore, withdrawalHoldAfter } = await changeWalletBalance(
+    wallet._id,
+    { withdrawalHold: -amount },
+    { session }
+  );
+  wallet.set({ balance: balanceAfter, withdrawalHold: withdrawalHoldAfter, lastTransactionAt: new Date() });
+
+  const released = round(withdrawalHoldBefore - withdrawalHoldAfter);
+
+  const transaction = await WalletTransaction.create([{
+    wallet: wallet._id,
+    user: wallet.user,
+    transactionType: WalletTransaction.TRANSACTION_TYPES.WITHDRAWAL_RELEASE,
+    amount: released,
+    balanceBefore: balanceBefore,
+    balanceAfter: balanceAfter,
+    currency: wallet.currency,
+    status: WalletTransaction.TRANSACTION_STATUS.COMPLETED,
+    description: description || 'Amount released from withdrawal request',
+    performedBy: performedBy,
+    ipAddress: req ? req.ip : null,
+    userAgent: req ? req.get('user-agent') : null,
+    metadata
+  }], { session });
+
+  if (released > 0) {
+    await postTransfer(ACCOUNTS.userWithdrawalHold(wallet.user), ACCOUNTS.userWallet(wallet.user), released, {
+      currency: wallet.currency,
+      description: transaction[0].description,
+      performedBy,
+      walletTransaction: transaction[0]._id,
+      metadata
+    }, { session });
+  }
+
+  return transaction[0];
 };
 
 /**
@@ -487,6 +904,7 @@ const lockWallet = async (userId, performedBy, reason) => {
   }
 
   await wallet.lock(reason);
+  notifyWalletUpdate(wallet);
   return wallet;
 };
 
@@ -500,6 +918,7 @@ const unlockWallet = async (userId, performedBy) => {
   }
 
   await wallet.unlock();
+  notifyWalletUpdate(wallet);
   return wallet;
 };
 
@@ -576,6 +995,13 @@ module.exports = {
   addAmount,
   deductAmount,
   transferAmount,
+  runInTransaction,
+  executeTransfer,
+  holdExposure,
+  releaseExposure,
+  holdWithdrawal,
+  releaseWithdrawal,
+  applyBetProfitLoss,
   getTransactions,
   lockWallet,
   unlockWallet,
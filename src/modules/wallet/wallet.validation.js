@@ -1,4 +1,5 @@
 const { body, param, query } = require('express-validator');
+const LedgerEntry = require('../../models/LedgerEntry');
 
 /**
  * Validation for adding amount to wallet
@@ -56,7 +57,7 @@ const validateGetTransactions = [
     .withMessage('Limit must be between 1 and 100'),
   query('transactionType')
     .optional()
-    .isIn(['credit', 'debit', 'transfer', 'refund', 'commission', 'adjustment'])
+    .isIn(['credit', 'debit', 'transfer', 'refund', 'commission', 'adjustment', 'bet_hold', 'bet_release', 'withdrawal_hold', 'withdrawal_release'])
     .withMessage('Invalid transaction type'),
   query('status')
     .optional()
@@ -72,6 +73,58 @@ const validateGetTransactions = [
     .withMessage('End date must be a valid ISO 8601 date')
 ];
 
+/**
+ * Validation for getting ledger entries
+ */
+const validateGetLedger = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('accountType')
+    .optional()
+    .isIn(LedgerEntry.USER_ACCOUNT_TYPES)
+    .withMessage('Invalid account type')
+];
+
+/**
+ * Validation for starting a reconciliation run
+ */
+const validateRunReconciliation = [
+  body('freeze')
+    .optional()
+    .isBoolean()
+    .withMessage('Freeze must be a boolean')
+    .toBoolean()
+];
+
+/**
+ * Validation for getting reconciliation reports
+ */
+const validateGetReconciliationReports = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Validation for reconciliation report ID parameter
+ */
+const validateReportIdParam = [
+  param('reportId')
+    .isMongoId()
+    .withMessage('Invalid report ID format')
+];
+
 /**
  * Validation for locking/unlocking wallet
  */
@@ -138,6 +191,10 @@ module.exports = {
   validateDeductAmount,
   validateTransferAmount,
   validateGetTransactions,
+  validateGetLedger,
+  validateRunReconciliation,
+  validateGetReconciliationReports,
+  validateReportIdParam,
   validateLockWallet,
   validateUnlockWallet,
   validateUserIdParam
@@ -5,6 +5,10 @@ const router = express.Router();
 const authRoutes = require('../modules/auth/auth.routes');
 const userRoutes = require('../modules/user/user.routes');
 const walletRoutes = require('../modules/wallet/wallet.routes');
+const fundRequestRoutes = require('../modules/fundRequest/fundRequest.routes');
+const betRoutes = require('../modules/bet/bet.routes');
+const eventRoutes = require('../modules/event/event.routes');
+const sportRoutes = require('../modules/sport/sport.routes');
 
 // Health check route
 router.get('/health', (req, res) => {
@@ -15,6 +19,10 @@ router.get('/health', (req, res) => {
 router.use('/auth', authRoutes);
 router.use('/user', userRoutes);
 router.use('/wallet', walletRoutes);
+router.use('/fund-requests', fundRequestRoutes);
+router.use('/bet', betRoutes);
+router.use('/events', eventRoutes);
+router.use('/sports', sportRoutes);
 
 module.exports = router;
 
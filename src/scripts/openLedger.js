@@ -0,0 +1,62 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Wallet = require('../models/Wallet');
+const LedgerEntry = require('../models/LedgerEntry');
+const { ACCOUNTS, postJournal } = require('../modules/wallet/ledger.service');
+
+/**
+ * Post opening balances for wallets that have no ledger entries yet
+ * The stored available balance, exposure and withdrawal hold are minted into the
+ * user's wallet, exposure and withdrawal hold accounts, so the derived balance starts
+ * equal to the stored one. Wallets already in the ledger are skipped, so it is safe to rerun.
+ */
+async function openLedger() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const openedUsers = new Set(
+      (await LedgerEntry.distinct('user', { user: { $ne: null } })).map(String)
+    );
+
+    let opened = 0;
+    let skipped = 0;
+
+    for await (const wallet of Wallet.find()) {
+      if (openedUsers.has(wallet.user.toString())) {
+        skipped++;
+        continue;
+      }
+
+      const available = wallet.availableBalance;
+      if (wallet.balance === 0) {
+        skipped++;
+        continue;
+      }
+
+      await postJournal({
+        lines: [
+          { ...ACCOUNTS.systemMint(), amount: -wallet.balance },
+          { ...ACCOUNTS.userWallet(wallet.user), amount: available },
+          { ...ACCOUNTS.userExposure(wallet.user), amount: wallet.exposure },
+          { ...ACCOUNTS.userWithdrawalHold(wallet.user), amount: wallet.withdrawalHold }
+        ],
+        currency: wallet.currency,
+        description: 'Opening balance',
+        metadata: { opening: true }
+      });
+      opened++;
+    }
+
+    console.log('Opened wallets:', opened);
+    console.log('Skipped wallets:', skipped);
+
+    console.log('Done!');
+    process.exit(0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+openLedger();
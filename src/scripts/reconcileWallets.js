@@ -0,0 +1,41 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const { runReconciliation } = require('../modules/wallet/reconciliation.service');
+
+/**
+ * Recompute every wallet from its transaction history and save a report
+ * Pass --freeze to lock wallets whose balance has drifted.
+ */
+async function reconcileWallets() {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('Connected to MongoDB');
+
+    const report = await runReconciliation({
+      trigger: ReconciliationReport.RECONCILIATION_TRIGGERS.COMMAND,
+      freeze: process.argv.includes('--freeze')
+    });
+
+    console.log('Report:', report._id.toString());
+    console.log('Wallets checked:', report.walletsChecked);
+    console.log('Transactions checked:', report.transactionsChecked);
+    console.log('Balance mismatches:', report.counts.balanceMismatches);
+    console.log('Broken chains:', report.counts.brokenChains);
+    console.log('Orphaned transactions:', report.counts.orphanedTransactions);
+    console.log('Frozen wallets:', report.frozenWallets.length);
+
+    if (report.error) {
+      console.error('Error:', report.error);
+      process.exit(1);
+    }
+
+    console.log('Done!');
+    process.exit(report.hasIssues ? 2 : 0);
+  } catch (error) {
+    console.error('Error:', error);
+    process.exit(1);
+  }
+}
+
+reconcileWallets();
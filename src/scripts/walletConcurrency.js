@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { User, ROLES } = require('../models/User');
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const walletService = require('../modules/wallet/wallet.service');
+const ledgerService = require('../modules/wallet/ledger.service');
+const { reconcileWallet } = require('../modules/wallet/reconciliation.service');
+
+const USER_COUNT = parseInt(process.env.CONCURRENCY_USERS) || 5;
+const TRANSFER_COUNT = parseInt(process.env.CONCURRENCY_TRANSFERS) || 200;
+const OPENING_BALANCE = 100;
+
+// Failures that are expected when funds run out
+const EXPECTED_ERRORS = ['Insufficient balance in sender wallet'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const randomInt = (min, max) => min + Math.floor(Math.random() * (max - min + 1));
+
+/**
+ * Create a user (wallets are created on the first credit)
+ */
+const createUser = (username, role) => {
+  return User.create({
+    username,
+    password: 'Concurrency@123',
+    commission: 0,
+    currency: 'INR',
+    exposureLimit: 9999999999,
+    role,
+    isActive: true
+  });
+};
+
+/**
+ * Fire transfers in parallel and count the outcomes
+ */
+const fireTransfers = async (transfers, performedBy) => {
+  const results = await Promise.allSettled(transfers.map(({ from, to, amount }) => (
+    walletService.transferAmount(from, to, amount, performedBy, 'Concurrency test transfer')
+  )));
+
+  const outcome = { succeeded: 0, rejected: 0, unexpected: [] };
+  results.forEach(result => {
+    if (result.status === 'fulfilled') {
+      outcome.succeeded++;
+    } else if (EXPECTED_ERRORS.includes(result.reason.message)) {
+      outcome.rejected++;
+    } else {
+      outcome.unexpected.push(result.reason.message);
+    }
+  });
+
+  return outcome;
+};
+
+/**
+ * Check that no money was created or lost, and that every wallet matches its history and the ledger
+ */
+const checkConservation = async (check, userIds, expectedTotal) => {
+  const wallets = await Wallet.find({ user: { $in: userIds } });
+  const total = round(wallets.reduce((sum, wallet) => sum + wallet.balance, 0));
+
+  check(total === expectedTotal, `Total balance is ${total}, expected ${expectedTotal}`);
+
+  for (const wallet of wallets) {
+    check(wallet.balance >= 0, `Wallet of ${wallet.user} has a negative balance: ${wallet.balance}`);
+
+    const transactions = await WalletTransaction.find({ wallet: wallet._id }).sort({ createdAt: 1, _id: 1 }).lean();
+    const { issues } = reconcileWallet(wallet.toObject({ getters: false, virtuals: false }), transactions);
+    issues.forEach(issue => check(false, `Wallet of ${wallet.user}: ${issue.message}`));
+
+    const { matches, stored, derived } = await ledgerService.getDerivedWalletBalance(wallet.user);
+    check(matches, `Wallet of ${wallet.user} differs from the ledger: stored ${stored.balance}, derived ${derived.balance}`);
+  }
+
+  const { balanced } = await ledgerService.verifyLedger();
+  check(balanced, 'Ledger does not balance');
+
+  return total;
+};
+
+/**
+ * Fire parallel transfers between new wallets and check conservation of money
+ * Needs a connection to a replica set. Returns the failed checks, empty when every check passes.
+ */
+const runWalletConcurrency = async ({ userCount = USER_COUNT, transferCount = TRANSFER_COUNT } = {}) => {
+  const failures = [];
+  const check = (condition, message) => {
+    if (!condition) {
+      failures.push(message);
+      console.error(`❌ ${message}`);
+    }
+  };
+
+  // Collections cannot be created implicitly by concurrent transactions
+  await Promise.all([User, Wallet, WalletTransaction, LedgerEntry].map(model => model.createCollection()));
+  await Promise.all([User, Wallet, WalletTransaction, LedgerEntry].map(model => model.init()));
+
+  const superAdmin = await createUser('concurrency_admin', ROLES.SUPER_ADMIN);
+  const users = [];
+  for (let i = 0; i < userCount; i++) {
+    users.push(await createUser(`concurrency_user_${i}`, ROLES.USER));
+  }
+  const userIds = users.map(user => user._id);
+
+  for (const user of users) {
+    await walletService.addAmount(user._id, OPENING_BALANCE, superAdmin._id, 'Opening balance');
+  }
+  const expectedTotal = round(OPENING_BALANCE * userCount);
+
+  // Random transfers between random wallets, large enough that some run out of funds
+  const transfers = Array.from({ length: transferCount }, () => {
+    const from = randomInt(0, userCount - 1);
+    const to = (from + randomInt(1, userCount - 1)) % userCount;
+    return { from: userIds[from], to: userIds[to], amount: randomInt(1, 6000) / 100 };
+  });
+
+  console.log(`Firing ${transferCount} parallel transfers between ${userCount} wallets`);
+  const random = await fireTransfers(transfers, superAdmin._id);
+  console.log(`Succeeded: ${random.succeeded}, rejected for funds: ${random.rejected}`);
+  check(random.unexpected.length === 0, `Unexpected errors: ${[...new Set(random.unexpected)].join('; ')}`);
+  await checkConservation(check, userIds, expectedTotal);
+
+  // Double spend: every wallet sends its whole available balance twice at once
+  const wallets = await Wallet.find({ user: { $in: userIds } });
+  const doubleSpends = wallets
+    .filter(wallet => wallet.availableBalance > 0)
+    .flatMap(wallet => {
+      const index = userIds.findIndex(userId => userId.equals(wallet.user));
+      const to = userIds[(index + 1) % userCount];
+      return [0, 1].map(() => ({ from: wallet.user, to, amount: wallet.availableBalance }));
+    });
+
+  console.log(`Firing ${doubleSpends.length} double-spend transfers`);
+  const doubleSpend = await fireTransfers(doubleSpends, superAdmin._id);
+  console.log(`Succeeded: ${doubleSpend.succeeded}, rejected for funds: ${doubleSpend.rejected}`);
+  check(doubleSpend.unexpected.length === 0, `Unexpected errors: ${[...new Set(doubleSpend.unexpected)].join('; ')}`);
+  check(doubleSpend.succeeded <= doubleSpends.length / 2, 'A wallet spent its balance twice');
+  const total = await checkConservation(check, userIds, expectedTotal);
+
+  console.log(`Total balance: ${total} (expected ${expectedTotal})`);
+
+  return failures;
+};
+
+/**
+ * Run the concurrency checks against an in-memory replica set
+ * Exits with 0 when every check passes, 1 otherwise.
+ */
+async function walletConcurrency() {
+  let replSet;
+
+  try {
+    // Transactions need a replica set
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri());
+    console.log('Connected to in-memory replica set');
+
+    const failures = await runWalletConcurrency();
+
+    if (failures.length > 0) {
+      console.error(`❌ ${failures.length} check(s) failed`);
+      process.exitCode = 1;
+    } else {
+      console.log('✅ Money was conserved');
+    }
+  } catch (error) {
+    console.error('Error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    if (replSet) {
+      await replSet.stop();
+    }
+  }
+}
+
+// Run directly with `npm run test:concurrency`; `npm test` runs the checks through tests/
+if (require.main === module) {
+  walletConcurrency();
+}
+
+module.exports = {
+  runWalletConcurrency
+};
@@ -3,6 +3,11 @@ const http = require('http');
 const { Server } = require('socket.io');
 const connectDB = require('./config/db');
 const app = require('./app');
+const { setSocketServer } = require('./services/socketServer.service');
+const { socketAuthenticate } = require('./middlewares/socketAuth.middleware');
+const { resumePendingBets } = require('./modules/bet/bet.service');
+const { loadActiveSuspensions } = require('./modules/bet/marketControl.service');
+const { scheduleReconciliation } = require('./modules/wallet/reconciliation.service');
 
 const PORT = process.env.PORT || 5000;
 
@@ -18,13 +23,29 @@ const io = new Server(server, {
   },
 });
 
+// Let services push updates (bets, wallets, suspensions) to clients
+setSocketServer(io);
+
+// Authenticate sockets that send an access token; others connect anonymously (odds only)
+io.use(socketAuthenticate);
+
 // Load socket handlers
-require('./sockets/cricket.socket')(io);
-require('./sockets/cricketevent.socket')(io);
-require('./sockets/soccer.socket')(io);
-require('./sockets/soccerevent.socket')(io);
-require('./sockets/tennis.socket')(io);
-require('./sockets/tennisevent.socket')(io);
+require('./sockets/user.socket')(io);
+require('./sockets/sportFeed.socket')(io);
+require('./sockets/bet.socket')(io);
+
+// Restore admin suspensions so they keep overriding the feed
+loadActiveSuspensions().catch(error => {
+  console.error('❌ Error loading suspensions:', error.message);
+});
+
+// Resolve bets left pending by a restart
+resumePendingBets().catch(error => {
+  console.error('❌ Error resuming pending bets:', error.message);
+});
+
+// Check wallets against their transaction history periodically
+scheduleReconciliation();
 
 // Start server
 server.listen(PORT, () => {
@@ -0,0 +1,75 @@
+// Default bet delay per sport and market type (seconds)
+// Override with BET_DELAY_<SPORT>_<MARKET_TYPE>, e.g. BET_DELAY_CRICKET_MATCH_ODDS=5
+const DEFAULT_BET_DELAYS = {
+  cricket: {
+    match_odds: 5,
+    bookmaker: 0,
+    fancy: 0
+  },
+  soccer: {
+    match_odds: 0,
+    bookmaker: 0
+  },
+  tennis: {
+    match_odds: 0,
+    bookmaker: 0
+  }
+};
+
+// Pending bet timers by bet ID
+const pendingTimers = new Map();
+
+/**
+ * Get the bet delay in seconds for a sport and market type
+ */
+const getBetDelay = (sport, marketType) => {
+  const override = process.env[`BET_DELAY_${String(sport).toUpperCase()}_${String(marketType).toUpperCase()}`];
+  if (override !== undefined && override !== '') {
+    const seconds = parseFloat(override);
+    return Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+  }
+
+  return DEFAULT_BET_DELAYS[sport]?.[marketType] || 0;
+};
+
+/**
+ * Schedule a pending bet to be processed once its delay has passed
+ * Bets already due are processed on the next tick.
+ */
+const scheduleBetAcceptance = (betId, acceptAt, handler) => {
+  const key = betId.toString();
+  if (pendingTimers.has(key)) {
+    return;
+  }
+
+  const wait = Math.max(0, new Date(acceptAt).getTime() - Date.now());
+
+  const timer = setTimeout(async () => {
+    pendingTimers.delete(key);
+    try {
+      await handler(key);
+    } catch (error) {
+      console.error(`❌ Error processing pending bet ${key}:`, error.message);
+    }
+  }, wait);
+
+  pendingTimers.set(key, timer);
+};
+
+/**
+ * Cancel a scheduled pending bet timer
+ */
+const cancelBetAcceptance = (betId) => {
+  const key = betId.toString();
+  const timer = pendingTimers.get(key);
+  if (timer) {
+    clearTimeout(timer);
+    pendingTimers.delete(key);
+  }
+};
+
+module.exports = {
+  getBetDelay,
+  scheduleBetAcceptance,
+  cancelBetAcceptance
+};
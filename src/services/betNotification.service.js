@@ -0,0 +1,16 @@
+const { notifyUser } = require('./userNotification.service');
+
+/**
+ * Notify a user that one of their bets changed (e.g. a pending bet was matched or rejected)
+ */
+const notifyBetUpdate = (userId, bet) => {
+  notifyUser(userId, 'bet_update', {
+    betId: bet._id.toString(),
+    status: bet.status,
+    bet: typeof bet.toJSON === 'function' ? bet.toJSON() : bet
+  });
+};
+
+module.exports = {
+  notifyBetUpdate
+};
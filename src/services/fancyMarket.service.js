@@ -0,0 +1,136 @@
+const FancyMarket = require('../models/FancyMarket');
+const { MARKET_TYPES, MARKET_STATUS, RUNNER_STATUS } = require('../utils/feedModel');
+const { getChangedState, markSynced } = require('../utils/syncState');
+
+// Last synced state per fancy market ID, so unchanged lines are not rewritten every poll
+const lastSyncedState = new Map();
+
+/**
+ * Map a canonical runner status to a fancy market status
+ */
+const mapStatus = (status) => {
+  if (status === RUNNER_STATUS.ACTIVE) {
+    return FancyMarket.FANCY_STATUS.ACTIVE;
+  }
+  if (status === RUNNER_STATUS.CLOSED) {
+    return FancyMarket.FANCY_STATUS.CLOSED;
+  }
+  // SUSPENDED (including ball running), WINNER, VOID, etc.
+  return FancyMarket.FANCY_STATUS.SUSPENDED;
+};
+
+/**
+ * Check if a market of an event holds fancy lines
+ */
+const isFancyMarket = (market) => market.type === MARKET_TYPES.FANCY;
+
+/**
+ * Map a cricket event into fancy market documents
+ * Each runner of a fancy market is one line: its best back price is YES and
+ * its best lay price NO, with the run line as price and the rate as size.
+ * Pure function: does not touch the database
+ */
+const mapFancyMarkets = (eventId, event) => {
+  const markets = Array.isArray(event?.markets) ? event.markets : [];
+  const fancyMarkets = [];
+
+  markets.filter(isFancyMarket).forEach(market => {
+    market.runners.forEach(runner => {
+      if (!runner.name) {
+        return;
+      }
+
+      const [yes] = runner.back;
+      const [no] = runner.lay;
+      const lines = {
+        runsYes: yes ? yes.price : null,
+        rateYes: yes ? yes.size : null,
+        runsNo: no ? no.price : null,
+        rateNo: no ? no.size : null
+      };
+      const hasLines = lines.runsYes !== null || lines.runsNo !== null;
+
+      fancyMarkets.push({
+        sport: 'cricket',
+        eventId: String(eventId),
+        marketId: FancyMarket.buildMarketId(eventId, runner.selectionId),
+        selectionId: runner.selectionId,
+        name: runner.name,
+        category: market.name || 'fancy',
+        status: market.status !== MARKET_STATUS.OPEN || !hasLines
+          ? FancyMarket.FANCY_STATUS.SUSPENDED
+          : mapStatus(runner.status),
+        ...lines,
+        minStake: runner.min ?? market.min,
+        maxStake: runner.max ?? market.max
+      });
+    });
+  });
+
+  return fancyMarkets;
+};
+
+/**
+ * Upsert the fancy markets of a cricket event
+ * Only lines that changed since the last sync are written. Settled markets are never reopened.
+ */
+const syncFancyMarkets = async (eventId, event) => {
+  const mapped = mapFancyMarkets(eventId, event);
+
+  const changed = mapped
+    .map(market => ({ market, key: market.marketId, state: getChangedState(lastSyncedState, market.marketId, market) }))
+    .filter(({ state }) => state !== null);
+
+  if (changed.length === 0) {
+    return 0;
+  }
+
+  const settled = await FancyMarket.find({
+    marketId: { $in: changed.map(({ market }) => market.marketId) },
+    status: FancyMarket.FANCY_STATUS.SETTLED
+  }).select('marketId');
+  const settledIds = new Set(settled.map(market => market.marketId));
+
+  const operations = changed
+    .filter(({ market }) => !settledIds.has(market.marketId))
+    .map(({ market }) => ({
+      updateOne: {
+        filter: { marketId: market.marketId },
+        update: { $set: { ...market, lastUpdatedAt: new Date() } },
+        upsert: true
+      }
+    }));
+
+  if (operations.length > 0) {
+    await FancyMarket.bulkWrite(operations, { ordered: false });
+  }
+
+  // Settled lines are never rewritten, so they count as synced too
+  markSynced(lastSyncedState, changed);
+  return operations.length;
+};
+
+/**
+ * Get a fancy market by ID
+ */
+const getFancyMarket = async (marketId) => {
+  return FancyMarket.findOne({ marketId });
+};
+
+/**
+ * Get the fancy markets of an event that are not settled yet
+ */
+const getEventFancyMarkets = async (eventId) => {
+  return FancyMarket.find({
+    eventId,
+    status: { $ne: FancyMarket.FANCY_STATUS.SETTLED }
+  }).sort({ selectionId: 1 });
+};
+
+module.exports = {
+  isFancyMarket,
+  mapFancyMarkets,
+  syncFancyMarkets,
+  getFancyMarket,
+  getEventFancyMarkets
+};
@@ -0,0 +1,194 @@
+const {
+  MARKET_TYPES,
+  MARKET_STATUS,
+  RUNNER_STATUS,
+  toId,
+  createRunner,
+  createMarket,
+  createEvent,
+  createMatch
+} = require('../../utils/feedModel');
+
+/**
+ * Adapter for the current upstream feed format
+ *
+ * Event data is an array (or { data: [...] }) of markets with `mid`, `mname`,
+ * `gtype`, `status` and a `section` of runners (`sid`, `nat`, `gstatus`).
+ * Prices come as an `odds` array ({ otype, odds, size }) or as flat
+ * b1/bs1..b3/bs3 and l1/ls1..l3/ls3 fields. Match lists are arrays of
+ * matches with `gmid`, `ename`, `cname`, `stime` and `iplay`.
+ */
+
+// Market types that carry session (fancy) lines
+const FANCY_MARKET_TYPES = ['fancy', 'fancy1', 'fancy2', 'session'];
+const MATCH_ODDS_MARKET_TYPES = ['match', 'match1', 'match_odds'];
+
+// Feed statuses that mean a market or runner is open, or voided
+const OPEN_STATUSES = ['', 'OPEN', 'ACTIVE'];
+const VOID_STATUSES = ['VOID', 'ABANDONED', 'CANCELLED'];
+
+const normalizeStatus = (status) => String(status || '').trim().toUpperCase();
+
+const getStatusText = (status) => (normalizeStatus(status) === '' ? null : String(status).trim());
+
+// Match names list the teams as "India v Australia" or "India vs Australia"
+const TEAM_SEPARATOR = /\s+(?:v|vs|v\/s)\.?\s+/i;
+
+const parseTeams = (name) => {
+  const teams = name ? String(name).split(TEAM_SEPARATOR).filter(Boolean) : [];
+  return teams.length > 1 ? teams : [];
+};
+
+// In-play flags come as booleans, numbers or strings
+const toFlag = (value) => value === true || ['TRUE', '1', 'YES'].includes(normalizeStatus(value));
+
+/**
+ * Map a feed market type and name to a canonical market type
+ */
+const mapMarketType = (market) => {
+  const type = String(market.gtype || market.mtype || '').toLowerCase();
+  const name = String(market.mname || '').toLowerCase();
+
+  if (FANCY_MARKET_TYPES.includes(type) || name.includes('fancy') || name.includes('session')) {
+    return MARKET_TYPES.FANCY;
+  }
+  if (type.includes('bookmaker') || name.includes('bookmaker')) {
+    return MARKET_TYPES.BOOKMAKER;
+  }
+  if (MATCH_ODDS_MARKET_TYPES.includes(type) || name.includes('match odds')) {
+    return MARKET_TYPES.MATCH_ODDS;
+  }
+  return MARKET_TYPES.OTHER;
+};
+
+/**
+ * Map a feed market status to a canonical market status
+ */
+const mapMarketStatus = (status) => {
+  const normalized = normalizeStatus(status);
+  if (OPEN_STATUSES.includes(normalized)) {
+    return MARKET_STATUS.OPEN;
+  }
+  if (VOID_STATUSES.includes(normalized)) {
+    return MARKET_STATUS.VOID;
+  }
+  if (normalized === 'CLOSED') {
+    return MARKET_STATUS.CLOSED;
+  }
+  // SUSPENDED, BALL RUNNING, etc.
+  return MARKET_STATUS.SUSPENDED;
+};
+
+/**
+ * Map a feed runner status to a canonical runner status
+ */
+const mapRunnerStatus = (status) => {
+  const normalized = normalizeStatus(status);
+  if (OPEN_STATUSES.includes(normalized)) {
+    return RUNNER_STATUS.ACTIVE;
+  }
+  if (VOID_STATUSES.includes(normalized)) {
+    return RUNNER_STATUS.VOID;
+  }
+  if ([RUNNER_STATUS.CLOSED, RUNNER_STATUS.WINNER, RUNNER_STATUS.LOSER, RUNNER_STATUS.REMOVED].includes(normalized)) {
+    return normalized;
+  }
+  return RUNNER_STATUS.SUSPENDED;
+};
+
+/**
+ * Extract the back or lay prices of a feed runner
+ */
+const extractPrices = (entry, side) => {
+  if (Array.isArray(entry.odds)) {
+    return entry.odds
+      .filter(price => String(price.otype).toLowerCase() === side)
+      .map(price => ({ price: price.odds, size: price.size }));
+  }
+
+  const prefix = side === 'back' ? 'b' : 'l';
+  return [1, 2, 3].map(level => ({
+    price: entry[`${prefix}${level}`],
+    size: entry[`${prefix}s${level}`]
+  }));
+};
+
+/**
+ * Map a feed market to a canonical market
+ */
+const normalizeMarket = (market) => {
+  const type = mapMarketType(market);
+  const entries = Array.isArray(market.section) ? market.section : [];
+  const declaredWinner = type === MARKET_TYPES.FANCY ? null : toId(market.winner ?? market.result);
+
+  const runners = entries.filter(Boolean).map(entry => {
+    const selectionId = toId(entry.sid ?? entry.selectionId);
+    const status = selectionId !== null && selectionId === declaredWinner
+      ? RUNNER_STATUS.WINNER
+      : mapRunnerStatus(entry.gstatus ?? entry.status);
+
+    return createRunner({
+      selectionId,
+      name: entry.nat || entry.name,
+      status,
+      statusText: getStatusText(entry.gstatus ?? entry.status),
+      back: extractPrices(entry, 'back'),
+      lay: extractPrices(entry, 'lay'),
+      result: type === MARKET_TYPES.FANCY ? entry.result : null,
+      min: entry.min,
+      max: entry.max
+    });
+  });
+
+  return createMarket({
+    marketId: market.mid ?? market.marketId,
+    name: market.mname,
+    type,
+    status: mapMarketStatus(market.status),
+    statusText: getStatusText(market.status),
+    inPlay: toFlag(market.iplay ?? market.inPlay),
+    min: market.min,
+    max: market.max,
+    runners
+  });
+};
+
+/**
+ * Map a feed event payload to a canonical event
+ */
+const normalizeEvent = (payload, { sport, eventId, provider }) => {
+  const markets = Array.isArray(payload) ? payload : (Array.isArray(payload?.data) ? payload.data : []);
+
+  return createEvent({
+    eventId,
+    sport,
+    provider,
+    name: markets.find(market => market?.ename)?.ename,
+    markets: markets.filter(Boolean).map(normalizeMarket)
+  });
+};
+
+/**
+ * Map a feed match list to canonical matches
+ */
+const normalizeMatches = (payload, { sport, provider }) => {
+  const matches = Array.isArray(payload) ? payload : (Array.isArray(payload?.data) ? payload.data : []);
+
+  return matches.filter(Boolean).map(match => createMatch({
+    eventId: match.gmid ?? match.eventId ?? match.id,
+    sport,
+    provider,
+    name: match.ename ?? match.name,
+    teams: parseTeams(match.ename ?? match.name),
+    competition: match.cname ?? match.competition,
+    startTime: match.stime ?? match.startTime,
+    inPlay: toFlag(match.iplay ?? match.inPlay),
+    status: match.status ? mapMarketStatus(match.status) : null,
+    markets: Array.isArray(match.section) && (match.mid ?? match.marketId) ? [normalizeMarket(match)] : []
+  })).filter(match => match.eventId !== null);
+};
+
+module.exports = {
+  normalizeMatches,
+  normalizeEvent
+};
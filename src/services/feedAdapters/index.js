@@ -0,0 +1,26 @@
+/**
+ * Feed provider adapters
+ * Each adapter maps one provider's payloads into the canonical model
+ * (utils/feedModel.js) and exports:
+ * - normalizeMatches(payload, { sport, provider }): match list
+ * - normalizeEvent(payload, { sport, eventId, provider }): event data
+ * Register new adapters here and select them per feed provider in config/sports.js.
+ */
+const FEED_ADAPTERS = {
+  default: require('./default.adapter')
+};
+
+/**
+ * Get the adapter of a feed provider
+ */
+const getFeedAdapter = (provider) => {
+  const adapter = FEED_ADAPTERS[provider];
+  if (!adapter) {
+    throw new Error(`Unknown feed provider: ${provider}`);
+  }
+  return adapter;
+};
+
+module.exports = {
+  getFeedAdapter
+};
@@ -0,0 +1,18 @@
+const { notifyUser } = require('./userNotification.service');
+
+/**
+ * Notify a user that a deposit or withdrawal request changed
+ * Sent to the upline when a request is made or cancelled, and to the requester when it is reviewed.
+ */
+const notifyFundRequestUpdate = (userId, type, request) => {
+  notifyUser(userId, 'fund_request_update', {
+    type,
+    requestId: request._id.toString(),
+    status: request.status,
+    request: typeof request.toJSON === 'function' ? request.toJSON() : request
+  });
+};
+
+module.exports = {
+  notifyFundRequestUpdate
+};
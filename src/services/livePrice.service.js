@@ -0,0 +1,107 @@
+const { getSportFeed } = require('./sportFeed.service');
+const { MARKET_STATUS, RUNNER_STATUS, findMarket, findRunner } = require('../utils/feedModel');
+
+// Maximum unfavourable price movement accepted at placement (percent of requested odds)
+const ODDS_TOLERANCE_PERCENT = parseFloat(process.env.BET_ODDS_TOLERANCE_PERCENT) || 0;
+// Maximum age of cached event data a bet can be validated against (ms)
+const PRICE_MAX_AGE = parseInt(process.env.BET_PRICE_MAX_AGE) || 2000;
+
+/**
+ * Get the cached data of an event, fetching it once if missing or stale
+ * Throws if no data younger than the staleness threshold is available.
+ */
+const getFreshEventData = async (sport, eventId) => {
+  const feed = getSportFeed(sport);
+  if (!feed) {
+    throw new Error(`Live prices are not available for ${sport}`);
+  }
+
+  const isFresh = () => {
+    const updatedAt = feed.getEventDataUpdatedAt(eventId);
+    return updatedAt !== null && Date.now() - updatedAt <= PRICE_MAX_AGE;
+  };
+
+  // Nobody may be subscribed to the event, so the cache can be empty or old
+  if (!isFresh()) {
+    await feed.fetchEventData(eventId);
+  }
+
+  if (feed.getEventDataUpdatedAt(eventId) === null) {
+    throw new Error('Live price is not available for this event');
+  }
+
+  if (!isFresh()) {
+    throw new Error('Live price is stale. Please try again.');
+  }
+
+  return feed.getLatestEventData(eventId);
+};
+
+/**
+ * Get the best price offered on a side of a runner
+ * Ladders are sorted best price first: the highest back and the lowest lay price.
+ */
+const getBestPrice = (runner, side) => {
+  const best = runner[side].find(entry => entry.price > 1);
+  return best ? best.price : null;
+};
+
+/**
+ * Validate requested back/lay odds against the live feed
+ * Rejects bets on suspended markets, markets of another type than requested, inactive
+ * runners, stale data or prices that moved unfavourably beyond the tolerance. Returns the
+ * odds the bet is matched at: the requested odds, or the live price when it is worse but
+ * within the tolerance, and the market type from the feed.
+ */
+const validateBetPrice = async ({ sport, eventId, marketId, marketType, selectionId, betType, odds }) => {
+  const event = await getFreshEventData(sport, eventId);
+
+  const market = findMarket(event, marketId);
+  if (!market) {
+    throw new Error('Market not found in live feed');
+  }
+
+  // The market type decides how the price is read, so it must come from the feed
+  if (market.type !== marketType) {
+    throw new Error(`Market type does not match the live feed. This is a ${market.type} market`);
+  }
+
+  if (market.status !== MARKET_STATUS.OPEN) {
+    throw new Error('Market is suspended');
+  }
+
+  const runner = findRunner(market, selectionId);
+  if (!runner) {
+    throw new Error('Selection not found in live feed');
+  }
+
+  if (runner.status !== RUNNER_STATUS.ACTIVE) {
+    throw new Error('Selection is not active');
+  }
+
+  const livePrice = getBestPrice(runner, betType);
+  if (livePrice === null) {
+    throw new Error(`No ${betType} price available for this selection`);
+  }
+
+  // Back bets lose value when the price drops, lay bets when it rises
+  const movement = betType === 'back' ? odds - livePrice : livePrice - odds;
+  const tolerance = odds * ODDS_TOLERANCE_PERCENT / 100;
+
+  if (movement > tolerance + 1e-9) {
+    throw new Error(`Odds have changed. Current ${betType} price: ${livePrice}`);
+  }
+
+  return {
+    odds: movement > 0 ? livePrice : odds,
+    livePrice,
+    marketType: market.type,
+    marketName: market.name,
+    selectionName: runner.name
+  };
+};
+
+module.exports = {
+  getFreshEventData,
+  validateBetPrice
+};
@@ -0,0 +1,36 @@
+// Socket.IO server, set once by server.js so services can push updates
+let socketServer = null;
+
+/**
+ * Register the Socket.IO server
+ */
+const setSocketServer = (io) => {
+  socketServer = io;
+};
+
+/**
+ * Get the Socket.IO server, or null when running without sockets (e.g. scripts)
+ */
+const getSocketServer = () => socketServer;
+
+/**
+ * Get the room name of a sport event, shared by its subscribers
+ */
+const getEventRoom = (sport, eventId) => `${sport}_event_${eventId}`;
+
+// Room of the sockets that opted into the legacy full feed payloads instead of snapshots and deltas
+const LEGACY_FEED_ROOM = 'legacy_feed';
+
+/**
+ * Get the room name of the legacy subscribers of a sport event
+ * They are also in the event room, so subscriber counts stay the same.
+ */
+const getLegacyEventRoom = (sport, eventId) => `${getEventRoom(sport, eventId)}_legacy`;
+
+module.exports = {
+  setSocketServer,
+  getSocketServer,
+  getEventRoom,
+  LEGACY_FEED_ROOM,
+  getLegacyEventRoom
+};
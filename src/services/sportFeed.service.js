@@ -0,0 +1,568 @@
+const axios = require('axios');
+const { SPORT_FEEDS } = require('../config/sports');
+const { getFeedAdapter } = require('./feedAdapters');
+const { syncFancyMarkets } = require('./fancyMarket.service');
+const { settleFromFeed } = require('../modules/bet/settlement.service');
+const { syncMatches, syncEventData } = require('../modules/event/event.service');
+const { diffMatches, diffEventData, isEmptyDelta, isEqual } = require('../utils/feedDiff');
+const { CIRCUIT_STATE, createCircuitBreaker } = require('../utils/circuitBreaker');
+
+// Cached data older than this is reported as stale (ms)
+const FEED_STALE_AFTER = parseInt(process.env.FEED_STALE_AFTER) || 5000;
+// Backoff after a failed request, doubled on every consecutive failure (ms)
+const FEED_BACKOFF_BASE = parseInt(process.env.FEED_BACKOFF_BASE) || 1000;
+const FEED_BACKOFF_MAX = parseInt(process.env.FEED_BACKOFF_MAX) || 30000;
+// Consecutive failures that open the circuit, and how long it stays open (ms)
+const FEED_CIRCUIT_THRESHOLD = parseInt(process.env.FEED_CIRCUIT_THRESHOLD) || 5;
+const FEED_CIRCUIT_RESET_TIME = parseInt(process.env.FEED_CIRCUIT_RESET_TIME) || 30000;
+// Live data a provider keeps serving unchanged for this long is treated as frozen, and the next provider is tried (ms)
+const FEED_FROZEN_AFTER = parseInt(process.env.FEED_FROZEN_AFTER) || 30000;
+
+// Request key of the match list; event requests are keyed by their event ID
+const MATCHES_KEY = 'matches';
+
+// Feed health reported by getStatus()
+const FEED_HEALTH = {
+  HEALTHY: 'healthy',   // Last request succeeded
+  DEGRADED: 'degraded', // Failing, backing off between requests
+  DOWN: 'down'          // Circuit open, no requests until it resets
+};
+
+const REQUEST_OPTIONS = {
+  timeout: 15000, // Increased to 15 seconds
+  headers: {
+    'Accept': 'application/json',
+    'User-Agent': 'Mozilla/5.0'
+  }
+};
+
+/**
+ * Log a feed request error with the reason it failed
+ */
+const logFeedError = (prefix, error) => {
+  if (error.code === 'ECONNABORTED') {
+    console.error(`${prefix}: Request timeout - API took longer than 15 seconds`);
+  } else if (error.response) {
+    console.error(`${prefix}: Server responded with status`, error.response.status);
+  } else if (error.request) {
+    console.error(`${prefix}: No response received from server`);
+  } else {
+    console.error(`${prefix}:`, error.message);
+  }
+};
+
+/**
+ * Check if an error means the provider failed, rather than rejected one request
+ * Timeouts, network errors, 429, 5xx and unreadable payloads are failures; other
+ * responses (e.g. 404 for an unknown event) mean the provider is up.
+ */
+const isProviderFailure = (error) => {
+  if (error.response) {
+    return error.response.status === 429 || error.response.status >= 500;
+  }
+  return true;
+};
+
+/**
+ * Get the health of a provider from its circuit breaker state
+ */
+const getHealth = ({ state, consecutiveFailures }) => {
+  if (state !== CIRCUIT_STATE.CLOSED) {
+    return FEED_HEALTH.DOWN;
+  }
+  return consecutiveFailures > 0 ? FEED_HEALTH.DEGRADED : FEED_HEALTH.HEALTHY;
+};
+
+/**
+ * Create the feed of a sport from its config entry
+ * Maps the feed through its provider's adapter into the canonical model
+ * (utils/feedModel.js) and caches the match list and each event's data,
+ * never running two requests for the same list or event at once. Every change to the match list or an
+ * event bumps its sequence number and is passed to the update listeners as a
+ * delta against the previous snapshot (or as a full snapshot when the two
+ * cannot be diffed).
+ *
+ * Each provider has a circuit breaker per endpoint (the match list, and each
+ * event): failures back the endpoint off exponentially, and enough of them in
+ * a row stop requests to it for a while, without holding up the provider's
+ * other endpoints. Requests go to
+ * the first provider in order that can take them, failing over to the next
+ * one within the same poll, unless an admin pinned a provider. When a provider
+ * keeps serving the same live data for FEED_FROZEN_AFTER, the next one is tried
+ * as well, without backing the first off. Snapshots are
+ * flagged `stale` while no provider can serve them or the data is older than
+ * FEED_STALE_AFTER.
+ */
+const createSportFeed = (sport, config) => {
+  const { label } = config;
+
+  let latestMatches = [];
+  let matchesSeq = 0;
+  let isFetchingMatches = false; // Flag to prevent overlapping requests
+
+  // Store data per event ID
+  const eventDataCache = new Map();
+  // Store when each event's data was last fetched successfully
+  const eventDataUpdatedAt = new Map();
+  // Sequence number of each event's cached data, bumped on every change
+  const eventSeqs = new Map();
+  // Track fetching state per event ID
+  const fetchingStates = new Map();
+
+  // When the match list was last fetched successfully
+  let matchesUpdatedAt = null;
+
+  // Providers in order of preference, each with its own health
+  const providers = config.providers.map(provider => ({
+    name: provider.name,
+    listUrl: provider.listUrl,
+    eventUrl: provider.eventUrl,
+    adapterName: provider.adapter,
+    adapter: getFeedAdapter(provider.adapter),
+    // Circuit breaker per request (the match list, or an event ID), created on first use
+    breakers: new Map(),
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    // Last data served per request (the match list, or an event ID) and when it last changed
+    lastPayloads: new Map()
+  }));
+  // Provider that served the last successful request
+  let activeProvider = providers[0];
+  // Provider pinned by an admin, or null to fail over automatically
+  let overrideProvider = null;
+  let lastReportedStatus = null;
+
+  // Listeners for match list and event data changes, and feed health changes
+  const matchesListeners = [];
+  const eventDataListeners = [];
+  const statusListeners = [];
+
+  const notify = (listeners, ...args) => {
+    listeners.forEach(listener => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`${label} feed listener error:`, error.message);
+      }
+    });
+  };
+
+  // Providers requests may go to, in order
+  const getCandidates = () => (overrideProvider ? [overrideProvider] : providers);
+
+  // Function to get the circuit breaker of one of a provider's endpoints
+  const getBreaker = (provider, key) => {
+    if (!provider.breakers.has(key)) {
+      provider.breakers.set(key, createCircuitBreaker({
+        threshold: FEED_CIRCUIT_THRESHOLD,
+        resetTime: FEED_CIRCUIT_RESET_TIME,
+        backoffBase: FEED_BACKOFF_BASE,
+        backoffMax: FEED_BACKOFF_MAX
+      }));
+    }
+    return provider.breakers.get(key);
+  };
+
+  // Function to get the breaker state of an endpoint; endpoints never requested are closed
+  const getBreakerState = (provider, key) => {
+    const breaker = provider.breakers.get(key);
+    return breaker
+      ? breaker.getState()
+      : { state: CIRCUIT_STATE.CLOSED, consecutiveFailures: 0, nextAttemptAt: null };
+  };
+
+  const isStale = (updatedAt, key = MATCHES_KEY) => {
+    return updatedAt === null
+      || !getCandidates().some(provider => getBreakerState(provider, key).state === CIRCUIT_STATE.CLOSED)
+      || Date.now() - updatedAt > FEED_STALE_AFTER;
+  };
+
+  // A provider's health is that of its match list; failing event endpoints are counted apart
+  const getProviderStatus = (provider) => {
+    const breakerState = getBreakerState(provider, MATCHES_KEY);
+    const failingEvents = Array.from(provider.breakers.entries())
+      .filter(([key, breaker]) => key !== MATCHES_KEY && breaker.getState().consecutiveFailures > 0)
+      .length;
+    return {
+      name: provider.name,
+      adapter: provider.adapterName,
+      health: getHealth(breakerState),
+      circuit: breakerState.state,
+      consecutiveFailures: breakerState.consecutiveFailures,
+      nextAttemptAt: breakerState.nextAttemptAt ? new Date(breakerState.nextAttemptAt) : null,
+      failingEvents,
+      lastSuccessAt: provider.lastSuccessAt ? new Date(provider.lastSuccessAt) : null,
+      lastFailureAt: provider.lastFailureAt ? new Date(provider.lastFailureAt) : null,
+      lastError: provider.lastError
+    };
+  };
+
+  // Health of the feed and each of its providers
+  // The feed is as healthy as the best provider requests may go to.
+  const getStatus = () => {
+    const providerStatuses = providers.map(getProviderStatus);
+    const candidateNames = getCandidates().map(provider => provider.name);
+    const healths = providerStatuses
+      .filter(status => candidateNames.includes(status.name))
+      .map(status => status.health);
+
+    let health = FEED_HEALTH.DOWN;
+    if (healths.includes(FEED_HEALTH.HEALTHY)) {
+      health = FEED_HEALTH.HEALTHY;
+    } else if (healths.includes(FEED_HEALTH.DEGRADED)) {
+      health = FEED_HEALTH.DEGRADED;
+    }
+
+    return {
+      sport,
+      label,
+      health,
+      activeProvider: activeProvider.name,
+      overrideProvider: overrideProvider ? overrideProvider.name : null,
+      lastSuccessAt: matchesUpdatedAt ? new Date(matchesUpdatedAt) : null,
+      stale: isStale(matchesUpdatedAt),
+      providers: providerStatuses
+    };
+  };
+
+  // Function to notify status listeners when the health, circuit states or active provider changed
+  const reportStatus = () => {
+    const status = getStatus();
+    const key = JSON.stringify([
+      status.health,
+      status.activeProvider,
+      status.overrideProvider,
+      status.providers.map(provider => [provider.health, provider.circuit])
+    ]);
+    if (key === lastReportedStatus) {
+      return;
+    }
+
+    lastReportedStatus = key;
+    notify(statusListeners, status);
+  };
+
+  // Function to record that a provider served a request, making it the active one
+  const recordSuccess = (provider, key) => {
+    getBreaker(provider, key).recordSuccess();
+    provider.lastSuccessAt = Date.now();
+
+    if (provider !== activeProvider) {
+      console.warn(`⚠️ ${label} feed switched from ${activeProvider.name} to ${provider.name} provider`);
+      activeProvider = provider;
+    }
+    reportStatus();
+  };
+
+  // Function to record a failed request, backing the provider's endpoint off if it failed
+  const recordFailure = (provider, key, error) => {
+    const breaker = getBreaker(provider, key);
+    provider.lastFailureAt = Date.now();
+    provider.lastError = error.message;
+
+    if (isProviderFailure(error)) {
+      const wasOpen = breaker.getState().state !== CIRCUIT_STATE.CLOSED;
+      breaker.recordFailure();
+      const { state, consecutiveFailures } = breaker.getState();
+      if (!wasOpen && state === CIRCUIT_STATE.OPEN) {
+        const endpoint = key === MATCHES_KEY ? 'match list' : `event ${key}`;
+        console.warn(`⚠️ ${label} feed circuit opened for ${provider.name} provider (${endpoint}) after ${consecutiveFailures} consecutive failures`);
+      }
+    } else {
+      // The provider answered, just not for this request
+      breaker.recordSuccess();
+    }
+    reportStatus();
+  };
+
+  // Function to check if a provider served the same live data for longer than FEED_FROZEN_AFTER
+  const isFrozen = (provider, key, data, isLive) => {
+    const now = Date.now();
+    const last = provider.lastPayloads.get(key);
+    if (!last || !isEqual(last.data, data)) {
+      provider.lastPayloads.set(key, { data, changedAt: now });
+      return false;
+    }
+
+    return isLive(data) && now - last.changedAt > FEED_FROZEN_AFTER;
+  };
+
+  // Function to forget the last data and breakers of events no longer in the match list
+  const forgetUnlistedEvents = (matches) => {
+    const listedIds = new Set(matches.map(match => String(match.eventId)));
+    const isUnlisted = key => key !== MATCHES_KEY && !listedIds.has(key);
+    providers.forEach(provider => {
+      Array.from(provider.lastPayloads.keys()).filter(isUnlisted).forEach(key => provider.lastPayloads.delete(key));
+      Array.from(provider.breakers.keys()).filter(isUnlisted).forEach(key => provider.breakers.delete(key));
+    });
+  };
+
+  // Function to request from the first provider that can take requests, failing over to the next
+  // key names the request (MATCHES_KEY or an event ID); isLive tells whether its data should keep changing.
+  // Frozen data is no failure (play may be halted), but the next provider is tried for fresher data;
+  // if none has any, the frozen data is served.
+  // Returns the provider and its normalized data, or null if no provider served the request
+  const requestFromProviders = async (key, getUrl, normalize, isLive, errorPrefix) => {
+    let frozenResult = null;
+
+    for (const provider of getCandidates()) {
+      const url = getUrl(provider);
+      if (!url || !getBreaker(provider, key).canRequest()) {
+        continue;
+      }
+
+      try {
+        const response = await axios.get(url, REQUEST_OPTIONS);
+        const data = normalize(provider, response.data);
+
+        if (isFrozen(provider, key, data, isLive)) {
+          // The provider answered, so its breaker (and any trial request) is settled
+          getBreaker(provider, key).recordSuccess();
+          frozenResult = frozenResult || { provider, data };
+          continue;
+        }
+
+        recordSuccess(provider, key);
+        return { provider, data };
+      } catch (error) {
+        recordFailure(provider, key, error);
+        logFeedError(`${errorPrefix} [${provider.name}]`, error);
+      }
+    }
+
+    if (frozenResult) {
+      recordSuccess(frozenResult.provider, key);
+    }
+    return frozenResult;
+  };
+
+  // Pin the feed to one provider, or pass null to fail over automatically again
+  const setProviderOverride = (providerName) => {
+    if (providerName === null) {
+      overrideProvider = null;
+    } else {
+      const provider = providers.find(candidate => candidate.name === providerName);
+      if (!provider) {
+        throw new Error(`Unknown ${label} feed provider: ${providerName}`);
+      }
+      overrideProvider = provider;
+    }
+
+    reportStatus();
+    return getStatus();
+  };
+
+  // Function to replace the match list and notify listeners if it changed
+  const updateMatches = (matches) => {
+    const delta = diffMatches(latestMatches, matches);
+    if (delta ? isEmptyDelta(delta) : isEqual(latestMatches, matches)) {
+      return;
+    }
+
+    latestMatches = matches;
+    matchesSeq += 1;
+    notify(matchesListeners, { seq: matchesSeq, delta, data: matches });
+  };
+
+  // Function to replace an event's data and notify listeners if it changed
+  const updateEventData = (eventId, data) => {
+    const previous = eventDataCache.get(eventId);
+    const delta = previous === undefined ? null : diffEventData(previous, data);
+
+    eventDataCache.set(eventId, data);
+    eventDataUpdatedAt.set(eventId, Date.now());
+
+    if (delta ? isEmptyDelta(delta) : isEqual(previous, data)) {
+      return;
+    }
+
+    const seq = (eventSeqs.get(eventId) || 0) + 1;
+    eventSeqs.set(eventId, seq);
+    notify(eventDataListeners, eventId, { seq, delta, data });
+  };
+
+  const fetchMatches = async () => {
+    // If a request is already in progress, skip this call
+    if (isFetchingMatches) {
+      return latestMatches.length > 0 ? latestMatches : null;
+    }
+
+    isFetchingMatches = true;
+    try {
+      const result = await requestFromProviders(
+        MATCHES_KEY,
+        provider => provider.listUrl,
+        (provider, payload) => provider.adapter.normalizeMatches(payload, { sport, provider: provider.name }),
+        // Only a list with in-play prices is expected to keep changing
+        matches => matches.some(match => match.inPlay && match.markets.length > 0),
+        `${label} API error`
+      );
+
+      // No provider could serve the list, keep serving the cache
+      if (!result) {
+        return latestMatches.length > 0 ? latestMatches : null;
+      }
+
+      updateMatches(result.data);
+      matchesUpdatedAt = Date.now();
+
+      // An empty list is more likely a feed glitch than every event ending
+      if (result.data.length > 0) {
+        forgetUnlistedEvents(result.data);
+      }
+
+      // Persist events and their status without delaying the broadcast
+      syncMatches(sport, latestMatches).catch((syncError) => {
+        console.error(`${label} event sync error:`, syncError.message);
+      });
+
+      return latestMatches;
+    } catch (error) {
+      console.error(`${label} matches update error:`, error.message);
+      return latestMatches.length > 0 ? latestMatches : null;
+    } finally {
+      isFetchingMatches = false; // Reset flag when request completes
+    }
+  };
+
+  const getLatestMatches = () => latestMatches;
+
+  // Full match list with its sequence number, for new clients and resyncs
+  const getMatchesSnapshot = () => ({ seq: matchesSeq, data: latestMatches, stale: isStale(matchesUpdatedAt) });
+
+  const fetchEventData = async (eventId) => {
+    if (!eventId) {
+      console.error(`${label} event API error: eventId is required`);
+      return null;
+    }
+
+    // If a request for this event is already in progress, skip this call
+    if (fetchingStates.get(eventId)) {
+      return eventDataCache.get(eventId) || null;
+    }
+
+    fetchingStates.set(eventId, true);
+
+    try {
+      const result = await requestFromProviders(
+        String(eventId),
+        provider => provider.eventUrl && `${provider.eventUrl}?eventId=${eventId}`,
+        (provider, payload) => provider.adapter.normalizeEvent(payload, { sport, eventId, provider: provider.name }),
+        event => event.inPlay,
+        `${label} event API error (eventId: ${eventId})`
+      );
+
+      // No provider could serve the event, return cached data if available
+      if (!result) {
+        return eventDataCache.get(eventId) || null;
+      }
+
+      const { data } = result;
+      updateEventData(eventId, data);
+
+      // Persist the event's markets and runners
+      syncEventData(sport, data).catch((syncError) => {
+        console.error(`${label} market sync error (eventId: ${eventId}):`, syncError.message);
+      });
+
+      // Map session (fancy) lines into bettable markets without delaying the broadcast
+      if (config.fancyMarkets) {
+        syncFancyMarkets(eventId, data).catch((syncError) => {
+          console.error(`${label} fancy sync error (eventId: ${eventId}):`, syncError.message);
+        });
+      }
+
+      // Settle markets the feed reports a result for
+      settleFromFeed(eventId, data).catch((settleError) => {
+        console.error(`${label} feed settlement error (eventId: ${eventId}):`, settleError.message);
+      });
+
+      return data;
+    } catch (error) {
+      console.error(`${label} event update error (eventId: ${eventId}):`, error.message);
+      return eventDataCache.get(eventId) || null;
+    } finally {
+      fetchingStates.set(eventId, false); // Reset flag when request completes
+    }
+  };
+
+  const getLatestEventData = (eventId = null) => {
+    if (eventId) {
+      return eventDataCache.get(eventId) || null;
+    }
+    // If no eventId specified, return all cached data (for backward compatibility)
+    const allData = Array.from(eventDataCache.values());
+    return allData.length > 0 ? allData.flat() : null;
+  };
+
+  // Timestamp (ms) of the last successful fetch for an event, or null if never fetched
+  const getEventDataUpdatedAt = (eventId) => eventDataUpdatedAt.get(eventId) || null;
+
+  // Full event data with its sequence number, or null if never fetched
+  const getEventSnapshot = (eventId) => {
+    if (!eventDataCache.has(eventId)) {
+      return null;
+    }
+    return {
+      eventId,
+      seq: eventSeqs.get(eventId),
+      data: eventDataCache.get(eventId),
+      stale: isStale(eventDataUpdatedAt.get(eventId) || null, String(eventId))
+    };
+  };
+
+  // Register a listener called with ({ seq, delta, data }) when the match list changes
+  const onMatchesUpdate = (listener) => {
+    matchesListeners.push(listener);
+  };
+
+  // Register a listener called with (eventId, { seq, delta, data }) when an event's data changes
+  const onEventDataUpdate = (listener) => {
+    eventDataListeners.push(listener);
+  };
+
+  // Register a listener called with the feed status when its health or circuit state changes
+  const onStatusChange = (listener) => {
+    statusListeners.push(listener);
+  };
+
+  return {
+    sport,
+    label,
+    fetchMatches,
+    getLatestMatches,
+    getMatchesSnapshot,
+    fetchEventData,
+    getLatestEventData,
+    getEventDataUpdatedAt,
+    getEventSnapshot,
+    onMatchesUpdate,
+    onEventDataUpdate,
+    getStatus,
+    setProviderOverride,
+    onStatusChange
+  };
+};
+
+// One feed per registered sport
+const sportFeeds = new Map(
+  Object.entries(SPORT_FEEDS).map(([sport, config]) => [sport, createSportFeed(sport, config)])
+);
+
+/**
+ * Get the feed of a sport, or null if the sport has no feed
+ */
+const getSportFeed = (sport) => sportFeeds.get(sport) || null;
+
+/**
+ * Get the feeds of all registered sports
+ */
+const getSportFeeds = () => Array.from(sportFeeds.values());
+
+module.exports = {
+  FEED_HEALTH,
+  createSportFeed,
+  getSportFeed,
+  getSportFeeds
+};
@@ -0,0 +1,77 @@
+const { getSocketServer } = require('./socketServer.service');
+
+/**
+ * Get the private room of a user
+ * Every socket that authenticated as the user joins it.
+ */
+const getUserRoom = (userId) => `user:${userId}`;
+
+/**
+ * Get the room of the uplines watching a user's wallet
+ */
+const getWalletWatchRoom = (userId) => `wallet:${userId}`;
+
+/**
+ * Send an event to every socket of a user
+ */
+const notifyUser = (userId, event, payload) => {
+  const socketServer = getSocketServer();
+  if (!socketServer) {
+    return;
+  }
+
+  socketServer.to(getUserRoom(userId.toString())).emit(event, payload);
+};
+
+/**
+ * Get the balance, exposure, withdrawal hold and available amount of a wallet, as pushed in `wallet_update`
+ */
+const getWalletUpdate = (wallet) => ({
+  userId: (wallet.user._id || wallet.user).toString(),
+  balance: wallet.balance,
+  exposure: wallet.exposure,
+  withdrawalHold: wallet.withdrawalHold,
+  availableBalance: wallet.availableBalance,
+  currency: wallet.currency,
+  isLocked: wallet.isLocked
+});
+
+/**
+ * Push a wallet's balance to its owner and the uplines watching it
+ * Call after the transaction that changed the wallet is committed.
+ */
+const notifyWalletUpdate = (wallet) => {
+  const socketServer = getSocketServer();
+  if (!socketServer) {
+    return;
+  }
+
+  const update = getWalletUpdate(wallet);
+  socketServer
+    .to([getUserRoom(update.userId), getWalletWatchRoom(update.userId)])
+    .emit('wallet_update', update);
+};
+
+/**
+ * Log a user out of every socket
+ * Sends `force_logout` so clients drop their tokens, then disconnects the sockets.
+ */
+const forceLogout = (userId, reason) => {
+  const socketServer = getSocketServer();
+  if (!socketServer) {
+    return;
+  }
+
+  const room = getUserRoom(userId.toString());
+  socketServer.to(room).emit('force_logout', { reason });
+  socketServer.in(room).disconnectSockets();
+};
+
+module.exports = {
+  getUserRoom,
+  getWalletWatchRoom,
+  getWalletUpdate,
+  notifyUser,
+  notifyWalletUpdate,
+  forceLogout
+};
@@ -0,0 +1,24 @@
+const { getUserRoom } = require('../services/userNotification.service');
+
+module.exports = (io) => {
+  console.log('⚡ Bet socket initialized');
+
+  io.on('connection', (socket) => {
+    // Handle client subscribing to updates of their own bets
+    // Only the user authenticated in the handshake is trusted; their socket is
+    // already in their user room, so this just confirms the subscription.
+    socket.on('subscribe_bet_updates', () => {
+      const { userId } = socket.data;
+      if (!userId) {
+        socket.emit('error', {
+          message: 'Connect with an access token to subscribe to bet updates.',
+          event: 'subscribe_bet_updates'
+        });
+        return;
+      }
+
+      socket.join(getUserRoom(userId));
+      socket.emit('bet_updates_subscribed', { userId });
+    });
+  });
+};
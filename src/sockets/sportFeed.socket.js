@@ -0,0 +1,332 @@
+const { getSportFeeds } = require('../services/sportFeed.service');
+const { applyEventSuspensions } = require('../modules/bet/marketControl.service');
+const {
+  getEventRoom,
+  LEGACY_FEED_ROOM,
+  getLegacyEventRoom
+} = require('../services/socketServer.service');
+const API_REFRESH_TIME = parseInt(process.env.API_REFRESH_TIME) || 400;
+
+/**
+ * Serve one sport feed over Socket.IO
+ * - `<sport>_matches_snapshot` / `<sport>_matches_delta`: match list, broadcast to everyone
+ * - `subscribe_<sport>_event` / `unsubscribe_<sport>_event`: join or leave an event room
+ * - `<sport>_event_<eventId>_snapshot` / `<sport>_event_<eventId>_delta`: event data, broadcast to the event room
+ * - `resync_<sport>_matches` / `resync_<sport>_event`: resend the full snapshot after a sequence gap
+ * - `<sport>_matches` / `<sport>_event_<eventId>`: legacy full payloads, sent on every change instead of
+ *   snapshots and deltas to the sockets that connect with `feedFormat: 'legacy'`
+ * - `feed_status`: the feed's health, sent on connect and broadcast whenever it changes
+ * Returns the handler to run for each new connection.
+ */
+/**
+ * Check whether a socket opted into the legacy full payloads
+ */
+const isLegacySocket = (socket) => socket.rooms.has(LEGACY_FEED_ROOM);
+
+/**
+ * Check whether a connecting socket asked for the legacy full payloads,
+ * through `auth: { feedFormat: 'legacy' }` or the `?feedFormat=legacy` query
+ */
+const wantsLegacyFeed = (socket) => {
+  const { auth = {}, query = {} } = socket.handshake;
+  return auth.feedFormat === 'legacy' || query.feedFormat === 'legacy';
+};
+
+const setupSportFeed = (io, feed) => {
+  const { sport, label } = feed;
+  console.log(`⚡ ${label} socket initialized`);
+
+  // Function to check whether a room has any sockets
+  const hasMembers = (room) => io.sockets.adapter.rooms.has(room);
+
+  // Broadcast match list changes to ALL connected users
+  feed.onMatchesUpdate(({ seq, delta, data }) => {
+    if (delta) {
+      io.except(LEGACY_FEED_ROOM).emit(`${sport}_matches_delta`, { seq, ...delta });
+    } else {
+      io.except(LEGACY_FEED_ROOM).emit(`${sport}_matches_snapshot`, { seq, data });
+    }
+
+    // Legacy clients get the full match list on every change
+    const { data: matches } = feed.getMatchesSnapshot();
+    if (hasMembers(LEGACY_FEED_ROOM) && matches && matches.length > 0) {
+      io.to(LEGACY_FEED_ROOM).emit(`${sport}_matches`, matches);
+    }
+  });
+
+  // Broadcast feed health changes (backoff, circuit open, recovery) to ALL connected users
+  feed.onStatusChange((status) => {
+    io.emit('feed_status', status);
+  });
+
+  // Poll the match list - ensures only one call at a time
+  // If previous call is still in progress, it will be skipped
+  const listIntervalId = setInterval(() => feed.fetchMatches(), API_REFRESH_TIME);
+
+  // Store active event IDs and their polling intervals
+  const activeEventIntervals = new Map();
+
+  // Function to get the room of an event (its subscribers)
+  const getRoom = (eventId) => getEventRoom(sport, eventId);
+
+  // Function to get the room of an event's legacy subscribers
+  const getLegacyRoom = (eventId) => getLegacyEventRoom(sport, eventId);
+
+  // Function to get subscriber count for an event from its room
+  const getSubscriberCount = (eventId) => {
+    return io.sockets.adapter.rooms.get(getRoom(eventId))?.size || 0;
+  };
+
+  // Function to send an event's full data with admin suspensions applied to one socket
+  // Legacy sockets get the bare full payload, others the snapshot
+  // Returns false if the event has no data yet
+  const emitEventSnapshot = (socket, eventId) => {
+    const snapshot = feed.getEventSnapshot(eventId);
+    if (!snapshot) {
+      return false;
+    }
+
+    const data = applyEventSuspensions(sport, eventId, snapshot.data);
+    if (isLegacySocket(socket)) {
+      socket.emit(`${sport}_event_${eventId}`, data);
+    } else {
+      socket.emit(`${sport}_event_${eventId}_snapshot`, { ...snapshot, data });
+    }
+    return true;
+  };
+
+  // Broadcast event data changes to the users subscribed to the event
+  feed.onEventDataUpdate((eventId, { seq, delta }) => {
+    const subscriberCount = getSubscriberCount(eventId);
+    if (subscriberCount === 0) {
+      return;
+    }
+
+    const snapshot = feed.getEventSnapshot(eventId);
+    const room = io.to(getRoom(eventId)).except(LEGACY_FEED_ROOM);
+    if (delta) {
+      room.emit(`${sport}_event_${eventId}_delta`, {
+        eventId,
+        seq,
+        markets: applyEventSuspensions(sport, eventId, { markets: delta.markets }).markets,
+        removedMarkets: delta.removedMarkets
+      });
+      console.log(`📡 Broadcasted ${sport} event delta ${seq} for event ${eventId} (${delta.markets.length} market(s)) to ${subscriberCount} subscriber(s)`);
+    } else {
+      room.emit(`${sport}_event_${eventId}_snapshot`, {
+        ...snapshot,
+        data: applyEventSuspensions(sport, eventId, snapshot.data)
+      });
+      console.log(`📡 Broadcasted ${sport} event snapshot ${seq} for event ${eventId} to ${subscriberCount} subscriber(s)`);
+    }
+
+    // Legacy clients get the full event data on every change
+    if (hasMembers(getLegacyRoom(eventId))) {
+      io.to(getLegacyRoom(eventId)).emit(
+        `${sport}_event_${eventId}`,
+        applyEventSuspensions(sport, eventId, snapshot.data)
+      );
+    }
+  });
+
+  // Function to start polling for a specific event ID
+  const startPollingEvent = (eventId) => {
+    // If already polling this event, skip
+    if (activeEventIntervals.has(eventId)) {
+      return;
+    }
+
+    console.log(`🔄 Starting to poll ${sport} event: ${eventId}`);
+
+    const intervalId = setInterval(async () => {
+      // Check if there are still subscribers before fetching
+      const subscriberCount = getSubscriberCount(eventId);
+      if (subscriberCount === 0) {
+        stopPollingEvent(eventId);
+        return;
+      }
+
+      try {
+        // Changes are broadcast by the event data listener
+        const data = await feed.fetchEventData(eventId);
+        if (data === null || data === undefined) {
+          console.log(`⚠️ No data received for event ${eventId} (subscribers: ${subscriberCount}), skipping broadcast`);
+        }
+      } catch (error) {
+        console.error(`❌ Error polling ${sport} event ${eventId}:`, error.message);
+      }
+    }, API_REFRESH_TIME);
+
+    activeEventIntervals.set(eventId, intervalId);
+  };
+
+  // Function to stop polling for a specific event ID
+  const stopPollingEvent = (eventId) => {
+    const intervalId = activeEventIntervals.get(eventId);
+    if (intervalId) {
+      clearInterval(intervalId);
+      activeEventIntervals.delete(eventId);
+      console.log(`⏹️ Stopped polling ${sport} event: ${eventId} (no active subscribers)`);
+    }
+  };
+
+  // Function to stop polling every event left without subscribers
+  const stopIdleEvents = () => {
+    Array.from(activeEventIntervals.keys()).forEach(eventId => {
+      if (getSubscriberCount(eventId) === 0) {
+        stopPollingEvent(eventId);
+      }
+    });
+  };
+
+  // Graceful shutdown handler
+  process.on('SIGTERM', () => {
+    console.log(`🛑 SIGTERM received, cleaning up ${sport} sockets...`);
+    clearInterval(listIntervalId);
+    activeEventIntervals.forEach((intervalId, eventId) => {
+      clearInterval(intervalId);
+      console.log(`⏹️ Stopped polling event: ${eventId}`);
+    });
+    activeEventIntervals.clear();
+  });
+
+  return (socket) => {
+    // Send the feed's health so clients know whether its data is stale
+    socket.emit('feed_status', feed.getStatus());
+
+    // Send last cached match list immediately to new user
+    const matchesSnapshot = feed.getMatchesSnapshot();
+    if (matchesSnapshot.data && matchesSnapshot.data.length > 0) {
+      if (isLegacySocket(socket)) {
+        socket.emit(`${sport}_matches`, matchesSnapshot.data);
+      } else {
+        socket.emit(`${sport}_matches_snapshot`, matchesSnapshot);
+      }
+      console.log(`📤 Sent cached ${sport} matches to new user: ${socket.id}`);
+    }
+
+    // Handle client asking for the full match list after missing a delta
+    socket.on(`resync_${sport}_matches`, () => {
+      socket.emit(`${sport}_matches_snapshot`, feed.getMatchesSnapshot());
+    });
+
+    // Handle client subscribing to a specific event ID
+    socket.on(`subscribe_${sport}_event`, (eventId) => {
+      // Validate eventId
+      if (!eventId || typeof eventId !== 'string') {
+        socket.emit('error', {
+          message: 'Invalid event ID. Event ID must be a non-empty string.',
+          event: `subscribe_${sport}_event`
+        });
+        console.warn(`⚠️ Invalid subscription attempt from ${socket.id}: invalid eventId`);
+        return;
+      }
+
+      // Check if already subscribed
+      if (socket.rooms.has(getRoom(eventId))) {
+        console.log(`ℹ️ User ${socket.id} already subscribed to ${sport} event: ${eventId}`);
+        // Still send cached data
+        if (emitEventSnapshot(socket, eventId)) {
+          console.log(`📤 Resent cached data for event ${eventId} to user: ${socket.id}`);
+        }
+        return;
+      }
+
+      console.log(`📥 User ${socket.id} subscribed to ${sport} event: ${eventId}`);
+
+      // Join the event room, and its legacy room for legacy sockets
+      socket.join(getRoom(eventId));
+      if (isLegacySocket(socket)) {
+        socket.join(getLegacyRoom(eventId));
+      }
+
+      // Start polling if not already started
+      startPollingEvent(eventId);
+
+      // Send cached data immediately if available for this event
+      if (emitEventSnapshot(socket, eventId)) {
+        console.log(`📤 Sent cached data for event ${eventId} to user: ${socket.id}`);
+      } else {
+        // Notify that subscription was successful but no cached data available
+        socket.emit(`${sport}_event_${eventId}_subscribed`, {
+          eventId,
+          message: 'Subscribed successfully. Waiting for data...'
+        });
+        console.log(`📤 Subscription confirmed for event ${eventId} to user: ${socket.id} (no cached data yet)`);
+      }
+    });
+
+    // Handle client asking for the full event data after missing a delta
+    socket.on(`resync_${sport}_event`, (eventId) => {
+      if (!eventId || !socket.rooms.has(getRoom(eventId))) {
+        socket.emit('error', {
+          message: 'Subscribe to the event before requesting a resync.',
+          event: `resync_${sport}_event`
+        });
+        return;
+      }
+
+      if (emitEventSnapshot(socket, eventId)) {
+        console.log(`📤 Resynced event ${eventId} for user: ${socket.id}`);
+      }
+    });
+
+    // Handle client unsubscribing from a specific event ID
+    socket.on(`unsubscribe_${sport}_event`, (eventId) => {
+      if (!eventId) {
+        socket.emit('error', {
+          message: 'Event ID is required for unsubscription.',
+          event: `unsubscribe_${sport}_event`
+        });
+        return;
+      }
+
+      if (!socket.rooms.has(getRoom(eventId))) {
+        console.warn(`⚠️ User ${socket.id} tried to unsubscribe from event ${eventId} but was not subscribed`);
+        return;
+      }
+
+      console.log(`📤 User ${socket.id} unsubscribed from ${sport} event: ${eventId}`);
+
+      // Leave the event room and its legacy room
+      socket.leave(getRoom(eventId));
+      socket.leave(getLegacyRoom(eventId));
+
+      // If no more subscribers, stop polling
+      if (getSubscriberCount(eventId) === 0) {
+        stopPollingEvent(eventId);
+      }
+    });
+
+    // Handle disconnect (Socket.IO has already removed the socket from its rooms)
+    socket.on('disconnect', () => {
+      // Stop polling events this socket was the last subscriber of
+      stopIdleEvents();
+    });
+  };
+};
+
+module.exports = (io) => {
+  const connectionHandlers = getSportFeeds().map(feed => setupSportFeed(io, feed));
+
+  io.on('connection', (socket) => {
+    console.log(`✅ User connected: ${socket.id}`);
+
+    // Legacy clients get full payloads instead of snapshots and deltas
+    if (wantsLegacyFeed(socket)) {
+      socket.join(LEGACY_FEED_ROOM);
+    }
+
+    connectionHandlers.forEach(handleConnection => handleConnection(socket));
+
+    // Handle disconnect
+    socket.on('disconnect', () => {
+      console.log(`❌ User disconnected: ${socket.id}`);
+    });
+
+    // Handle errors
+    socket.on('error', (error) => {
+      console.error(`❌ Socket error for ${socket.id}:`, error);
+    });
+  });
+};
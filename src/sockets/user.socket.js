@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const { User, ROLES } = require('../models/User');
+const Wallet = require('../models/Wallet');
+const { getUserRoom, getWalletWatchRoom, getWalletUpdate } = require('../services/userNotification.service');
+
+/**
+ * Check if a user may watch another user's wallet
+ * Only the user's uplines, and super admins, may.
+ */
+const canWatchWallet = async (watcher, userId) => {
+  if (watcher.role === ROLES.SUPER_ADMIN) {
+    return true;
+  }
+
+  const uplineIds = await User.getUplineIds(userId);
+  // The first ID is the user themselves
+  return uplineIds.slice(1).includes(watcher.userId);
+};
+
+/**
+ * Private user channels
+ * Sockets that authenticated in the handshake join `user:<id>`, which receives
+ * `wallet_update`, `bet_update` and `force_logout`. Uplines can also watch a
+ * downline's wallet with `watch_wallet` / `unwatch_wallet`, receiving the same
+ * `wallet_update` events.
+ */
+module.exports = (io) => {
+  console.log('⚡ User socket initialized');
+
+  io.on('connection', (socket) => {
+    const { userId, role } = socket.data;
+    if (!userId) {
+      return;
+    }
+
+    socket.join(getUserRoom(userId));
+    socket.emit('authenticated', { userId });
+    console.log(`🔐 User ${socket.id} authenticated as user: ${userId}`);
+
+    // Handle upline watching a downline user's wallet
+    socket.on('watch_wallet', async (targetUserId) => {
+      if (!targetUserId || typeof targetUserId !== 'string' || !mongoose.isValidObjectId(targetUserId)) {
+        socket.emit('error', {
+          message: 'Invalid user ID.',
+          event: 'watch_wallet'
+        });
+        return;
+      }
+
+      try {
+        if (!(await canWatchWallet({ userId, role }, targetUserId))) {
+          socket.emit('error', {
+            message: 'You can only watch the wallets of your downline users.',
+            event: 'watch_wallet'
+          });
+          return;
+        }
+
+        const wallet = await Wallet.findOne({ user: targetUserId });
+        if (!wallet) {
+          socket.emit('error', {
+            message: 'Wallet not found.',
+            event: 'watch_wallet'
+          });
+          return;
+        }
+
+        socket.join(getWalletWatchRoom(targetUserId));
+        // Start the watcher off with the current balance
+        socket.emit('wallet_update', getWalletUpdate(wallet));
+        console.log(`👀 User ${userId} is watching the wallet of user: ${targetUserId}`);
+      } catch (error) {
+        socket.emit('error', {
+          message: 'Failed to watch wallet.',
+          event: 'watch_wallet'
+        });
+        console.error(`❌ Error watching wallet of user ${targetUserId}:`, error.message);
+      }
+    });
+
+    // Handle upline no longer watching a user's wallet
+    socket.on('unwatch_wallet', (targetUserId) => {
+      if (!targetUserId || typeof targetUserId !== 'string') {
+        return;
+      }
+      socket.leave(getWalletWatchRoom(targetUserId));
+    });
+  });
+};
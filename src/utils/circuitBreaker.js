@@ -0,0 +1,93 @@
+/**
+ * Circuit breaker with exponential backoff for upstream requests
+ *
+ * - closed: requests go through. Each consecutive failure delays the next
+ *   request by backoffBase * 2^(failures - 1), capped at backoffMax
+ * - open: after `threshold` consecutive failures no request goes through for
+ *   `resetTime` ms
+ * - half_open: once the reset time has passed, a single trial request goes
+ *   through; success closes the circuit, failure opens it again
+ */
+
+const CIRCUIT_STATE = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Create a circuit breaker
+ */
+const createCircuitBreaker = ({ threshold = 5, resetTime = 30000, backoffBase = 1000, backoffMax = 30000 } = {}) => {
+  let state = CIRCUIT_STATE.CLOSED;
+  let consecutiveFailures = 0;
+  let nextAttemptAt = 0;
+  let isTrialInFlight = false;
+
+  /**
+   * Check if a request may be made now
+   * In half-open state only the first caller gets through, as the trial request.
+   */
+  const canRequest = (now = Date.now()) => {
+    if (now < nextAttemptAt) {
+      return false;
+    }
+
+    if (state === CIRCUIT_STATE.OPEN) {
+      state = CIRCUIT_STATE.HALF_OPEN;
+    }
+
+    if (state === CIRCUIT_STATE.HALF_OPEN) {
+      if (isTrialInFlight) {
+        return false;
+      }
+      isTrialInFlight = true;
+    }
+
+    return true;
+  };
+
+  /**
+   * Record a successful request, closing the circuit
+   */
+  const recordSuccess = () => {
+    state = CIRCUIT_STATE.CLOSED;
+    consecutiveFailures = 0;
+    nextAttemptAt = 0;
+    isTrialInFlight = false;
+  };
+
+  /**
+   * Record a failed request, backing off or opening the circuit
+   */
+  const recordFailure = (now = Date.now()) => {
+    consecutiveFailures += 1;
+    isTrialInFlight = false;
+
+    if (state === CIRCUIT_STATE.HALF_OPEN || consecutiveFailures >= threshold) {
+      state = CIRCUIT_STATE.OPEN;
+      nextAttemptAt = now + resetTime;
+      return;
+    }
+
+    nextAttemptAt = now + Math.min(backoffBase * 2 ** (consecutiveFailures - 1), backoffMax);
+  };
+
+  const getState = () => ({
+    state,
+    consecutiveFailures,
+    nextAttemptAt: nextAttemptAt || null
+  });
+
+  return {
+    canRequest,
+    recordSuccess,
+    recordFailure,
+    getState
+  };
+};
+
+module.exports = {
+  CIRCUIT_STATE,
+  createCircuitBreaker
+};
@@ -0,0 +1,124 @@
+/**
+ * Snapshot diffing for feed broadcasts
+ *
+ * Feeds are polled every few hundred milliseconds but most polls change
+ * nothing, or only a few prices. These helpers compare a new snapshot of the
+ * canonical model (utils/feedModel.js) with the cached one so only changed
+ * matches, markets and runners are broadcast. A diff of null means the
+ * snapshots cannot be compared and the full snapshot has to be sent instead.
+ */
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Market fields always sent with a market delta, so clients (and the suspension overlay) can identify it
+const MARKET_IDENTITY_FIELDS = ['marketId', 'name', 'type'];
+
+/**
+ * Index a list by ID
+ */
+const indexById = (items, idField) => new Map(items.map(item => [item[idField], item]));
+
+/**
+ * Check if a delta has no changes
+ */
+const isEmptyDelta = (delta) => Object.values(delta).every(changes => Array.isArray(changes) && changes.length === 0);
+
+/**
+ * Diff two match lists
+ * Returns the new or changed matches and the IDs of removed matches.
+ */
+const diffMatches = (previous, next) => {
+  if (!Array.isArray(previous) || !Array.isArray(next)) {
+    return null;
+  }
+
+  const previousById = indexById(previous, 'eventId');
+  const nextById = indexById(next, 'eventId');
+
+  const matches = next.filter(match => !isEqual(previousById.get(match.eventId), match));
+  const removed = Array.from(previousById.keys()).filter(id => !nextById.has(id));
+
+  return { matches, removed };
+};
+
+/**
+ * Diff one market of an event
+ * Returns the market's identity fields, its other fields if any changed, and
+ * its new or changed runners; or null if nothing changed.
+ */
+const diffMarket = (previous, next) => {
+  const { runners: previousRunners, ...previousFields } = previous;
+  const { runners: nextRunners, ...nextFields } = next;
+
+  const delta = {};
+  MARKET_IDENTITY_FIELDS.forEach(field => {
+    delta[field] = nextFields[field];
+  });
+
+  const fieldsChanged = !isEqual(previousFields, nextFields);
+  if (fieldsChanged) {
+    Object.assign(delta, nextFields);
+  }
+
+  const previousById = indexById(previousRunners, 'selectionId');
+  const nextById = indexById(nextRunners, 'selectionId');
+
+  const runners = nextRunners.filter(runner => !isEqual(previousById.get(runner.selectionId), runner));
+  const removedRunners = Array.from(previousById.keys()).filter(id => !nextById.has(id));
+
+  if (!fieldsChanged && runners.length === 0 && removedRunners.length === 0) {
+    return null;
+  }
+
+  delta.runners = runners;
+  if (removedRunners.length > 0) {
+    delta.removedRunners = removedRunners;
+  }
+  return delta;
+};
+
+/**
+ * Diff two events
+ * Returns the changed markets (see diffMarket), new markets in full, and the
+ * IDs of removed markets. Returns null if anything besides the markets changed.
+ */
+const diffEventData = (previous, next) => {
+  if (!Array.isArray(previous?.markets) || !Array.isArray(next?.markets)) {
+    return null;
+  }
+
+  const { markets: previousMarkets, ...previousFields } = previous;
+  const { markets: nextMarkets, ...nextFields } = next;
+  if (!isEqual(previousFields, nextFields)) {
+    return null;
+  }
+
+  const previousById = indexById(previousMarkets, 'marketId');
+  const nextById = indexById(nextMarkets, 'marketId');
+
+  const markets = [];
+  nextMarkets.forEach(market => {
+    const previousMarket = previousById.get(market.marketId);
+    if (!previousMarket) {
+      markets.push(market);
+      return;
+    }
+
+    const delta = diffMarket(previousMarket, market);
+    if (delta) {
+      markets.push(delta);
+    }
+  });
+
+  const removedMarkets = Array.from(previousById.keys()).filter(id => !nextById.has(id));
+
+  return { markets, removedMarkets };
+};
+
+module.exports = {
+  isEqual,
+  isEmptyDelta,
+  diffMatches,
+  diffMarket,
+  diffEventData
+};
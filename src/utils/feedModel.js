@@ -0,0 +1,158 @@
+/**
+ * Canonical market data model for sport feeds
+ *
+ * Provider adapters (services/feedAdapters) map upstream payloads into these
+ * shapes; sockets, public routes and the bet engine only see this form.
+ *
+ * Match (match list entry):
+ *   { eventId, sport, provider, name, teams, competition, startTime, inPlay, status, markets }
+ * Event (event data):
+ *   { eventId, sport, provider, name, inPlay, markets }
+ * Market:
+ *   { marketId, name, type, status, statusText, inPlay, min, max, runners }
+ * Runner:
+ *   { selectionId, name, status, statusText, back, lay, result, min, max }
+ * Price (back and lay ladders, best price first):
+ *   { price, size }
+ *
+ * For fancy markets each runner is one session line: `back` is YES and `lay`
+ * is NO, with the run line as `price` and the rate as `size`. `result` holds
+ * the final run value once declared. `provider` is the name of the feed
+ * provider (config/sports.js) the data came from.
+ */
+
+const MARKET_TYPES = {
+  MATCH_ODDS: 'match_odds',
+  BOOKMAKER: 'bookmaker',
+  FANCY: 'fancy',
+  OTHER: 'other'
+};
+
+const MARKET_STATUS = {
+  OPEN: 'OPEN',
+  SUSPENDED: 'SUSPENDED', // Temporarily closed for betting (e.g. ball running)
+  CLOSED: 'CLOSED',
+  VOID: 'VOID'            // Abandoned or cancelled, bets are voided
+};
+
+const RUNNER_STATUS = {
+  ACTIVE: 'ACTIVE',
+  SUSPENDED: 'SUSPENDED',
+  CLOSED: 'CLOSED',
+  WINNER: 'WINNER',
+  LOSER: 'LOSER',
+  REMOVED: 'REMOVED',
+  VOID: 'VOID'
+};
+
+const toId = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Build a price ladder, best price first
+ * Back prices are sorted high to low, lay prices low to high. Entries without a price are dropped.
+ */
+const createLadder = (prices, side) => {
+  return prices
+    .map(entry => ({ price: toNumber(entry.price), size: toNumber(entry.size) }))
+    .filter(entry => entry.price !== null)
+    .sort((a, b) => (side === 'back' ? b.price - a.price : a.price - b.price));
+};
+
+/**
+ * Build a runner
+ */
+const createRunner = ({ selectionId, name = null, status, statusText = null, back = [], lay = [], result = null, min = null, max = null }) => ({
+  selectionId: toId(selectionId),
+  name: name ? String(name).trim() : null,
+  status,
+  statusText,
+  back: createLadder(back, 'back'),
+  lay: createLadder(lay, 'lay'),
+  result: toNumber(result),
+  min: toNumber(min),
+  max: toNumber(max)
+});
+
+/**
+ * Build a market
+ */
+const createMarket = ({ marketId, name = null, type, status, statusText = null, inPlay = false, min = null, max = null, runners = [] }) => ({
+  marketId: toId(marketId),
+  name: name ? String(name).trim() : null,
+  type,
+  status,
+  statusText,
+  inPlay: Boolean(inPlay),
+  min: toNumber(min),
+  max: toNumber(max),
+  runners: runners.filter(runner => runner.selectionId !== null)
+});
+
+/**
+ * Build an event
+ */
+const createEvent = ({ eventId, sport, provider = null, name = null, markets = [] }) => {
+  const validMarkets = markets.filter(market => market.marketId !== null);
+  return {
+    eventId: toId(eventId),
+    sport,
+    provider,
+    name: name ? String(name).trim() : null,
+    inPlay: validMarkets.some(market => market.inPlay),
+    markets: validMarkets
+  };
+};
+
+/**
+ * Build a match list entry
+ */
+const createMatch = ({ eventId, sport, provider = null, name = null, teams = [], competition = null, startTime = null, inPlay = false, status = null, markets = [] }) => ({
+  eventId: toId(eventId),
+  sport,
+  provider,
+  name: name ? String(name).trim() : null,
+  teams: teams.map(team => String(team).trim()).filter(Boolean),
+  competition: competition ? String(competition).trim() : null,
+  startTime: startTime || null,
+  inPlay: Boolean(inPlay),
+  status,
+  markets: markets.filter(market => market.marketId !== null)
+});
+
+/**
+ * Find a market of an event by market ID
+ */
+const findMarket = (event, marketId) => {
+  const markets = Array.isArray(event?.markets) ? event.markets : [];
+  return markets.find(market => market.marketId === String(marketId)) || null;
+};
+
+/**
+ * Find a runner of a market by selection ID
+ */
+const findRunner = (market, selectionId) => {
+  const runners = Array.isArray(market?.runners) ? market.runners : [];
+  return runners.find(runner => runner.selectionId === String(selectionId)) || null;
+};
+
+module.exports = {
+  MARKET_TYPES,
+  MARKET_STATUS,
+  RUNNER_STATUS,
+  toId,
+  toNumber,
+  createRunner,
+  createMarket,
+  createEvent,
+  createMatch,
+  findMarket,
+  findRunner
+};
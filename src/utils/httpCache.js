@@ -0,0 +1,25 @@
+const crypto = require('crypto');
+
+/**
+ * Send a JSON response with an ETag
+ * Answers 304 Not Modified without a body when the client's If-None-Match
+ * already holds the same ETag, so polling clients only download changes.
+ */
+const sendWithETag = (req, res, body) => {
+  const json = JSON.stringify(body);
+  const etag = `"${crypto.createHash('sha1').update(json).digest('base64url')}"`;
+
+  res.set('ETag', etag);
+  // Clients may cache the response but must revalidate it every time
+  res.set('Cache-Control', 'no-cache');
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  return res.type('json').send(json);
+};
+
+module.exports = {
+  sendWithETag
+};
@@ -0,0 +1,160 @@
+/**
+ * Market book calculator for match odds, bookmaker and fancy markets
+ *
+ * A user's liability on a market is not the sum of bet liabilities: backing
+ * and laying different runners (or YES and NO on run lines) offsets. The book
+ * holds the user's profit/loss for every possible outcome and the worst case
+ * is the liability to hold.
+ */
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Check if a back/lay bet wins when the given selection wins the market
+ */
+const isWinningBet = (bet, winningSelectionId) => {
+  const isWinningSelection = winningSelectionId !== null
+    && winningSelectionId !== undefined
+    && String(bet.selectionId) === String(winningSelectionId);
+
+  return bet.betType === 'lay' ? !isWinningSelection : isWinningSelection;
+};
+
+/**
+ * Profit/loss of a bet when the given selection wins the market
+ */
+const getBetOutcome = (bet, winningSelectionId) => {
+  return isWinningBet(bet, winningSelectionId) ? bet.potentialProfit : -bet.liability;
+};
+
+/**
+ * Calculate the book for a set of bets on one market
+ * @param {Array} bets - Unsettled bets of one user on one market
+ * @param {Array} runners - Full runner list [{ selectionId, selectionName }] if known.
+ *   When omitted, an extra "others" outcome covers any runner nobody bet on.
+ */
+const calculateMarketBook = (bets = [], runners = []) => {
+  const selections = new Map();
+
+  runners.forEach(runner => {
+    selections.set(String(runner.selectionId), runner.selectionName || null);
+  });
+
+  bets.forEach(bet => {
+    const selectionId = String(bet.selectionId);
+    if (!selections.has(selectionId) || !selections.get(selectionId)) {
+      selections.set(selectionId, bet.selectionName || null);
+    }
+  });
+
+  const runnerBook = Array.from(selections.entries()).map(([selectionId, selectionName]) => ({
+    selectionId,
+    selectionName,
+    profitLoss: round(bets.reduce((sum, bet) => sum + getBetOutcome(bet, selectionId), 0))
+  }));
+
+  const outcomes = runnerBook.map(runner => runner.profitLoss);
+
+  // Without a full runner list, a runner nobody bet on may still win
+  let others = null;
+  if (runners.length === 0 && bets.length > 0) {
+    others = round(bets.reduce((sum, bet) => sum + getBetOutcome(bet, null), 0));
+    outcomes.push(others);
+  }
+
+  const worstCase = outcomes.length > 0 ? Math.min(...outcomes) : 0;
+  const bestCase = outcomes.length > 0 ? Math.max(...outcomes) : 0;
+
+  return {
+    runners: runnerBook,
+    others,
+    maxProfit: round(Math.max(0, bestCase)),
+    liability: round(Math.max(0, -worstCase))
+  };
+};
+
+/**
+ * Check if a YES/NO fancy bet wins for the given final run value
+ * YES wins when the final runs reach the line, NO wins when they stay below it
+ */
+const isWinningFancyBet = (bet, finalRuns) => {
+  const reachedLine = Number(finalRuns) >= bet.line;
+  return bet.betType === 'no' ? !reachedLine : reachedLine;
+};
+
+/**
+ * Profit/loss of a fancy bet for the given final run value
+ */
+const getFancyBetOutcome = (bet, finalRuns) => {
+  return isWinningFancyBet(bet, finalRuns) ? bet.potentialProfit : -bet.liability;
+};
+
+/**
+ * Calculate the book for a set of bets on one fancy market
+ * The profit/loss only changes at the run lines bet on, so the book holds one
+ * position per run range: below the lowest line, and from each line upwards.
+ * @param {Array} bets - Unsettled bets of one user on one fancy market
+ */
+const calculateFancyBook = (bets = []) => {
+  const lines = [...new Set(bets.map(bet => bet.line))].sort((a, b) => a - b);
+  const positions = [];
+
+  if (lines.length > 0 && lines[0] > 0) {
+    positions.push({ fromRuns: 0, toRuns: lines[0] - 1 });
+  }
+
+  lines.forEach((line, index) => {
+    positions.push({
+      fromRuns: line,
+      toRuns: index < lines.length - 1 ? lines[index + 1] - 1 : null
+    });
+  });
+
+  positions.forEach(position => {
+    position.profitLoss = round(bets.reduce((sum, bet) => sum + getFancyBetOutcome(bet, position.fromRuns), 0));
+  });
+
+  const outcomes = positions.map(position => position.profitLoss);
+  const worstCase = outcomes.length > 0 ? Math.min(...outcomes) : 0;
+  const bestCase = outcomes.length > 0 ? Math.max(...outcomes) : 0;
+
+  return {
+    positions,
+    maxProfit: round(Math.max(0, bestCase)),
+    liability: round(Math.max(0, -worstCase))
+  };
+};
+
+/**
+ * Calculate the profit/loss book for bets on one market
+ * Fancy markets are booked per run line, other markets per runner.
+ */
+const calculateBook = (bets = []) => {
+  const isFancy = bets.length > 0 && bets[0].marketType === 'fancy';
+  return isFancy ? calculateFancyBook(bets) : calculateMarketBook(bets);
+};
+
+/**
+ * Get the liability to hold for a user's unsettled bets on a market
+ * Pending and unmatched bets may add to the worst case but never offset
+ * matched bets, because they can still be rejected or lapse.
+ */
+const getMarketLiability = (bets = []) => {
+  const matchedBets = bets.filter(bet => bet.status === 'matched');
+
+  return Math.max(
+    calculateBook(matchedBets).liability,
+    calculateBook(bets).liability
+  );
+};
+
+module.exports = {
+  isWinningBet,
+  getBetOutcome,
+  calculateMarketBook,
+  isWinningFancyBet,
+  getFancyBetOutcome,
+  calculateFancyBook,
+  calculateBook,
+  getMarketLiability
+};
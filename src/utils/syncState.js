@@ -0,0 +1,28 @@
+/**
+ * Change tracking for feed data persisted on every poll
+ *
+ * Polls repeat mostly unchanged data, so the last synced state of each value
+ * is kept in a Map and only changed values are written. A state is only
+ * remembered (markSynced) once its write succeeds, so a failed write is
+ * retried on the next poll.
+ */
+
+/**
+ * Get a value's state if it changed since it was last synced, or null
+ */
+const getChangedState = (syncedStates, key, value) => {
+  const state = JSON.stringify(value);
+  return syncedStates.get(key) === state ? null : state;
+};
+
+/**
+ * Remember the states of values that were written
+ */
+const markSynced = (syncedStates, changes) => {
+  changes.forEach(({ key, state }) => syncedStates.set(key, state));
+};
+
+module.exports = {
+  getChangedState,
+  markSynced
+};
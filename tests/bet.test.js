@@ -0,0 +1,140 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Bet = require('../src/models/Bet');
+const betService = require('../src/modules/bet/bet.service');
+const { validateBetPrice } = require('../src/services/livePrice.service');
+const { getSportFeed } = require('../src/services/sportFeed.service');
+const { MARKET_STATUS, RUNNER_STATUS, createEvent, createMarket, createRunner } = require('../src/utils/feedModel');
+
+const EVENT_ID = '32547891';
+
+const createLiveEvent = ({ marketStatus = MARKET_STATUS.OPEN, runnerStatus = RUNNER_STATUS.ACTIVE } = {}) => createEvent({
+  eventId: EVENT_ID,
+  sport: 'cricket',
+  name: 'India v Australia',
+  markets: [createMarket({
+    marketId: '1.2345',
+    name: 'Match Odds',
+    type: Bet.MARKET_TYPES.MATCH_ODDS,
+    status: marketStatus,
+    runners: [
+      createRunner({
+        selectionId: '101',
+        name: 'India',
+        status: runnerStatus,
+        back: [{ price: 2.1, size: 500 }, { price: 2.08, size: 900 }],
+        lay: [{ price: 2.12, size: 400 }]
+      }),
+      createRunner({
+        selectionId: '102',
+        name: 'Australia',
+        status: RUNNER_STATUS.ACTIVE,
+        back: [{ price: 1.9, size: 500 }],
+        lay: [{ price: 1.92, size: 400 }]
+      })
+    ]
+  })]
+});
+
+const bet = (overrides = {}) => ({
+  sport: 'cricket',
+  eventId: EVENT_ID,
+  marketId: '1.2345',
+  marketType: Bet.MARKET_TYPES.MATCH_ODDS,
+  selectionId: '101',
+  betType: 'back',
+  odds: 2.1,
+  ...overrides
+});
+
+describe('Bet payouts', () => {
+  it('risks the stake on a back bet to win stake * (odds - 1)', () => {
+    assert.deepEqual(Bet.calculatePayout('back', 2.5, 100), { potentialProfit: 150, liability: 100 });
+  });
+
+  it('risks stake * (odds - 1) on a lay bet to win the stake', () => {
+    assert.deepEqual(Bet.calculatePayout('lay', 2.5, 100), { potentialProfit: 100, liability: 150 });
+  });
+
+  it('pays fancy bets at the rate per 100 of stake', () => {
+    assert.deepEqual(Bet.calculateFancyPayout('yes', 90, 200), { potentialProfit: 180, liability: 200 });
+    assert.deepEqual(Bet.calculateFancyPayout('no', 110, 200), { potentialProfit: 200, liability: 220 });
+  });
+
+  it('rounds to 2 decimals', () => {
+    assert.deepEqual(Bet.calculatePayout('back', 1.333, 10), { potentialProfit: 3.33, liability: 10 });
+  });
+});
+
+describe('validateBetPrice', () => {
+  const feed = getSportFeed('cricket');
+  let event;
+
+  beforeEach((t) => {
+    event = createLiveEvent();
+    t.mock.method(feed, 'getEventDataUpdatedAt', () => Date.now());
+    t.mock.method(feed, 'getLatestEventData', () => event);
+  });
+
+  it('matches at the requested odds when the live price is the same or better', async () => {
+    const price = await validateBetPrice(bet({ odds: 2.0 }));
+
+    assert.equal(price.odds, 2.0);
+    assert.equal(price.livePrice, 2.1);
+    assert.equal(price.marketType, Bet.MARKET_TYPES.MATCH_ODDS);
+    assert.equal(price.selectionName, 'India');
+  });
+
+  it('rejects odds the live price has moved away from', async () => {
+    await assert.rejects(validateBetPrice(bet({ odds: 2.2 })), { message: 'Odds have changed. Current back price: 2.1' });
+    await assert.rejects(
+      validateBetPrice(bet({ betType: 'lay', odds: 2.1 })),
+      { message: 'Odds have changed. Current lay price: 2.12' }
+    );
+  });
+
+  it('rejects a market type other than the one in the feed', async () => {
+    await assert.rejects(
+      validateBetPrice(bet({ marketType: Bet.MARKET_TYPES.BOOKMAKER })),
+      { message: 'Market type does not match the live feed. This is a match_odds market' }
+    );
+  });
+
+  it('rejects suspended markets and inactive selections', async () => {
+    event = createLiveEvent({ marketStatus: MARKET_STATUS.SUSPENDED });
+    await assert.rejects(validateBetPrice(bet()), { message: 'Market is suspended' });
+
+    event = createLiveEvent({ runnerStatus: RUNNER_STATUS.SUSPENDED });
+    await assert.rejects(validateBetPrice(bet()), { message: 'Selection is not active' });
+  });
+
+  it('rejects markets and selections missing from the feed', async () => {
+    await assert.rejects(validateBetPrice(bet({ marketId: '1.9999' })), { message: 'Market not found in live feed' });
+    await assert.rejects(validateBetPrice(bet({ selectionId: '999' })), { message: 'Selection not found in live feed' });
+  });
+
+  it('rejects stale prices that cannot be refreshed', async (t) => {
+    t.mock.method(feed, 'getEventDataUpdatedAt', () => Date.now() - 60000);
+    const fetchEventData = t.mock.method(feed, 'fetchEventData', async () => null);
+
+    await assert.rejects(validateBetPrice(bet()), { message: 'Live price is stale. Please try again.' });
+    assert.equal(fetchEventData.mock.callCount(), 1);
+  });
+});
+
+describe('placeBet', () => {
+  it('rejects a stake of 0', async () => {
+    await assert.rejects(betService.placeBet('user', bet({ stake: 0 })), { message: 'Stake must be greater than 0' });
+  });
+
+  it('rejects odds below 1.01', async () => {
+    await assert.rejects(betService.placeBet('user', bet({ stake: 100, odds: 1 })), { message: 'Odds must be at least 1.01' });
+  });
+
+  it('rejects YES/NO bets outside fancy markets', async () => {
+    await assert.rejects(
+      betService.placeBet('user', bet({ stake: 100, betType: 'yes' })),
+      { message: 'Bets on this market must be back or lay' }
+    );
+  });
+});
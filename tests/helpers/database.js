@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { User, ROLES } = require('../../src/models/User');
+const walletService = require('../../src/modules/wallet/wallet.service');
+
+let replSet = null;
+
+/**
+ * Start an in-memory replica set (transactions need one) and connect to it
+ * Returns why MongoDB could not be started (e.g. its binary cannot be downloaded),
+ * so the caller can skip its database tests, or null once connected.
+ */
+const startDatabase = async () => {
+  try {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  } catch (error) {
+    return `MongoDB is not available: ${error.message}`;
+  }
+
+  await mongoose.connect(replSet.getUri());
+
+  // Collections cannot be created implicitly by concurrent transactions
+  const models = Object.values(mongoose.models);
+  await Promise.all(models.map(model => model.createCollection()));
+  await Promise.all(models.map(model => model.init()));
+
+  return null;
+};
+
+/**
+ * Disconnect and stop the replica set
+ */
+const stopDatabase = async () => {
+  await mongoose.disconnect();
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+};
+
+/**
+ * Create a user (wallets are created on the first credit)
+ */
+const createUser = (username, role = ROLES.USER) => {
+  return User.create({
+    username,
+    password: 'Testing@123',
+    commission: 0,
+    currency: 'INR',
+    exposureLimit: 9999999999,
+    role,
+    isActive: true
+  });
+};
+
+/**
+ * Create a user with an opening balance added by the super admin
+ */
+const createFundedUser = async (username, amount, superAdmin) => {
+  const user = await createUser(username);
+  await walletService.addAmount(user._id, amount, superAdmin._id, 'Opening balance');
+  return user;
+};
+
+module.exports = {
+  startDatabase,
+  stopDatabase,
+  createUser,
+  createFundedUser
+};
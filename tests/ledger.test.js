@@ -0,0 +1,137 @@
+const { describe, it, test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const { ROLES } = require('../src/models/User');
+const ledgerService = require('../src/modules/wallet/ledger.service');
+const walletService = require('../src/modules/wallet/wallet.service');
+const { reconcileWallet } = require('../src/modules/wallet/reconciliation.service');
+const { startDatabase, stopDatabase, createUser, createFundedUser } = require('./helpers/database');
+
+const { ACCOUNTS } = ledgerService;
+const { TRANSACTION_TYPES, TRANSACTION_STATUS } = WalletTransaction;
+
+describe('postJournal', () => {
+  const details = { currency: 'INR', description: 'Test journal' };
+
+  it('rejects journals that do not sum to zero', async () => {
+    await assert.rejects(ledgerService.postJournal({
+      ...details,
+      lines: [
+        { ...ACCOUNTS.house(), amount: -20 },
+        { ...ACCOUNTS.systemMint(), amount: 25 }
+      ]
+    }), { message: 'Journal does not balance: entries sum to 5' });
+  });
+
+  it('rejects journals without both a debit and a credit', async () => {
+    await assert.rejects(ledgerService.postJournal({
+      ...details,
+      lines: [
+        { ...ACCOUNTS.house(), amount: 0 },
+        { ...ACCOUNTS.systemMint(), amount: 0 }
+      ]
+    }), { message: 'A journal needs at least one debit and one credit' });
+  });
+
+  it('posts a transfer as one debit and one credit in a single journal', async (t) => {
+    const insertMany = t.mock.method(LedgerEntry, 'insertMany', async (entries) => entries);
+    const userId = new mongoose.Types.ObjectId();
+
+    const entries = await ledgerService.postTransfer(ACCOUNTS.userWallet(userId), ACCOUNTS.userExposure(userId), 25.555, details);
+
+    assert.equal(insertMany.mock.callCount(), 1);
+    assert.deepEqual(entries.map(entry => [entry.accountType, entry.amount]), [
+      [LedgerEntry.ACCOUNT_TYPES.USER_WALLET, -25.56],
+      [LedgerEntry.ACCOUNT_TYPES.USER_EXPOSURE, 25.56]
+    ]);
+    assert.equal(entries[0].journalId, entries[1].journalId);
+  });
+});
+
+describe('reconcileWallet', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const transaction = (transactionType, amount, balanceBefore, balanceAfter, exposure = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    user: userId,
+    transactionType,
+    amount,
+    balanceBefore,
+    balanceAfter,
+    ...exposure,
+    status: TRANSACTION_STATUS.COMPLETED
+  });
+  // Credited 100, held 40 for a bet, released it and lost the bet
+  const history = [
+    transaction(TRANSACTION_TYPES.CREDIT, 100, 0, 100),
+    transaction(TRANSACTION_TYPES.BET_HOLD, 40, 100, 100, { exposureBefore: 0, exposureAfter: 40 }),
+    transaction(TRANSACTION_TYPES.BET_RELEASE, 40, 100, 100, { exposureBefore: 40, exposureAfter: 0 }),
+    transaction(TRANSACTION_TYPES.DEBIT, 40, 100, 60)
+  ];
+
+  it('recomputes the wallet from its history', () => {
+    const result = reconcileWallet({ _id: 'wallet', user: userId, balance: 60, exposure: 0 }, history);
+
+    assert.equal(result.balance, 60);
+    assert.equal(result.exposure, 0);
+    assert.equal(result.mismatch, false);
+    assert.deepEqual(result.issues, []);
+  });
+
+  it('reports a stored balance that differs from the history', () => {
+    const result = reconcileWallet({ _id: 'wallet', user: userId, balance: 75, exposure: 0 }, history);
+
+    assert.equal(result.mismatch, true);
+    assert.deepEqual(result.issues.map(issue => issue.issueType), ['balance_mismatch']);
+    assert.equal(result.issues[0].details.difference.balance, 15);
+  });
+
+  it('reports a transaction that does not start where the previous one ended', () => {
+    const broken = [...history.slice(0, 3), transaction(TRANSACTION_TYPES.DEBIT, 40, 90, 50)];
+    const result = reconcileWallet({ _id: 'wallet', user: userId, balance: 60, exposure: 0 }, broken);
+
+    assert.deepEqual(result.issues.map(issue => issue.issueType), ['broken_chain']);
+    assert.equal(result.issues[0].message, 'Balance before does not match the previous balance after');
+  });
+});
+
+test('ledger postings', async (t) => {
+  const unavailable = await startDatabase();
+  if (unavailable) {
+    t.skip(unavailable);
+    return;
+  }
+  t.after(stopDatabase);
+
+  const superAdmin = await createUser('ledger_admin', ROLES.SUPER_ADMIN);
+  const sender = await createFundedUser('ledger_sender', 500, superAdmin);
+  const receiver = await createUser('ledger_receiver');
+
+  await t.test('posts added money from the system mint and transfers between wallets', async () => {
+    await walletService.transferAmount(sender._id, receiver._id, 120.55, superAdmin._id, 'Ledger test transfer');
+
+    assert.equal(await ledgerService.getAccountBalance(ACCOUNTS.systemMint(), 'INR'), -500);
+    assert.equal(await ledgerService.getAccountBalance(ACCOUNTS.userWallet(sender._id), 'INR'), 379.45);
+    assert.equal(await ledgerService.getAccountBalance(ACCOUNTS.userWallet(receiver._id), 'INR'), 120.55);
+
+    for (const user of [sender, receiver]) {
+      const { matches, stored, derived } = await ledgerService.getDerivedWalletBalance(user._id);
+      assert.equal(matches, true, `stored ${stored.balance}, derived ${derived.balance}`);
+    }
+
+    assert.equal((await ledgerService.verifyLedger()).balanced, true);
+  });
+
+  await t.test('posts nothing for a transfer the wallet cannot cover', async () => {
+    const entriesBefore = await LedgerEntry.countDocuments();
+
+    await assert.rejects(
+      walletService.transferAmount(receiver._id, sender._id, 500, superAdmin._id, 'Ledger test overdraft'),
+      { message: 'Insufficient balance in sender wallet' }
+    );
+
+    assert.equal(await LedgerEntry.countDocuments(), entriesBefore);
+    assert.equal((await ledgerService.verifyLedger()).balanced, true);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  isWinningBet,
+  calculateMarketBook,
+  isWinningFancyBet,
+  calculateFancyBook,
+  getMarketLiability
+} = require('../src/utils/marketBook');
+
+const back = (selectionId, potentialProfit, liability, status = 'matched') => ({
+  selectionId, betType: 'back', potentialProfit, liability, status
+});
+const lay = (selectionId, potentialProfit, liability, status = 'matched') => ({
+  selectionId, betType: 'lay', potentialProfit, liability, status
+});
+const fancy = (betType, line, potentialProfit, liability, status = 'matched') => ({
+  marketType: 'fancy', betType, line, potentialProfit, liability, status
+});
+
+describe('isWinningBet', () => {
+  it('wins a back bet only when its selection wins', () => {
+    assert.equal(isWinningBet(back('1', 100, 100), '1'), true);
+    assert.equal(isWinningBet(back('1', 100, 100), '2'), false);
+  });
+
+  it('wins a lay bet whenever its selection loses, including a void result', () => {
+    assert.equal(isWinningBet(lay('1', 100, 100), '2'), true);
+    assert.equal(isWinningBet(lay('1', 100, 100), null), true);
+    assert.equal(isWinningBet(lay('1', 100, 100), '1'), false);
+  });
+
+  it('compares selection IDs as strings', () => {
+    assert.equal(isWinningBet(back(7, 10, 10), '7'), true);
+  });
+});
+
+describe('calculateMarketBook', () => {
+  it('offsets a back and a lay on the same runner', () => {
+    // Back at 3.0 for 100, lay at 2.0 for 100: +200 - 100 if it wins, -100 + 100 otherwise
+    const book = calculateMarketBook([back('1', 200, 100), lay('1', 100, 100)], [
+      { selectionId: '1', selectionName: 'India' },
+      { selectionId: '2', selectionName: 'Australia' }
+    ]);
+
+    assert.deepEqual(book.runners, [
+      { selectionId: '1', selectionName: 'India', profitLoss: 100 },
+      { selectionId: '2', selectionName: 'Australia', profitLoss: 0 }
+    ]);
+    assert.equal(book.others, null);
+    assert.equal(book.maxProfit, 100);
+    assert.equal(book.liability, 0);
+  });
+
+  it('adds an outcome for runners nobody bet on when the runner list is unknown', () => {
+    const book = calculateMarketBook([back('1', 50, 100), back('2', 80, 100)]);
+
+    assert.equal(book.others, -200);
+    assert.equal(book.liability, 200);
+    assert.equal(book.maxProfit, 0);
+  });
+
+  it('is empty without bets', () => {
+    assert.deepEqual(calculateMarketBook([]), { runners: [], others: null, maxProfit: 0, liability: 0 });
+  });
+});
+
+describe('calculateFancyBook', () => {
+  it('wins YES at or above the line and NO below it', () => {
+    assert.equal(isWinningFancyBet(fancy('yes', 45), 45), true);
+    assert.equal(isWinningFancyBet(fancy('yes', 45), 44), false);
+    assert.equal(isWinningFancyBet(fancy('no', 45), 44), true);
+    assert.equal(isWinningFancyBet(fancy('no', 45), 45), false);
+  });
+
+  it('books one position per run range', () => {
+    // YES 45 for 100 at rate 90, NO 50 for 100 at rate 110
+    const book = calculateFancyBook([fancy('yes', 45, 90, 100), fancy('no', 50, 100, 110)]);
+
+    assert.deepEqual(book.positions, [
+      { fromRuns: 0, toRuns: 44, profitLoss: 0 },
+      { fromRuns: 45, toRuns: 49, profitLoss: 190 },
+      { fromRuns: 50, toRuns: null, profitLoss: -20 }
+    ]);
+    assert.equal(book.maxProfit, 190);
+    assert.equal(book.liability, 20);
+  });
+});
+
+describe('getMarketLiability', () => {
+  it('holds the worst case of the book, not the sum of bet liabilities', () => {
+    assert.equal(getMarketLiability([back('1', 100, 100), back('2', 100, 100)]), 200);
+    assert.equal(getMarketLiability([back('1', 100, 100), lay('1', 100, 100)]), 0);
+  });
+
+  it('does not let pending bets offset matched ones', () => {
+    const matched = back('1', 100, 100);
+    const pendingHedge = lay('1', 100, 100, 'pending');
+
+    assert.equal(getMarketLiability([matched, pendingHedge]), 100);
+  });
+
+  it('books fancy bets by run line', () => {
+    assert.equal(getMarketLiability([fancy('yes', 45, 90, 100), fancy('no', 45, 100, 110)]), 20);
+  });
+});
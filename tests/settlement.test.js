@@ -0,0 +1,178 @@
+const { describe, it, test } = require('node:test');
+const assert = require('node:assert/strict');
+const Bet = require('../src/models/Bet');
+const Wallet = require('../src/models/Wallet');
+const { ROLES } = require('../src/models/User');
+const walletService = require('../src/modules/wallet/wallet.service');
+const ledgerService = require('../src/modules/wallet/ledger.service');
+const settlementService = require('../src/modules/bet/settlement.service');
+const { MARKET_STATUS, RUNNER_STATUS, createEvent, createMarket, createRunner } = require('../src/utils/feedModel');
+const { startDatabase, stopDatabase, createUser, createFundedUser } = require('./helpers/database');
+
+const EVENT_ID = '32547891';
+
+describe('extractMarketResults', () => {
+  const market = (marketId, type, status, runners) => createMarket({ marketId, type, status, runners });
+  const runner = (selectionId, status, result = null) => createRunner({ selectionId, status, result });
+
+  it('reads winners, void markets and fancy results from the feed', () => {
+    const event = createEvent({
+      eventId: EVENT_ID,
+      sport: 'cricket',
+      markets: [
+        market('1.1', 'match_odds', MARKET_STATUS.CLOSED, [
+          runner('101', RUNNER_STATUS.LOSER),
+          runner('102', RUNNER_STATUS.WINNER)
+        ]),
+        market('1.2', 'bookmaker', MARKET_STATUS.VOID, [runner('201', RUNNER_STATUS.ACTIVE)]),
+        market('1.3', 'match_odds', MARKET_STATUS.OPEN, [runner('301', RUNNER_STATUS.ACTIVE)]),
+        market('1.4', 'fancy', MARKET_STATUS.OPEN, [
+          runner('7', RUNNER_STATUS.CLOSED, 52),
+          runner('8', RUNNER_STATUS.VOID),
+          runner('9', RUNNER_STATUS.ACTIVE)
+        ])
+      ]
+    });
+
+    assert.deepEqual(settlementService.extractMarketResults(EVENT_ID, event), [
+      { marketId: '1.1', winningSelectionId: '102' },
+      { marketId: '1.2', isVoid: true },
+      { marketId: `${EVENT_ID}_F7`, finalRuns: 52 },
+      { marketId: `${EVENT_ID}_F8`, isVoid: true }
+    ]);
+  });
+
+  it('finds nothing in an event without markets', () => {
+    assert.deepEqual(settlementService.extractMarketResults(EVENT_ID, null), []);
+  });
+});
+
+test('settlement', async (t) => {
+  const unavailable = await startDatabase();
+  if (unavailable) {
+    t.skip(unavailable);
+    return;
+  }
+  t.after(stopDatabase);
+
+  const superAdmin = await createUser('settlement_admin', ROLES.SUPER_ADMIN);
+  const backer = await createFundedUser('settlement_backer', 1000, superAdmin);
+  const layer = await createFundedUser('settlement_layer', 1000, superAdmin);
+
+  // Place a matched bet the way placeBet does: the bet and its liability held as exposure
+  const placeBet = (user, { marketId, selectionId, betType, odds, stake }) => {
+    const payout = Bet.calculatePayout(betType, odds, stake);
+    return walletService.runInTransaction(async (session) => {
+      const [bet] = await Bet.create([{
+        user: user._id,
+        sport: Bet.SPORTS.CRICKET,
+        eventId: EVENT_ID,
+        marketId,
+        selectionId,
+        betType,
+        odds,
+        stake,
+        ...payout,
+        status: Bet.BET_STATUS.MATCHED,
+        matchedAt: new Date()
+      }], { session });
+
+      const wallet = await Wallet.findOne({ user: user._id }).session(session);
+      await walletService.holdExposure(wallet, payout.liability, user._id, `${betType} bet: ${bet.describe()}`, { session });
+      return bet;
+    });
+  };
+
+  const getWallet = (user) => Wallet.findOne({ user: user._id });
+
+  // Every wallet must match its journal, and every journal must balance
+  const assertLedgerConsistent = async () => {
+    for (const user of [backer, layer]) {
+      const { matches, stored, derived } = await ledgerService.getDerivedWalletBalance(user._id);
+      assert.equal(matches, true, `stored ${stored.balance}, derived ${derived.balance}`);
+    }
+    assert.equal((await ledgerService.verifyLedger()).balanced, true);
+  };
+
+  await t.test('pays winners, collects from losers and releases exposure', async () => {
+    await placeBet(backer, { marketId: '1.1', selectionId: '101', betType: 'back', odds: 2.5, stake: 100 });
+    await placeBet(layer, { marketId: '1.1', selectionId: '101', betType: 'lay', odds: 2.5, stake: 100 });
+    assert.equal((await getWallet(layer)).exposure, 150);
+
+    const result = await settlementService.settleMarket({ eventId: EVENT_ID, marketId: '1.1', winningSelectionId: '101' }, superAdmin._id);
+
+    assert.equal(result.settled, 2);
+    assert.equal(result.won, 1);
+    assert.equal(result.lost, 1);
+    assert.deepEqual(
+      [await getWallet(backer), await getWallet(layer)].map(wallet => [wallet.balance, wallet.exposure]),
+      [[1150, 0], [850, 0]]
+    );
+    const bets = await Bet.find({ marketId: '1.1' }).sort({ betType: 1 });
+    assert.deepEqual(bets.map(bet => [bet.betType, bet.status, bet.result, bet.profitLoss]), [
+      ['back', 'settled', 'won', 150],
+      ['lay', 'settled', 'lost', -150]
+    ]);
+    await assertLedgerConsistent();
+  });
+
+  await t.test('refuses to settle a market twice', async () => {
+    await assert.rejects(
+      settlementService.settleMarket({ eventId: EVENT_ID, marketId: '1.1', winningSelectionId: '102' }, superAdmin._id),
+      { message: 'Market is already settled' }
+    );
+    assert.equal((await getWallet(backer)).balance, 1150);
+  });
+
+  await t.test('rolls a settlement back so the market can be settled with the correct result', async () => {
+    const rollback = await settlementService.rollbackSettlement({ marketId: '1.1', reason: 'Wrong winner' }, superAdmin._id);
+
+    assert.equal(rollback.restored, 2);
+    assert.deepEqual(
+      [await getWallet(backer), await getWallet(layer)].map(wallet => [wallet.balance, wallet.exposure]),
+      [[1000, 100], [1000, 150]]
+    );
+    const bets = await Bet.find({ marketId: '1.1' });
+    assert.ok(bets.every(bet => bet.status === Bet.BET_STATUS.MATCHED && bet.settlement === null));
+    await assertLedgerConsistent();
+
+    await settlementService.settleMarket({ eventId: EVENT_ID, marketId: '1.1', winningSelectionId: '102' }, superAdmin._id);
+
+    assert.deepEqual(
+      [await getWallet(backer), await getWallet(layer)].map(wallet => [wallet.balance, wallet.exposure]),
+      [[900, 0], [1100, 0]]
+    );
+    await assertLedgerConsistent();
+  });
+
+  await t.test('refunds the liability of a voided unsettled bet', async () => {
+    const bet = await placeBet(backer, { marketId: '1.2', selectionId: '201', betType: 'back', odds: 3, stake: 50 });
+    assert.equal((await getWallet(backer)).exposure, 50);
+
+    const result = await settlementService.voidBet(bet._id, 'Palpable error', superAdmin._id);
+
+    assert.equal(result.previousStatus, Bet.BET_STATUS.MATCHED);
+    assert.equal(result.exposureReleased, 50);
+    assert.equal(result.bet.status, Bet.BET_STATUS.VOID);
+    const wallet = await getWallet(backer);
+    assert.deepEqual([wallet.balance, wallet.exposure], [900, 0]);
+    await assertLedgerConsistent();
+  });
+
+  await t.test('reverses the result of a voided settled bet', async () => {
+    const bet = await placeBet(layer, { marketId: '1.3', selectionId: '301', betType: 'back', odds: 2, stake: 100 });
+    await settlementService.settleMarket({ eventId: EVENT_ID, marketId: '1.3', winningSelectionId: '301' }, superAdmin._id);
+    assert.equal((await getWallet(layer)).balance, 1200);
+
+    const result = await settlementService.voidBet(bet._id, 'Settled on a wrong price', superAdmin._id);
+
+    assert.equal(result.previousStatus, Bet.BET_STATUS.SETTLED);
+    assert.equal(result.balanceChange, -100);
+    assert.equal((await getWallet(layer)).balance, 1100);
+    await assert.rejects(
+      settlementService.voidBet(bet._id, 'Again', superAdmin._id),
+      { message: 'Bet cannot be voided. Current status: void' }
+    );
+    await assertLedgerConsistent();
+  });
+});
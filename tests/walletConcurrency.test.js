@@ -0,0 +1,17 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { runWalletConcurrency } = require('../src/scripts/walletConcurrency');
+const { startDatabase, stopDatabase } = require('./helpers/database');
+
+test('parallel transfers conserve money', async (t) => {
+  const unavailable = await startDatabase();
+  if (unavailable) {
+    t.skip(unavailable);
+    return;
+  }
+  t.after(stopDatabase);
+
+  const failures = await runWalletConcurrency();
+
+  assert.deepEqual(failures, []);
+});